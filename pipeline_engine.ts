@@ -0,0 +1,3110 @@
+// ------------------------------------------------------------
+// Pipeline Engine — framework-free simulation core
+// - Types, default topology, node behaviors and stage models (Kafka, NiFi, HDFS, Spark, AMQP)
+// - Deterministic world stepped on a virtual clock; createEngine() wraps it for the UI and for Node.js
+// - No React, DOM or wall-clock access, so runs are reproducible in tests and CI
+// ------------------------------------------------------------
+// =============================
+// SAFE DETERMINISTIC PRNG
+// =============================
+// state() exposes the generator's position so a snapshot can resume it with rngFromState()
+export type Rng = (()=>number) & { state:()=>number };
+
+export function makeRng(seedInput: number | null | undefined): Rng {
+  let t = Number.isFinite(seedInput as number)
+    ? (Math.floor(seedInput as number) >>> 0)
+    : 0x9e3779b9;
+  if (t === 0) t = 0x9e3779b9;
+  return rngFromState(t);
+}
+
+export function rngFromState(state:number): Rng {
+  let t = state;
+  const rng = function rng(): number {
+    t += 0x6D2B79F5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    const out = ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    if (!Number.isFinite(out) || out < 0 || out >= 1) {
+      const fallback = Math.random();
+      return Number.isFinite(fallback) && fallback < 1 ? fallback : 0.5;
+    }
+    return out;
+  } as Rng;
+  rng.state = ()=>t;
+  return rng;
+}
+
+// =============================
+// TYPES
+// =============================
+ export const NODE_TYPES = ["broker","topic","processor","lib","api","service","db","source","client","nifi","hdfs","spark"] as const;
+ export type NodeType = typeof NODE_TYPES[number];
+ export type Node = { id:number; name:string; type:NodeType; x:number; y:number; behavior?:Behavior; fault?:NodeFault; capacity?:NodeCapacity };
+ // Coordinates are canvas units; the default view shows 0..100. waypoints are bends set by auto-layout (drawing only).
+ export type Point = { x:number; y:number };
+ export type Edge = { id:number; from:number; to:number; label?:string; fault?:Fault; guarantee?:Guarantee; waypoints?:Point[] };
+ export const CANVAS_MAX = 10000;
+ export type Guarantee = "at-most-once"|"at-least-once"|"exactly-once";
+ export const MESSAGE_TYPES = ["ChartData","Event","DataField"] as const;
+ export type MessageType = typeof MESSAGE_TYPES[number];
+ // travelMs is only set when a latency fault applies; otherwise a hop takes one tick (tickMs).
+ // attempt counts redeliveries of the same message id on at-least/exactly-once edges (1 = first send).
+ export type Message = { id:string; type:MessageType; ts:number; payload:any; edgeId:number; progress:number; attributes?:Record<string,string>; travelMs?:number; trace?:TraceContext; attempt?:number };
+ // spanId is the message's current span: its edge hop while travelling, the node span once delivered
+ export type TraceContext = { traceId:string; spanId:string };
+ // `id` is the SQL primary key: a second write with the same id is an upsert and bumps `writes`
+ export type SqlRow = { id:string; symbol:string; value:number; ts:number; writes?:number; trace?:TraceContext };
+
+ // Behavior descriptors: what a node does with a message that reaches it.
+ // Outputs always go to the node's outgoing EDGES; `log` is a template with {{field}} holes.
+ type StoreName = "rows"|"chart";
+ type FilterOp = "eq"|"ne"|"gt"|"gte"|"lt"|"lte"|"in"|"match";
+ export type Behavior =
+   | { kind:"map"; fn?:string; as?:MessageType; suffix?:string; store?:StoreName; log?:string }
+   | { kind:"fanout"; suffixes?:Record<number,string>; log?:string }
+   | { kind:"filter"; field:string; op:FilterOp; value:any; suffix?:string; log?:string }
+   | { kind:"aggregate"; op:"ema"; alpha:number; key?:string; field?:string; suffix?:string; log?:string }
+   | { kind:"sink"; store?:StoreName; tally?:StoreName; log?:string }
+   | KafkaBehavior | NifiBehavior | HdfsBehavior | SparkBehavior | WindowBehavior
+   | PublisherBehavior | RabbitBehavior | AmqpConsumerBehavior;
+
+ // A Kafka node keeps a partitioned log; each outgoing edge is one consumer and
+ // edges sharing a group id split the partitions between them.
+ export type KafkaBehavior = {
+   kind:"kafka"; topic:string; partitions:number; key?:string;
+   retentionMs?:number; retentionRecords?:number;
+   pollMs?:number; maxPollRecords?:number; offsetReset?:"earliest"|"latest";
+   groups?:Record<number,string>; suffixes?:Record<number,string>; log?:string
+ };
+
+ // NiFi process group: FlowFiles wait in an inbound queue, the processor runs every `runMs`
+ // and is not scheduled while any outgoing connection is over its back-pressure threshold.
+ export type NifiBehavior = {
+   kind:"nifi"; runMs?:number; batchSize?:number; drainPerRun?:number;
+   objectThreshold?:number; sizeThreshold?:number; attributes?:Record<string,string>; suffix?:string
+ };
+
+ // HDFS sink: records are appended to an open file that rolls by count or age; files are cut
+ // into blocks and every block is placed on `replication` datanodes.
+ export type HdfsBehavior = {
+   kind:"hdfs"; dir:string; replication?:number; datanodes?:number; blockSize?:number;
+   rollRecords?:number; rollMs?:number; log?:string
+ };
+
+ // Spark Structured Streaming: input is buffered and processed per processing-time trigger,
+ // aggregated per key over event-time windows, and emitted once the watermark passes (append)
+ // or on every batch that touched the window (update).
+ export type SparkBehavior = {
+   kind:"spark"; triggerMs?:number; key?:string; field?:string;
+   windowMs?:number; slideMs?:number; watermarkMs?:number; outputMode?:"append"|"update"; suffix?:string
+ };
+
+ // Stream operator: per-key aggregates over event-time windows that fire once the watermark passes
+ // their end. `value` in the output is the first of `aggs`. With `join`, records of that type are not
+ // aggregated but matched to each window by time (and by `join.key` against `key` when set).
+ export type WindowSpec =
+   | { type:"tumbling"; sizeMs:number }
+   | { type:"sliding"; sizeMs:number; slideMs:number }
+   | { type:"session"; gapMs:number };
+ export type WindowAggOp = "count"|"sum"|"avg"|"min"|"max"|"first"|"last"|"ema";
+ export type WindowBehavior = {
+   kind:"window"; window:WindowSpec; key?:string; field?:string; aggs?:WindowAggOp[]; alpha?:number;
+   watermarkMs?:number; allowedLatenessMs?:number; idleMs?:number;
+   join?:{ type:MessageType; key?:string; field?:string; mode?:"inner"|"left" };
+   suffix?:string; log?:string
+ };
+
+ // Scheduled AMQP publisher. Edges into a RabbitMQ node carry every message; any other edge only
+ // carries messages whose routing key matches an explicit `bridge` mapping for that edge.
+ type BridgeMapping = { match:string; as:MessageType };
+ export type PublisherBehavior = { kind:"publisher"; everyMs:number; exchange:string; routingKeys:string[]; bridge?:Record<number, BridgeMapping> };
+
+ // RabbitMQ: exchanges route into queues through bindings; each outgoing edge consumes one queue
+ // with its own prefetch window, and settled-with-failure messages go to the queue's dead-letter queue.
+ // Deliveries left unacked for `ackTimeoutMs` are requeued as if nacked.
+ type AmqpExchange = { name:string; type:"direct"|"fanout"|"topic" };
+ type AmqpQueueDef = { name:string; prefetch?:number; deadLetter?:string; maxRedeliveries?:number; ackTimeoutMs?:number };
+ export type RabbitBehavior = {
+   kind:"rabbitmq"; exchanges:AmqpExchange[]; queues:AmqpQueueDef[];
+   bindings:{ exchange:string; queue:string; key:string }[]; consumers?:Record<number,string>; suffix?:string
+ };
+ // Acks what it receives, or nacks a `nackRate` share of it (requeued or rejected)
+ type AmqpConsumerBehavior = { kind:"amqp-consumer"; nackRate?:number; requeue?:boolean };
+
+ // Fault controls. An edge's fault applies to its own hops; a node's fault applies to every edge into
+ // that node. Rates are probabilities in 0..1; outages are virtual ms since the start of the run.
+ export type LatencyDist =
+   | { dist:"fixed"; ms:number }
+   | { dist:"uniform"; min:number; max:number }
+   | { dist:"normal"; mean:number; sd:number }
+   | { dist:"exponential"; mean:number };
+ export type Fault = { latency?:LatencyDist; jitterMs?:number; dropRate?:number; dupRate?:number };
+ export type NodeFault = Fault & { outages?:{ atMs:number; forMs:number }[] };
+
+ // Capacity model. Without it a node handles every arrival instantly; with it arrivals wait in a
+ // bounded queue served at `serviceRate` msg/s. Failed attempts (a `failureRate` share, or a behavior
+ // that throws) are retried with exponential backoff and dead-lettered after `maxRetries`.
+ export type OverflowPolicy = "block"|"drop-oldest"|"drop-newest";
+ export type NodeCapacity = {
+   serviceRate:number; queueSize?:number; overflow?:OverflowPolicy;
+   failureRate?:number; maxRetries?:number; backoffMs?:number; backoffMaxMs?:number
+ };
+
+
+// Base layout approximating the provided diagram (0..100 grid)
+export const BASE_NODES: Node[] = [
+  { id:12, name:"Hub (Kafka)", type:"broker", x:20, y:20,
+    behavior:{ kind:"kafka", topic:"hub", partitions:3, key:"symbol", suffixes:{ 4:"-mod", 8:"-topic", 13:"-spark" }, log:"Hub received {{type}} → p{{partition}}@{{offset}}" } },
+  { id:13, name:"ChartData <Kafka>", type:"topic", x:8, y:8,
+    behavior:{ kind:"kafka", topic:"ChartData", partitions:2, key:"symbol", suffixes:{ 9:"-cli" } } },
+  { id:10, name:"Module Realtime (Calculator)", type:"processor", x:40, y:20,
+    behavior:{ kind:"window", window:{ type:"tumbling", sizeMs:5000 }, key:"symbol", field:"value", aggs:["avg","count","min","max","ema"], alpha:0.3,
+      watermarkMs:1000, allowedLatenessMs:2000, join:{ type:"Event", mode:"left" }, suffix:"-lib1", log:"Realtime calc {{symbol}} → {{value}}" } },
+  { id:9, name:"Library Calculator", type:"lib", x:36, y:35,
+    behavior:{ kind:"map", suffix:"-lib2" } },
+  { id:8, name:"Library Core", type:"lib", x:32, y:50,
+    behavior:{ kind:"sink", log:"Core lib ok" } },
+  { id:11, name:"API (.NET Core, mocked)", type:"api", x:16, y:40 },
+  { id:4, name:"Event Service", type:"service", x:68, y:70,
+    behavior:{ kind:"map", fn:"eventToDataField", as:"DataField", suffix:"-df", log:"Mapped to DataField {symbol:{{symbol}}, value:{{value}}}" } },
+  { id:5, name:"DataField API", type:"api", x:86, y:70,
+    behavior:{ kind:"map", fn:"dataFieldToRow", suffix:"-sql", store:"rows", log:"DAO cast ready for SQL (symbol={{symbol}}, value={{value}})" } },
+  { id:2, name:"SQL (in-memory)", type:"db", x:60, y:70,
+    behavior:{ kind:"sink", tally:"rows", log:"INSERT rows={{count}}" } },
+  { id:6, name:"RabbitMQ Data", type:"broker", x:92, y:30,
+    behavior:{ kind:"rabbitmq",
+      exchanges:[{ name:"data.x", type:"topic" }, { name:"ops.fanout", type:"fanout" }],
+      queues:[{ name:"q.prices", prefetch:5, deadLetter:"q.prices.dlq", maxRedeliveries:3 }, { name:"q.alerts", prefetch:1 }, { name:"q.prices.dlq" }],
+      bindings:[{ exchange:"data.x", queue:"q.prices", key:"prices.#" }, { exchange:"data.x", queue:"q.alerts", key:"alerts.*" }],
+      consumers:{ 15:"q.prices" }, suffix:"-amqp" } },
+  { id:101, name:"Data Services (pub/sub & stream)", type:"service", x:84, y:18,
+    behavior:{ kind:"publisher", everyMs:1500, exchange:"data.x", routingKeys:["prices.bbb", "prices.ccc", "alerts.ops"],
+      bridge:{ 11:{ match:"prices.#", as:"ChartData" } } } },
+  { id:17, name:"Stream Data (AMQP consumer)", type:"service", x:92, y:50,
+    behavior:{ kind:"amqp-consumer", nackRate:0.1, requeue:true } },
+  { id:1, name:"Data Ingest (JSON)", type:"source", x:68, y:90 },
+  { id:14, name:"NiFi Flow (ingest)", type:"nifi", x:88, y:88,
+    behavior:{ kind:"nifi", runMs:400, batchSize:10, drainPerRun:5, objectThreshold:20, sizeThreshold:8192, attributes:{ "source.system":"ingest" }, suffix:"-nifi" } },
+  { id:15, name:"Spark Structured Streaming", type:"spark", x:60, y:10,
+    behavior:{ kind:"spark", triggerMs:2000, key:"symbol", field:"value", windowMs:5000, watermarkMs:2000, outputMode:"append", suffix:"-agg" } },
+  { id:16, name:"HDFS (Hadoop)", type:"hdfs", x:58, y:40,
+    behavior:{ kind:"hdfs", dir:"/data/chartdata/windows", replication:3, datanodes:4, blockSize:2048, rollRecords:20, rollMs:30000, log:"append {{path}} ({{records}} records)" } },
+  { id:0, name:"Client UI", type:"client", x:8, y:30,
+    behavior:{ kind:"sink", store:"chart", log:"UI received {{value}}" } }
+];
+
+export const EDGES: Edge[] = [
+  { id:1, from:1, to:14, label:"raw JSON" },
+  { id:2, from:4, to:5, label:"events" },
+  { id:3, from:5, to:2, label:"3) Cast JSON → SQL DAO" },
+  { id:4, from:12, to:10, label:"pub/stream" },
+  { id:5, from:10, to:9, label:"calc uses" },
+  { id:6, from:9, to:8, label:"core lib" },
+  { id:7, from:11, to:12, label:"produce" },
+  { id:8, from:12, to:13, label:"topic ChartData" },
+  { id:9, from:13, to:0, label:"subscribe" },
+  { id:10, from:101, to:6, label:"flow → RabbitMQ" },
+  { id:11, from:101, to:12, label:"pub/sub bridge" },
+  { id:12, from:14, to:4, label:"FlowFiles" },
+  { id:13, from:12, to:15, label:"readStream" },
+  { id:14, from:15, to:16, label:"writeStream" },
+  { id:15, from:6, to:17, label:"consume q.prices" },
+  { id:16, from:14, to:10, label:"events (join)" }
+];
+
+// --- graph lookups; always against the graph passed in (a world is one), so engines never share state
+const nodeIn = (g:Graph, id:number)=> g.nodes.find(n=>n.id===id);
+const edgeIn = (g:Graph, id:number|undefined)=> g.edges.find(e=>e.id===id);
+const outEdgesIn = (g:Graph, nodeId:number)=> g.edges.filter(e=>e.from===nodeId);
+
+
+// =============================
+// PURE MAP/CAST HELPERS (also used by tests)
+// =============================
+// Time and ids come from the caller (the simulation clock), never from the wall clock
+export function mapEventToDataField(payload:any, now:number = SIM_EPOCH){
+  return {
+    field: payload?.field ?? "value",
+    symbol: String((payload?.device ?? "DEV")).toUpperCase(),
+    value: Number(payload?.value ?? 0),
+    ts: now
+  };
+}
+export function rowFromDataField(df:any, fallbackId:string = "row-0", now:number = SIM_EPOCH): SqlRow {
+  return {
+    id: df?.id || fallbackId,
+    symbol: String(df?.symbol ?? "DF"),
+    value: Number(df?.value ?? 0),
+    ts: Number(df?.ts ?? now)
+  };
+}
+
+// =============================
+// SCHEMA REGISTRY (versioned payload schemas per message type)
+// =============================
+// A JSON-Schema subset: object/array/scalar types, required, enum, bounds, pattern, additionalProperties
+export type JsonSchema = {
+  type?:"object"|"array"|"string"|"number"|"integer"|"boolean";
+  properties?:Record<string, JsonSchema>; required?:string[]; additionalProperties?:boolean;
+  items?:JsonSchema; enum?:any[]; minimum?:number; maximum?:number; minLength?:number; pattern?:string;
+};
+export type Compatibility = "NONE"|"BACKWARD"|"FORWARD"|"FULL";
+export const COMPATIBILITY_MODES: Compatibility[] = ["NONE","BACKWARD","FORWARD","FULL"];
+type SchemaVersion = { version:number; schema:JsonSchema };
+export type SchemaSubject = { compatibility:Compatibility; versions:SchemaVersion[] };
+export type SchemaRegistry = Record<string, SchemaSubject>; // subject = message type
+export type SchemaMode = "off"|"reject"|"quarantine";
+
+const symbolField: JsonSchema = { type:"string", minLength:1 };
+export const DEFAULT_SCHEMAS: Record<MessageType, JsonSchema> = {
+  ChartData: { type:"object", required:["symbol","value"], properties:{ symbol:symbolField, value:{ type:"number" } } },
+  Event: { type:"object", required:["device","value"], properties:{ device:{ type:"string", minLength:1 }, field:{ type:"string" }, value:{ type:"number" } } },
+  DataField: { type:"object", required:["symbol","value"], properties:{ symbol:symbolField, field:{ type:"string" }, value:{ type:"number" }, ts:{ type:"integer" } } }
+};
+
+export function createSchemaRegistry(defs:Record<string, JsonSchema> = DEFAULT_SCHEMAS, compatibility:Compatibility = "BACKWARD"): SchemaRegistry {
+  return Object.fromEntries(Object.entries(defs).map(([subject, schema])=> [subject, { compatibility, versions:[{ version:1, schema }] }]));
+}
+
+export const latestSchema = (reg:SchemaRegistry, subject:string)=> reg[subject]?.versions[reg[subject].versions.length-1];
+
+const typeOfValue = (v:any)=> v===null ? "null" : Array.isArray(v) ? "array" : typeof v;
+
+// Every problem found, as `path: message`
+export function validatePayload(schema:JsonSchema, value:any, path = "payload"): string[] {
+  const errors: string[] = [];
+  const t = schema.type;
+  if (t){
+    const actual = typeOfValue(value);
+    const ok = t==="integer" ? Number.isInteger(value) : t==="number" ? actual==="number" && Number.isFinite(value) : actual===t;
+    if (!ok) return [`${path}: expected ${t}, got ${actual}`];
+  }
+  if (schema.enum && !schema.enum.some(e=>e===value)) errors.push(`${path}: expected one of ${schema.enum.map(e=>JSON.stringify(e)).join(", ")}`);
+  if (typeof value==="number"){
+    if (schema.minimum!==undefined && value<schema.minimum) errors.push(`${path}: ${value} < minimum ${schema.minimum}`);
+    if (schema.maximum!==undefined && value>schema.maximum) errors.push(`${path}: ${value} > maximum ${schema.maximum}`);
+  }
+  if (typeof value==="string"){
+    if (schema.minLength!==undefined && value.length<schema.minLength) errors.push(`${path}: shorter than ${schema.minLength}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: does not match /${schema.pattern}/`);
+  }
+  if (Array.isArray(value) && schema.items) value.forEach((v, i)=> errors.push(...validatePayload(schema.items, v, `${path}[${i}]`)));
+  if (typeOfValue(value)==="object"){
+    for (const k of schema.required ?? []) if (value[k]===undefined) errors.push(`${path}.${k}: required`);
+    for (const [k, v] of Object.entries(value)){
+      const sub = schema.properties?.[k];
+      if (sub) errors.push(...validatePayload(sub, v, `${path}.${k}`));
+      else if (schema.additionalProperties===false) errors.push(`${path}.${k}: not allowed`);
+    }
+  }
+  return errors;
+}
+
+// Can a reader on `reader` decode everything a writer on `writer` produces? (top-level fields)
+function readableBy(reader:JsonSchema, writer:JsonSchema): string[] {
+  const problems: string[] = [];
+  const writerProps = writer.properties ?? {}, readerProps = reader.properties ?? {};
+  for (const k of reader.required ?? [])
+    if (!(writer.required ?? []).includes(k)) problems.push(`"${k}" is required by the reader but optional or missing in the writer`);
+  for (const [k, rp] of Object.entries(readerProps)){
+    const wp = writerProps[k];
+    if (wp?.type && rp.type && wp.type!==rp.type && !(wp.type==="integer" && rp.type==="number")) problems.push(`"${k}" is ${wp.type} in the writer but ${rp.type} in the reader`);
+  }
+  if (reader.additionalProperties===false)
+    for (const k of Object.keys(writerProps)) if (!readerProps[k]) problems.push(`"${k}" is written but the reader forbids unknown fields`);
+  return problems;
+}
+
+// BACKWARD: consumers on the new schema read old data. FORWARD: consumers on the old schema read new data.
+export function checkCompatibility(prev:JsonSchema, next:JsonSchema, mode:Compatibility): string[] {
+  const backward = mode==="BACKWARD" || mode==="FULL" ? readableBy(next, prev).map(p=>`BACKWARD: ${p}`) : [];
+  const forward = mode==="FORWARD" || mode==="FULL" ? readableBy(prev, next).map(p=>`FORWARD: ${p}`) : [];
+  return [...backward, ...forward];
+}
+
+export function registerSchema(reg:SchemaRegistry, subject:string, schema:JsonSchema): { ok:boolean; version?:number; errors:string[] } {
+  if (!isObj(schema) || (schema.type && schema.type!=="object")) return { ok:false, errors:["schema: expected an object schema"] };
+  const sub = reg[subject] ??= { compatibility:"BACKWARD", versions:[] };
+  const prev = latestSchema(reg, subject);
+  const errors = prev ? checkCompatibility(prev.schema, schema, sub.compatibility) : [];
+  if (errors.length) return { ok:false, errors };
+  const version = (prev?.version ?? 0) + 1;
+  sub.versions.push({ version, schema });
+  return { ok:true, version, errors:[] };
+}
+
+// =============================
+// KAFKA MODEL (partitions, offsets, consumer groups, lag)
+// =============================
+type KafkaRecord = { offset:number; partition:number; key:string|null; ts:number; msg:Message };
+type KafkaPartition = { start:number; end:number; log:KafkaRecord[] }; // end = next offset to write
+type ConsumerGroup = { id:string; members:number[]; assignment:Record<number, number[]>; committed:number[]; generation:number };
+export type KafkaState = { topic:string; partitions:KafkaPartition[]; groups:Record<string, ConsumerGroup>; rr:number; sincePoll:number };
+
+const KAFKA_DEFAULTS = { retentionMs:60000, retentionRecords:1000, pollMs:250, maxPollRecords:50, offsetReset:"latest" as const };
+
+export function createKafkaState(b:KafkaBehavior): KafkaState {
+  const k: KafkaState = { topic:b.topic, partitions:[], groups:{}, rr:0, sincePoll:0 };
+  ensurePartitions(k, b.partitions);
+  return k;
+}
+
+// Partitions can only grow, as in Kafka; existing groups start new partitions at offset 0
+function ensurePartitions(k:KafkaState, count:number){
+  while (k.partitions.length < Math.max(1, count)){
+    k.partitions.push({ start:0, end:0, log:[] });
+    for (const g of Object.values(k.groups)) g.committed.push(0);
+  }
+}
+
+// FNV-1a: stable across runs so the same key always lands on the same partition
+export function partitionFor(key:string, count:number){
+  let h = 0x811c9dc5;
+  for (let i=0;i<key.length;i++){ h ^= key.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return (h >>> 0) % count;
+}
+
+export function kafkaAppend(k:KafkaState, b:KafkaBehavior, msg:Message, now:number): KafkaRecord {
+  ensurePartitions(k, b.partitions);
+  const raw = b.key ? msg.payload?.[b.key] : undefined;
+  const key = raw==null ? null : String(raw);
+  const partition = key==null ? (k.rr++ % k.partitions.length) : partitionFor(key, k.partitions.length);
+  const p = k.partitions[partition];
+  const rec: KafkaRecord = { offset:p.end++, partition, key, ts:now, msg };
+  p.log.push(rec);
+  return rec;
+}
+
+// Drops expired records; a group whose committed offset falls below the log start loses those records
+export function applyRetention(k:KafkaState, b:KafkaBehavior, now:number): string[] {
+  const events: string[] = [];
+  const maxAge = b.retentionMs ?? KAFKA_DEFAULTS.retentionMs, maxLen = b.retentionRecords ?? KAFKA_DEFAULTS.retentionRecords;
+  k.partitions.forEach((p, i)=>{
+    let drop = 0;
+    while (drop < p.log.length && (now - p.log[drop].ts > maxAge || p.log.length - drop > maxLen)) drop++;
+    if (!drop) return;
+    p.log = p.log.slice(drop);
+    p.start = p.log.length ? p.log[0].offset : p.end;
+    for (const g of Object.values(k.groups)){
+      if (g.committed[i] < p.start){
+        events.push(`group ${g.id} p${i}: offsets ${g.committed[i]}..${p.start-1} expired before consumption`);
+        g.committed[i] = p.start;
+      }
+    }
+  });
+  return events;
+}
+
+// Range assignor: members sorted by id, contiguous partition ranges
+function assignRange(members:number[], partitions:number){
+  const out: Record<number, number[]> = {};
+  const sorted = [...members].sort((a,b)=>a-b);
+  const per = Math.floor(partitions / Math.max(1, sorted.length)), extra = partitions % Math.max(1, sorted.length);
+  let next = 0;
+  sorted.forEach((m, i)=>{
+    const n = per + (i < extra ? 1 : 0);
+    out[m] = Array.from({ length:n }, (_, j)=>next+j);
+    next += n;
+  });
+  return out;
+}
+
+export const consumerGroupOf = (b:KafkaBehavior, e:Edge)=> b.groups?.[e.id] ?? `node-${e.to}`;
+
+// Reconciles group membership with the node's current outgoing edges and rebalances on change
+export function syncConsumers(k:KafkaState, b:KafkaBehavior, consumers:Edge[]): string[] {
+  const events: string[] = [];
+  ensurePartitions(k, b.partitions);
+  const wanted: Record<string, number[]> = {};
+  for (const e of consumers) (wanted[consumerGroupOf(b, e)] ??= []).push(e.id);
+  for (const id of new Set([...Object.keys(k.groups), ...Object.keys(wanted)])){
+    const members = (wanted[id] ?? []).sort((a,c)=>a-c);
+    let g = k.groups[id];
+    if (!g){
+      const reset = b.offsetReset ?? KAFKA_DEFAULTS.offsetReset;
+      g = k.groups[id] = { id, members:[], assignment:{}, committed:k.partitions.map(p=> reset==="earliest" ? p.start : p.end), generation:0 };
+    }
+    const assigned = Object.values(g.assignment).reduce((n, ps)=>n+ps.length, 0);
+    if (members.join(",")===g.members.join(",") && (!members.length || assigned===k.partitions.length)) continue;
+    g.members = members;
+    g.assignment = assignRange(members, k.partitions.length);
+    g.generation++;
+    events.push(members.length
+      ? `group ${id} rebalanced (gen ${g.generation}): ${members.map(m=>`edge ${m}→[${g.assignment[m].join(",")}]`).join(" ")}`
+      : `group ${id} has no active members; lag will grow`);
+  }
+  return events;
+}
+
+// Each member reads from its partitions starting at the group's committed offset, then commits
+export function kafkaPoll(k:KafkaState, b:KafkaBehavior): { edgeId:number; record:KafkaRecord }[] {
+  const out: { edgeId:number; record:KafkaRecord }[] = [];
+  const budget = b.maxPollRecords ?? KAFKA_DEFAULTS.maxPollRecords;
+  for (const g of Object.values(k.groups)){
+    for (const m of g.members){
+      let left = budget;
+      for (const pi of g.assignment[m] ?? []){
+        const p = k.partitions[pi];
+        while (left > 0 && g.committed[pi] < p.end){
+          const rec = p.log[g.committed[pi] - p.start];
+          if (rec) out.push({ edgeId:m, record:rec });
+          g.committed[pi]++; left--;
+        }
+      }
+    }
+  }
+  return out;
+}
+
+export const groupLag = (k:KafkaState, g:ConsumerGroup)=> k.partitions.map((p, i)=> p.end - g.committed[i]);
+
+// One scheduler step: retention, membership, and a poll every `pollMs` of simulated time
+export function kafkaTick(k:KafkaState, b:KafkaBehavior, consumers:Edge[], dt:number, now:number){
+  const events = [...applyRetention(k, b, now), ...syncConsumers(k, b, consumers)];
+  k.sincePoll += dt;
+  if (k.sincePoll < (b.pollMs ?? KAFKA_DEFAULTS.pollMs)) return { deliveries:[], events };
+  k.sincePoll = 0;
+  return { deliveries: kafkaPoll(k, b), events };
+}
+
+// =============================
+// NIFI MODEL (FlowFiles, connection queues, back-pressure)
+// =============================
+type FlowFile = { uuid:string; attributes:Record<string,string>; size:number; msg:Message };
+export type NifiState = { inbound:FlowFile[]; connections:Record<number, FlowFile[]>; sinceRun:number; processed:number; backPressured:boolean; seq:number };
+
+export const NIFI_DEFAULTS = { runMs:400, batchSize:10, drainPerRun:5, objectThreshold:20, sizeThreshold:8192 };
+export const queueBytes = (q:FlowFile[])=> q.reduce((n, f)=>n+f.size, 0);
+
+export const createNifiState = (): NifiState => ({ inbound:[], connections:{}, sinceRun:0, processed:0, backPressured:false, seq:0 });
+
+export function nifiEnqueue(st:NifiState, b:NifiBehavior, msg:Message, now:number): FlowFile {
+  const uuid = `ff-${++st.seq}`;
+  const ff: FlowFile = {
+    uuid, size: JSON.stringify(msg.payload ?? null).length, msg,
+    attributes: { uuid, filename:`${msg.id}.json`, "mime.type":"application/json", entryDate:String(now), ...(b.attributes ?? {}) }
+  };
+  st.inbound.push(ff);
+  return ff;
+}
+
+export function nifiOverThreshold(b:NifiBehavior, q:FlowFile[]){
+  return q.length >= (b.objectThreshold ?? NIFI_DEFAULTS.objectThreshold) || queueBytes(q) >= (b.sizeThreshold ?? NIFI_DEFAULTS.sizeThreshold);
+}
+
+// Downstream drains each connection first, then the processor runs unless a connection is back-pressured
+export function nifiRun(st:NifiState, b:NifiBehavior, outs:Edge[]){
+  const released: { edgeId:number; ff:FlowFile }[] = [];
+  const events: string[] = [];
+  for (const e of outs){
+    const q = st.connections[e.id] ??= [];
+    for (const ff of q.splice(0, b.drainPerRun ?? NIFI_DEFAULTS.drainPerRun)) released.push({ edgeId:e.id, ff });
+  }
+  const blocked = outs.some(e=>nifiOverThreshold(b, st.connections[e.id]));
+  if (blocked!==st.backPressured){
+    st.backPressured = blocked;
+    events.push(blocked ? `back-pressure engaged; processor paused with ${st.inbound.length} queued` : "back-pressure released");
+  }
+  if (!blocked && outs.length){
+    const batch = st.inbound.splice(0, b.batchSize ?? NIFI_DEFAULTS.batchSize);
+    for (const ff of batch) for (const e of outs) st.connections[e.id].push(ff);
+    st.processed += batch.length;
+  }
+  return { released, events };
+}
+
+// =============================
+// HDFS MODEL (files, blocks, replication)
+// =============================
+type HdfsBlock = { id:number; bytes:number; replicas:number[] };
+type HdfsFile = { path:string; records:number; bytes:number; blocks:HdfsBlock[]; openedAt:number; closedAt?:number };
+export type HdfsState = { open?:HdfsFile; files:HdfsFile[]; seq:number; nextBlock:number };
+
+export const HDFS_DEFAULTS = { replication:3, datanodes:4, blockSize:2048, rollRecords:20, rollMs:30000 };
+const HDFS_KEEP_FILES = 200;
+
+export const createHdfsState = (): HdfsState => ({ files:[], seq:0, nextBlock:0 });
+
+export const hdfsReplication = (b:HdfsBehavior)=>
+  Math.min(b.replication ?? HDFS_DEFAULTS.replication, b.datanodes ?? HDFS_DEFAULTS.datanodes);
+
+// Round-robin placement so consecutive blocks spread across datanodes
+function allocateBlock(st:HdfsState, b:HdfsBehavior): HdfsBlock {
+  const id = st.nextBlock++, dn = b.datanodes ?? HDFS_DEFAULTS.datanodes;
+  return { id, bytes:0, replicas: Array.from({ length: hdfsReplication(b) }, (_, i)=>(id + i) % dn) };
+}
+
+export function hdfsWrite(st:HdfsState, b:HdfsBehavior, payload:any, now:number): { file:HdfsFile; closed?:HdfsFile } {
+  if (!st.open){
+    const path = `${b.dir.replace(/\/$/, "")}/part-${String(st.seq++).padStart(5, "0")}.json`;
+    st.open = { path, records:0, bytes:0, blocks:[], openedAt:now };
+  }
+  const f = st.open, blockSize = b.blockSize ?? HDFS_DEFAULTS.blockSize;
+  let left = JSON.stringify(payload ?? null).length + 1; // one JSON line
+  f.bytes += left; f.records++;
+  while (left > 0){
+    let blk = f.blocks[f.blocks.length-1];
+    if (!blk || blk.bytes >= blockSize){ blk = allocateBlock(st, b); f.blocks.push(blk); }
+    const take = Math.min(left, blockSize - blk.bytes);
+    blk.bytes += take; left -= take;
+  }
+  const closed = f.records >= (b.rollRecords ?? HDFS_DEFAULTS.rollRecords) ? hdfsClose(st, now) : undefined;
+  return { file:f, closed };
+}
+
+export function hdfsClose(st:HdfsState, now:number): HdfsFile|undefined {
+  const f = st.open; if (!f) return undefined;
+  f.closedAt = now;
+  st.files = [...st.files.slice(-(HDFS_KEEP_FILES-1)), f];
+  st.open = undefined;
+  return f;
+}
+
+// =============================
+// SPARK MODEL (micro-batches, event-time windows, watermark)
+// =============================
+type WindowAgg = { key:string; start:number; end:number; count:number; sum:number; min:number; max:number };
+type SparkBatch = { id:number; rows:number; late:number; emitted:number; at:number; watermark:number };
+export type SparkState = { buffer:Message[]; sinceTrigger:number; batchId:number; maxEventTs:number; watermark:number; windows:Record<string, WindowAgg>; lateDropped:number; lastBatch?:SparkBatch };
+
+export const SPARK_DEFAULTS = { triggerMs:2000, windowMs:5000, watermarkMs:2000, outputMode:"append" as const };
+
+export const createSparkState = (): SparkState => ({ buffer:[], sinceTrigger:0, batchId:0, maxEventTs:0, watermark:0, windows:{}, lateDropped:0 });
+
+// Every window of `size` (advancing by `slide`) that contains ts; tumbling when slide === size
+export function windowsFor(ts:number, size:number, slide:number = size){
+  const out: { start:number; end:number }[] = [];
+  for (let start = Math.floor(ts/slide)*slide; start > ts - size; start -= slide) out.unshift({ start, end:start+size });
+  return out;
+}
+
+export function sparkMicroBatch(st:SparkState, b:SparkBehavior, now:number){
+  const size = b.windowMs ?? SPARK_DEFAULTS.windowMs, slide = b.slideMs ?? size;
+  const keyField = b.key ?? "symbol", field = b.field ?? "value";
+  const rows = st.buffer.splice(0);
+  const touched = new Set<string>();
+  let late = 0;
+  for (const m of rows){
+    if (m.ts < st.watermark){ late++; continue; }
+    st.maxEventTs = Math.max(st.maxEventTs, m.ts);
+    const key = String(m.payload?.[keyField] ?? "null"), v = Number(m.payload?.[field]) || 0;
+    for (const w of windowsFor(m.ts, size, slide)){
+      const id = `${key}|${w.start}`;
+      const agg = st.windows[id] ??= { key, start:w.start, end:w.end, count:0, sum:0, min:Infinity, max:-Infinity };
+      agg.count++; agg.sum += v; agg.min = Math.min(agg.min, v); agg.max = Math.max(agg.max, v);
+      touched.add(id);
+    }
+  }
+  st.lateDropped += late;
+  // Watermark advances at the end of the batch and applies to the next one, as in Spark
+  st.watermark = Math.max(st.watermark, st.maxEventTs - (b.watermarkMs ?? SPARK_DEFAULTS.watermarkMs));
+  const results: WindowAgg[] = [];
+  for (const [id, agg] of Object.entries(st.windows)){
+    const expired = agg.end <= st.watermark;
+    if ((b.outputMode ?? SPARK_DEFAULTS.outputMode)==="update" ? touched.has(id) : expired) results.push(agg);
+    if (expired) delete st.windows[id];
+  }
+  st.batchId++;
+  st.lastBatch = { id:st.batchId, rows:rows.length, late, emitted:results.length, at:now, watermark:st.watermark };
+  return results.map(a=>({
+    symbol:a.key, windowStart:a.start, windowEnd:a.end, count:a.count,
+    value:+(a.sum/a.count).toFixed(2), min:a.min, max:a.max, batch:st.batchId
+  }));
+}
+
+// =============================
+// STREAM OPERATORS (keyed event-time windows, watermarks, late data, window joins)
+// =============================
+// The operator owns its state: per-key windows, the running EMA per key and a join buffer.
+// Arrivals only update windows; STAGES.window fires the ones the watermark has passed.
+type OpWindow = {
+  id:string; key:string; start:number; end:number; type:MessageType;
+  count:number; sum:number; min:number; max:number; first:number; firstTs:number; last:number; lastTs:number; ema:number;
+  fired:number; dirty:boolean; trace?:TraceContext
+};
+type JoinRecord = { key:string; ts:number; value:number };
+export type WindowState = {
+  windows:Record<string, OpWindow>; ema:Record<string, number>; joinBuffer:JoinRecord[];
+  maxEventTs:number; watermark:number; lastInputAt:number; sessionSeq:number;
+  lateDropped:number; lateUpdates:number; emitted:number
+};
+
+export const WINDOW_DEFAULTS = { key:"symbol", field:"value", aggs:["avg","count","min","max"] as WindowAggOp[], alpha:0.3, watermarkMs:1000, allowedLatenessMs:0, idleMs:5000 };
+export const WINDOW_TYPES = ["tumbling","sliding","session"] as const;
+export const WINDOW_AGGS: WindowAggOp[] = ["count","sum","avg","min","max","first","last","ema"];
+
+export const createWindowState = (): WindowState =>
+  ({ windows:{}, ema:{}, joinBuffer:[], maxEventTs:0, watermark:0, lastInputAt:0, sessionSeq:0, lateDropped:0, lateUpdates:0, emitted:0 });
+
+// How far back a window can reach from its last record; bounds the join buffer
+const windowSpan = (s:WindowSpec)=> s.type==="session" ? s.gapMs : s.sizeMs;
+
+function emptyWindow(id:string, key:string, start:number, end:number, type:MessageType): OpWindow {
+  return { id, key, start, end, type, count:0, sum:0, min:Infinity, max:-Infinity, first:0, firstTs:Infinity, last:0, lastTs:-Infinity, ema:0, fired:0, dirty:false };
+}
+
+function addToWindow(w:OpWindow, ts:number, v:number, ema:number, trace?:TraceContext){
+  w.count++; w.sum += v; w.min = Math.min(w.min, v); w.max = Math.max(w.max, v);
+  if (ts < w.firstTs){ w.first = v; w.firstTs = ts; }
+  if (ts >= w.lastTs){ w.last = v; w.lastTs = ts; }
+  w.ema = ema;
+  if (trace) w.trace = trace;
+}
+
+// Session windows for `key` that the new record's [ts, ts+gap) touches are merged into one
+function sessionWindowFor(st:WindowState, key:string, ts:number, gap:number, type:MessageType): OpWindow {
+  const hit = Object.values(st.windows).filter(w=>w.key===key && w.start <= ts+gap && w.end >= ts);
+  const merged = emptyWindow(`${key}|s${++st.sessionSeq}`, key, Math.min(ts, ...hit.map(w=>w.start)), Math.max(ts+gap, ...hit.map(w=>w.end)), type);
+  for (const w of hit){
+    merged.count += w.count; merged.sum += w.sum; merged.min = Math.min(merged.min, w.min); merged.max = Math.max(merged.max, w.max);
+    if (w.firstTs < merged.firstTs){ merged.first = w.first; merged.firstTs = w.firstTs; }
+    if (w.lastTs >= merged.lastTs){ merged.last = w.last; merged.lastTs = w.lastTs; merged.ema = w.ema; merged.trace = w.trace; }
+    merged.fired = Math.max(merged.fired, w.fired);
+    delete st.windows[w.id];
+  }
+  return st.windows[merged.id] = merged;
+}
+
+// Adds one record. Returns "late" when every window it belongs to was already purged, "updated"
+// when it lands in a fired window still inside the allowed lateness (it fires again), else "ok".
+export function windowIngest(st:WindowState, b:WindowBehavior, msg:Message, now:number): "ok"|"late"|"updated"|"skipped" {
+  const lateness = b.allowedLatenessMs ?? WINDOW_DEFAULTS.allowedLatenessMs;
+  const ts = msg.ts;
+  st.lastInputAt = now;
+  if (b.join && msg.type===b.join.type){
+    const v = Number(msg.payload?.[b.join.field ?? "value"]);
+    if (!Number.isFinite(v)) return "skipped";
+    if (ts + windowSpan(b.window) + lateness <= st.watermark){ st.lateDropped++; return "late"; }
+    st.joinBuffer.push({ key: b.join.key ? String(msg.payload?.[b.join.key] ?? "null") : "*", ts, value:v });
+    return "ok";
+  }
+  const key = String(msg.payload?.[b.key ?? WINDOW_DEFAULTS.key] ?? "null"), v = Number(msg.payload?.[b.field ?? WINDOW_DEFAULTS.field]);
+  if (!Number.isFinite(v)) return "skipped";
+  const spec = b.window;
+  const targets = spec.type==="session"
+    ? (ts + spec.gapMs + lateness <= st.watermark ? [] : [sessionWindowFor(st, key, ts, spec.gapMs, msg.type)])
+    : windowsFor(ts, spec.sizeMs, spec.type==="sliding" ? spec.slideMs : spec.sizeMs)
+        .filter(r=>r.end + lateness > st.watermark)
+        .map(r=> st.windows[`${key}|${r.start}`] ??= emptyWindow(`${key}|${r.start}`, key, r.start, r.end, msg.type));
+  if (!targets.length){ st.lateDropped++; return "late"; }
+  const alpha = b.alpha ?? WINDOW_DEFAULTS.alpha;
+  const ema = st.ema[key] = key in st.ema ? alpha*v + (1-alpha)*st.ema[key] : v;
+  let updated = false;
+  for (const w of targets){
+    addToWindow(w, ts, v, ema, msg.trace);
+    if (w.fired){ w.dirty = true; updated = true; }
+  }
+  st.maxEventTs = Math.max(st.maxEventTs, ts);
+  st.watermark = Math.max(st.watermark, st.maxEventTs - (b.watermarkMs ?? WINDOW_DEFAULTS.watermarkMs));
+  if (updated) st.lateUpdates++;
+  return updated ? "updated" : "ok";
+}
+
+const aggValue = (w:OpWindow, op:WindowAggOp)=> ({
+  count:w.count, sum:w.sum, avg:w.count ? w.sum/w.count : 0, min:w.min, max:w.max, first:w.first, last:w.last, ema:w.ema
+})[op];
+
+// Fires windows whose end the watermark has passed (and late updates to them), then purges windows
+// past the allowed lateness. With no input for `idleMs` the watermark follows the clock instead.
+export function windowFire(st:WindowState, b:WindowBehavior, now:number){
+  const lateness = b.allowedLatenessMs ?? WINDOW_DEFAULTS.allowedLatenessMs;
+  if (now - st.lastInputAt >= (b.idleMs ?? WINDOW_DEFAULTS.idleMs)) st.watermark = Math.max(st.watermark, now - (b.watermarkMs ?? WINDOW_DEFAULTS.watermarkMs));
+  const aggs = b.aggs?.length ? b.aggs : WINDOW_DEFAULTS.aggs;
+  const keyField = b.key ?? WINDOW_DEFAULTS.key;
+  const out: { window:OpWindow; payload:any }[] = [];
+  for (const w of Object.values(st.windows).sort((a, c)=>a.end-c.end || a.key.localeCompare(c.key))){
+    if (w.end <= st.watermark && (!w.fired || w.dirty)){
+      w.fired++; w.dirty = false;
+      const payload: any = { [keyField]:w.key, windowStart:w.start, windowEnd:w.end };
+      for (const op of aggs) payload[op] = +aggValue(w, op).toFixed(4);
+      payload.value = payload[aggs[0]];
+      if (w.fired>1){ payload.late = true; payload.revision = w.fired; }
+      let pass = true;
+      if (b.join){
+        const rs = st.joinBuffer.filter(r=>(b.join.key ? r.key===w.key : true) && r.ts>=w.start && r.ts<w.end);
+        payload[b.join.type.toLowerCase()] = { count:rs.length, avg: rs.length ? +(rs.reduce((s, r)=>s+r.value, 0)/rs.length).toFixed(4) : null };
+        pass = !!rs.length || (b.join.mode ?? "left")==="left";
+      }
+      if (pass){ out.push({ window:w, payload }); st.emitted++; }
+    }
+    if (w.end + lateness <= st.watermark) delete st.windows[w.id];
+  }
+  const open = Object.values(st.windows).map(w=>w.start);
+  const keepFrom = Math.min(st.watermark - lateness - windowSpan(b.window), ...open);
+  if (st.joinBuffer.length && st.joinBuffer[0].ts < keepFrom) st.joinBuffer = st.joinBuffer.filter(r=>r.ts >= keepFrom);
+  return out;
+}
+
+// =============================
+// AMQP MODEL (publisher, exchanges, queues, ack/nack, dead-lettering)
+// =============================
+// Topic patterns: `*` matches exactly one word, `#` zero or more
+export function topicMatches(pattern:string, key:string): boolean {
+  const p = pattern.split("."), k = key.split(".");
+  const walk = (i:number, j:number): boolean => {
+    if (i===p.length) return j===k.length;
+    if (p[i]==="#") return walk(i+1, j) || (j<k.length && walk(i, j+1));
+    return j<k.length && (p[i]==="*" || p[i]===k[j]) && walk(i+1, j+1);
+  };
+  return walk(0, 0);
+}
+
+export type PublisherState = { sinceLast:number; seq:number; published:number; bridged:number };
+export const createPublisherState = (): PublisherState => ({ sinceLast:0, seq:0, published:0, bridged:0 });
+
+// One publish: AMQP on edges into RabbitMQ, mapped copies on bridged edges, nothing elsewhere
+export function publishOnce(st:PublisherState, b:PublisherBehavior, node:Node, g:Graph, rng:()=>number, now:number): Message[] {
+  const routingKey = b.routingKeys[Math.floor(rng()*b.routingKeys.length)] ?? "";
+  const payload = { symbol: (routingKey.split(".").pop() ?? "").toUpperCase(), value: +(40 + rng()*20).toFixed(2), source:"data-services" };
+  const id = `ds${node.id}-${now}-${++st.seq}`;
+  const out: Message[] = [];
+  for (const e of outEdgesIn(g, node.id)){
+    if (nodeIn(g, e.to)?.behavior?.kind==="rabbitmq"){
+      out.push({ id:`${id}-e${e.id}`, type:"DataField", ts:now, payload, edgeId:e.id, progress:0, attributes:{ "amqp.exchange":b.exchange, "amqp.routingKey":routingKey } });
+      st.published++;
+    } else {
+      const map = b.bridge?.[e.id];
+      if (!map || !topicMatches(map.match, routingKey)) continue;
+      out.push({ id:`${id}-bridge${e.id}`, type:map.as, ts:now, payload, edgeId:e.id, progress:0, attributes:{ "bridge.from":`${b.exchange}/${routingKey}` } });
+      st.bridged++;
+    }
+  }
+  return out;
+}
+
+type AmqpEnvelope = { tag:number; msg:Message; exchange:string; routingKey:string; deliveryCount:number; reason?:string };
+type AmqpQueue = { name:string; ready:AmqpEnvelope[]; unacked:Record<number, { env:AmqpEnvelope; edgeId:number; at:number }>; acked:number; nacked:number; deadLettered:number };
+export type RabbitState = { queues:Record<string, AmqpQueue>; nextTag:number; unroutable:number };
+
+export function createRabbitState(b:RabbitBehavior): RabbitState {
+  const queues: Record<string, AmqpQueue> = {};
+  for (const q of b.queues) queues[q.name] = { name:q.name, ready:[], unacked:{}, acked:0, nacked:0, deadLettered:0 };
+  return { queues, nextTag:1, unroutable:0 };
+}
+
+export function amqpRoute(b:RabbitBehavior, exchange:string, routingKey:string): string[] {
+  const ex = b.exchanges.find(x=>x.name===exchange);
+  if (!ex) return [];
+  const hit = b.bindings.filter(bd=>bd.exchange===exchange && (
+    ex.type==="fanout" || (ex.type==="direct" ? bd.key===routingKey : topicMatches(bd.key, routingKey))));
+  return [...new Set(hit.map(bd=>bd.queue))];
+}
+
+export function amqpPublish(st:RabbitState, b:RabbitBehavior, msg:Message): string[] {
+  const exchange = msg.attributes?.["amqp.exchange"] ?? "", routingKey = msg.attributes?.["amqp.routingKey"] ?? "";
+  const queues = amqpRoute(b, exchange, routingKey).filter(q=>st.queues[q]);
+  if (!queues.length){ st.unroutable++; return []; }
+  for (const q of queues) st.queues[q].ready.push({ tag:st.nextTag++, msg, exchange, routingKey, deliveryCount:0 });
+  return queues;
+}
+
+export const amqpConsumerQueue = (b:RabbitBehavior, e:Edge)=> b.consumers?.[e.id] ?? b.queues[0]?.name;
+
+// Pushes ready messages to each consuming edge while its unacked count is below the queue prefetch
+export function amqpDispatch(st:RabbitState, b:RabbitBehavior, outs:Edge[], now:number): { edgeId:number; env:AmqpEnvelope; queue:string }[] {
+  const out: { edgeId:number; env:AmqpEnvelope; queue:string }[] = [];
+  for (const e of outs){
+    const qn = amqpConsumerQueue(b, e), q = st.queues[qn];
+    if (!q) continue;
+    const prefetch = b.queues.find(d=>d.name===qn)?.prefetch ?? 10;
+    let inflight = Object.values(q.unacked).filter(u=>u.edgeId===e.id).length;
+    while (inflight < prefetch && q.ready.length){
+      const env = q.ready.shift()!;
+      env.deliveryCount++;
+      q.unacked[env.tag] = { env, edgeId:e.id, at:now };
+      out.push({ edgeId:e.id, env, queue:qn });
+      inflight++;
+    }
+  }
+  return out;
+}
+
+function deadLetter(st:RabbitState, b:RabbitBehavior, q:AmqpQueue, env:AmqpEnvelope, reason:string){
+  const dlq = st.queues[b.queues.find(d=>d.name===q.name)?.deadLetter ?? ""];
+  if (!dlq) return `dropped tag ${env.tag} (${reason}, no dead-letter queue)`;
+  q.deadLettered++;
+  dlq.ready.push({ ...env, tag:st.nextTag++, reason });
+  return `dead-lettered tag ${env.tag} → ${dlq.name} (${reason})`;
+}
+
+// Consumer settlement; requeued messages go back to the head and are dead-lettered past the delivery limit
+export function amqpSettle(st:RabbitState, b:RabbitBehavior, queue:string, tag:number, outcome:"ack"|"nack"|"reject"): string {
+  const q = st.queues[queue], u = q?.unacked[tag];
+  if (!u) return `unknown delivery tag ${tag} on ${queue}`;
+  delete q.unacked[tag];
+  if (outcome==="ack"){ q.acked++; return `ack tag ${tag}`; }
+  q.nacked++;
+  if (outcome==="reject") return deadLetter(st, b, q, u.env, "rejected");
+  const limit = b.queues.find(d=>d.name===queue)?.maxRedeliveries ?? Infinity;
+  if (u.env.deliveryCount >= limit) return deadLetter(st, b, q, u.env, "delivery-limit");
+  q.ready.unshift(u.env);
+  return `nack tag ${tag}, requeued (delivery ${u.env.deliveryCount})`;
+}
+
+export const AMQP_ACK_TIMEOUT_MS = 30000;
+
+// A delivery dropped on its way to the consumer is never settled; without a timeout it would hold a prefetch slot forever
+export function amqpExpire(st:RabbitState, b:RabbitBehavior, now:number): string[] {
+  const events: string[] = [];
+  for (const q of Object.values(st.queues)){
+    const timeout = b.queues.find(d=>d.name===q.name)?.ackTimeoutMs ?? AMQP_ACK_TIMEOUT_MS;
+    for (const [tag, u] of Object.entries(q.unacked)) if (now - u.at >= timeout)
+      events.push(`ack timeout on ${q.name}: ${amqpSettle(st, b, q.name, Number(tag), "nack")}`);
+  }
+  return events;
+}
+
+// =============================
+// STAGE REGISTRY (per-node state + work done on the simulation tick)
+// =============================
+type StageTick = (b:any, st:any, node:Node, outs:Edge[], dt:number, now:number, rng:()=>number, g:Graph)=>{ emit:Message[]; events:string[] };
+// `producer` stages originate traffic, so their output is schema-checked like the built-in producers
+const STAGES: Record<string, { create:(b:any)=>any; tick?:StageTick; logType:MessageType; producer?:boolean }> = {
+  kafka: {
+    create: b=>createKafkaState(b),
+    tick: (b, st, _node, outs, dt, now)=>{
+      const { deliveries, events } = kafkaTick(st, b, outs, dt, now);
+      const emit = deliveries.map(({ edgeId, record }): Message =>
+        ({ ...record.msg, id: record.msg.id + (b.suffixes?.[edgeId] ?? `-e${edgeId}`), edgeId, progress:0 }));
+      return { emit, events };
+    },
+    logType:"ChartData"
+  },
+  nifi: {
+    create: ()=>createNifiState(),
+    tick: (b, st, node, outs, dt)=>{
+      st.sinceRun += dt;
+      if (st.sinceRun < (b.runMs ?? NIFI_DEFAULTS.runMs)) return { emit:[], events:[] };
+      st.sinceRun = 0;
+      const { released, events } = nifiRun(st, b, outs);
+      const emit = released.map(({ edgeId, ff }): Message =>
+        ({ ...ff.msg, id: ff.msg.id + (b.suffix ?? `-n${node.id}`) + (outs.length>1 ? `-e${edgeId}` : ""), edgeId, progress:0, attributes:ff.attributes }));
+      return { emit, events };
+    },
+    logType:"Event"
+  },
+  hdfs: {
+    create: ()=>createHdfsState(),
+    tick: (b, st, _node, _outs, _dt, now)=>{
+      const f = st.open && now - st.open.openedAt >= (b.rollMs ?? HDFS_DEFAULTS.rollMs) ? hdfsClose(st, now) : undefined;
+      return { emit:[], events: f ? [`rolled ${f.path} by age (${f.records} records, ${f.blocks.length} block(s) ×${hdfsReplication(b)})`] : [] };
+    },
+    logType:"ChartData"
+  },
+  spark: {
+    create: ()=>createSparkState(),
+    tick: (b, st, node, outs, dt, now)=>{
+      st.sinceTrigger += dt;
+      if (st.sinceTrigger < (b.triggerMs ?? SPARK_DEFAULTS.triggerMs)) return { emit:[], events:[] };
+      st.sinceTrigger = 0;
+      if (!st.buffer.length && !Object.keys(st.windows).length) return { emit:[], events:[] };
+      const results = sparkMicroBatch(st, b, now);
+      const lb: SparkBatch = st.lastBatch;
+      const emit: Message[] = [];
+      for (const payload of results) for (const e of outs){
+        emit.push({ id:`spark${node.id}-b${payload.batch}-${payload.symbol}-${payload.windowStart}${b.suffix ?? ""}${outs.length>1 ? `-e${e.id}` : ""}`, type:"ChartData", ts:now, payload, edgeId:e.id, progress:0 });
+      }
+      return { emit, events:[`batch ${lb.id}: ${lb.rows} rows, ${lb.late} late, ${lb.emitted} window(s) out, watermark ${new Date(lb.watermark).toISOString()}`] };
+    },
+    logType:"ChartData"
+  },
+  window: {
+    create: ()=>createWindowState(),
+    tick: (b, st, node, outs, _dt, now)=>{
+      const emit: Message[] = [], events: string[] = [];
+      for (const { window:w, payload } of windowFire(st, b, now)){
+        const id = `win${node.id}-${w.key}-${w.start}${w.fired>1 ? `-r${w.fired}` : ""}${b.suffix ?? ""}`;
+        for (const e of outs) emit.push({ id: id + (outs.length>1 ? `-e${e.id}` : ""), type:w.type, ts:now, payload, edgeId:e.id, progress:0, trace:w.trace });
+        if (b.log) events.push(fillTemplate(b.log, { ...payload, type:w.type }) + (payload.late ? ` (late revision ${payload.revision})` : ""));
+      }
+      return { emit, events };
+    },
+    logType:"ChartData"
+  },
+  aggregate: {
+    create: ()=>({ ema:{} as Record<string, number> }),
+    logType:"ChartData"
+  },
+  publisher: {
+    create: ()=>createPublisherState(),
+    tick: (b, st, node, _outs, dt, now, rng, g)=>{
+      st.sinceLast += dt;
+      if (st.sinceLast < b.everyMs) return { emit:[], events:[] };
+      st.sinceLast = 0;
+      return { emit: publishOnce(st, b, node, g, rng, now), events:[] };
+    },
+    logType:"DataField",
+    producer:true
+  },
+  rabbitmq: {
+    create: b=>createRabbitState(b),
+    tick: (b, st, node, outs, _dt, now)=>{
+      const events = amqpExpire(st, b, now);
+      const emit = amqpDispatch(st, b, outs, now).map(({ edgeId, env, queue }): Message => ({
+        ...env.msg, id:`${env.msg.id}${b.suffix ?? `-n${node.id}`}-t${env.tag}-d${env.deliveryCount}`, edgeId, progress:0,
+        attributes:{ ...env.msg.attributes, "amqp.broker":String(node.id), "amqp.queue":queue, "amqp.deliveryTag":String(env.tag), "amqp.redelivered":String(env.deliveryCount>1) }
+      }));
+      return { emit, events };
+    },
+    logType:"DataField"
+  },
+  "amqp-consumer": {
+    create: ()=>({ acked:0, nacked:0 }),
+    logType:"DataField"
+  }
+};
+
+// =============================
+// BEHAVIOR REGISTRY (looked up by deliver())
+// =============================
+export type BehaviorContext = {
+  emit: (m:Message)=>void;
+  log: (text:string, type:MessageType)=>void;
+  store: (name:StoreName, payload:any)=>void;
+  size: (name:StoreName)=>number;
+  state: ()=>any; // per-node stage state from STAGES
+  stateOf: (nodeId:number)=>any; // another node's stage state (e.g. a consumer settling with its broker)
+  outEdges: ()=>Edge[]; // edges leaving the node being delivered to
+  nodeOf: (nodeId:number)=>Node|undefined;
+  rng: ()=>number;
+  now: ()=>number; // simulation clock
+};
+type BehaviorHandler = (b:any, msg:Message, node:Node, ctx:BehaviorContext)=>void;
+
+// Named payload transforms usable from `map` descriptors
+const MAPPERS: Record<string, (payload:any, env:{ now:number; msgId:string })=>any> = {
+  identity: p=>p,
+  eventToDataField: (p, env)=>mapEventToDataField(p, env.now),
+  dataFieldToRow: (p, env)=>rowFromDataField(p, `row-${env.msgId}`, env.now)
+};
+
+function fillTemplate(tpl:string, vars:Record<string, any>){
+  return tpl.replace(/\{\{(\w+)\}\}/g, (_,k)=> String(vars[k] ?? ""));
+}
+
+// One output per outgoing edge; ids stay unique when a node has several edges
+function emitOnEdges(msg:Message, node:Node, ctx:BehaviorContext, out:{ type:MessageType; payload:any; suffix?:string }){
+  const edges = ctx.outEdges();
+  for (const e of edges){
+    const suffix = out.suffix ?? `-n${node.id}`;
+    const id = msg.id + suffix + (edges.length>1 ? `-e${e.id}` : "");
+    ctx.emit({ id, type: out.type, ts: ctx.now(), payload: out.payload, edgeId: e.id, progress:0 });
+  }
+}
+
+function passesFilter(b:{ field:string; op:FilterOp; value:any }, payload:any){
+  const v = payload?.[b.field];
+  switch (b.op){
+    case "eq": return v===b.value;
+    case "ne": return v!==b.value;
+    case "gt": return Number(v) > Number(b.value);
+    case "gte": return Number(v) >= Number(b.value);
+    case "lt": return Number(v) < Number(b.value);
+    case "lte": return Number(v) <= Number(b.value);
+    case "in": return Array.isArray(b.value) && b.value.includes(v);
+    case "match": return new RegExp(String(b.value)).test(String(v ?? ""));
+    default: return false;
+  }
+}
+
+export const BEHAVIORS: Record<string, BehaviorHandler> = {
+  map(b, msg, node, ctx){
+    const fn = MAPPERS[b.fn ?? "identity"];
+    if (!fn){ ctx.log(`Unknown mapper "${b.fn}"`, msg.type); return; }
+    const payload = fn(msg.payload, { now: ctx.now(), msgId: msg.id });
+    const type: MessageType = b.as ?? msg.type;
+    if (b.store) ctx.store(b.store, payload);
+    if (b.log) ctx.log(fillTemplate(b.log, { ...payload, type }), type);
+    emitOnEdges(msg, node, ctx, { type, payload, suffix: b.suffix });
+  },
+  fanout(b, msg, _node, ctx){
+    if (b.log) ctx.log(fillTemplate(b.log, { ...msg.payload, type: msg.type }), msg.type);
+    for (const e of ctx.outEdges()){
+      const suffix = b.suffixes?.[e.id] ?? `-e${e.id}`;
+      ctx.emit({ ...msg, id: msg.id+suffix, edgeId: e.id, progress:0 });
+    }
+  },
+  filter(b, msg, node, ctx){
+    const pass = passesFilter(b, msg.payload);
+    if (b.log) ctx.log(fillTemplate(b.log, { ...msg.payload, type: msg.type, result: pass?"pass":"drop" }), msg.type);
+    if (pass) emitOnEdges(msg, node, ctx, { type: msg.type, payload: msg.payload, suffix: b.suffix });
+  },
+  // Per-message EMA, kept per key in the operator's own state
+  aggregate(b, msg, node, ctx){
+    const field = b.field ?? "value";
+    if (b.op!=="ema"){ ctx.log(`Unknown aggregate op "${b.op}"`, msg.type); return; }
+    const ema: Record<string, number> = ctx.state().ema, key = String(msg.payload?.[b.key ?? "symbol"] ?? "null");
+    const x = Number(msg.payload?.[field]);
+    if (Number.isFinite(x)) ema[key] = key in ema ? (1-b.alpha)*ema[key] + b.alpha*x : x;
+    const v = ema[key] ?? 0;
+    const payload = { ...msg.payload, [field]:+v.toFixed(2), ma:true };
+    if (b.log) ctx.log(fillTemplate(b.log, { ...payload, type: msg.type }), msg.type);
+    emitOnEdges(msg, node, ctx, { type: msg.type, payload, suffix: b.suffix });
+  },
+  // Consumers are served by the Kafka poll in the simulation loop, not on arrival
+  kafka(b, msg, _node, ctx){
+    const rec = kafkaAppend(ctx.state(), b, msg, ctx.now());
+    if (b.log) ctx.log(fillTemplate(b.log, { ...msg.payload, type: msg.type, partition: rec.partition, offset: rec.offset }), msg.type);
+  },
+  // FlowFiles leave through the processor schedule in STAGES.nifi
+  nifi(b, msg, _node, ctx){
+    const st: NifiState = ctx.state();
+    nifiEnqueue(st, b, msg, ctx.now());
+    if (nifiOverThreshold(b, st.inbound)) ctx.log(`inbound queue over threshold (${st.inbound.length} FlowFiles)`, msg.type);
+  },
+  hdfs(b, msg, _node, ctx){
+    const { file, closed } = hdfsWrite(ctx.state(), b, msg.payload, ctx.now());
+    if (b.log) ctx.log(fillTemplate(b.log, { ...msg.payload, type: msg.type, path: file.path, records: file.records }), msg.type);
+    if (closed) ctx.log(`closed ${closed.path} (${closed.records} records, ${closed.bytes} B, ${closed.blocks.length} block(s) ×${hdfsReplication(b)})`, msg.type);
+  },
+  // Windows fire from STAGES.window once the watermark passes them
+  window(b, msg, _node, ctx){
+    const res = windowIngest(ctx.state(), b, msg, ctx.now());
+    if (res==="late") ctx.log(`late ${msg.id} dropped — behind watermark ${new Date((ctx.state() as WindowState).watermark).toISOString()}`, msg.type);
+    else if (res==="skipped") ctx.log(`skipped ${msg.id}: no numeric ${b.join && msg.type===b.join.type ? b.join.field ?? "value" : b.field ?? WINDOW_DEFAULTS.field}`, msg.type);
+  },
+  spark(_b, msg, _node, ctx){
+    (ctx.state() as SparkState).buffer.push(msg);
+  },
+  // Publishers only originate traffic (STAGES.publisher); anything wired into one is ignored
+  publisher(_b, msg, _node, ctx){
+    ctx.log(`ignored ${msg.id}: publishers take no input`, msg.type);
+  },
+  // Deliveries reach consumers through STAGES.rabbitmq dispatch
+  rabbitmq(b, msg, _node, ctx){
+    const queues = amqpPublish(ctx.state(), b, msg);
+    const key = msg.attributes?.["amqp.routingKey"];
+    ctx.log(queues.length ? `routed ${key} → ${queues.join(", ")}` : `unroutable ${msg.attributes?.["amqp.exchange"]}/${key}`, msg.type);
+  },
+  "amqp-consumer"(b, msg, _node, ctx){
+    const brokerId = Number(msg.attributes?.["amqp.broker"]);
+    const broker = ctx.nodeOf(brokerId), st = ctx.state();
+    if (broker?.behavior?.kind!=="rabbitmq"){ ctx.log("received a message without an AMQP delivery", msg.type); return; }
+    const fail = ctx.rng() < (b.nackRate ?? 0);
+    const outcome = !fail ? "ack" : (b.requeue ?? true) ? "nack" : "reject";
+    if (fail) st.nacked++; else st.acked++;
+    ctx.log(amqpSettle(ctx.stateOf(brokerId), broker.behavior, msg.attributes["amqp.queue"], Number(msg.attributes["amqp.deliveryTag"]), outcome), msg.type);
+  },
+  sink(b, msg, _node, ctx){
+    if (b.store) ctx.store(b.store, msg.payload);
+    const count = b.tally ? ctx.size(b.tally) : undefined;
+    if (b.log) ctx.log(fillTemplate(b.log, { ...msg.payload, type: msg.type, count }), msg.type);
+  }
+};
+
+// Extension point: add or override a behavior kind at runtime
+export function registerBehavior(kind:string, handler:BehaviorHandler){
+  BEHAVIORS[kind] = handler;
+}
+
+// =============================
+// FAULT MODEL (latency, jitter, drop, duplicate, outages)
+// =============================
+export const LATENCY_DISTS = ["fixed","uniform","normal","exponential"] as const;
+
+export function sampleLatency(d:LatencyDist, rng:()=>number): number {
+  switch (d.dist){
+    case "fixed": return d.ms;
+    case "uniform": return d.min + rng()*(d.max-d.min);
+    case "normal": { // Box–Muller
+      const u = Math.max(rng(), 1e-9), v = rng();
+      return d.mean + d.sd*Math.sqrt(-2*Math.log(u))*Math.cos(2*Math.PI*v);
+    }
+    case "exponential": return -d.mean*Math.log(1-rng());
+  }
+}
+
+// The edge's own fault layered over its target node's: latency from the edge if set, jitter adds,
+// and drop/duplicate probabilities combine as independent events
+export function effectiveFault(edge:Edge, target?:Node): Fault|undefined {
+  const a = edge.fault, b = target?.fault;
+  if (!a && !b) return undefined;
+  const either = (x?:number, y?:number)=> 1 - (1-(x ?? 0))*(1-(y ?? 0));
+  return {
+    latency: a?.latency ?? b?.latency,
+    jitterMs: (a?.jitterMs ?? 0) + (b?.jitterMs ?? 0),
+    dropRate: either(a?.dropRate, b?.dropRate),
+    dupRate: either(a?.dupRate, b?.dupRate)
+  };
+}
+
+export const isDegraded = (f?:Fault)=> !!f && (!!f.latency || (f.jitterMs ?? 0)>0 || (f.dropRate ?? 0)>0 || (f.dupRate ?? 0)>0);
+
+// Undefined keeps the default one-tick hop, so a fault-free graph draws nothing from the rng
+export function travelTimeFor(f:Fault|undefined, tickMs:number, rng:()=>number): number|undefined {
+  if (!f?.latency && !(f?.jitterMs > 0)) return undefined;
+  const base = f.latency ? sampleLatency(f.latency, rng) : tickMs;
+  const jitter = f.jitterMs > 0 ? (rng()*2-1)*f.jitterMs : 0;
+  return Math.max(SIM_STEP_MS, base + jitter);
+}
+
+// =============================
+// NODE QUEUES (bounded input, service rate, retries, dead letters)
+// =============================
+export const QUEUE_DEFAULTS = { serviceRate:5, queueSize:50, overflow:"block" as OverflowPolicy, failureRate:0, maxRetries:3, backoffMs:200, backoffMaxMs:5000 };
+export const OVERFLOW_POLICIES: OverflowPolicy[] = ["block","drop-oldest","drop-newest"];
+
+type QueuedMsg = { msg:Message; attempts:number; readyAt:number };
+type DeadLetter = { msg:Message; reason:string; attempts:number; at:number };
+export type NodeQueue = {
+  items:QueuedMsg[]; credit:number; utilization:number; full:boolean;
+  served:number; dropped:number; retried:number; deadLettered:number; dlq:DeadLetter[]
+};
+
+export const createNodeQueue = (): NodeQueue =>
+  ({ items:[], credit:0, utilization:0, full:false, served:0, dropped:0, retried:0, deadLettered:0, dlq:[] });
+
+const queueFor = (w:SimWorld, id:number)=> w.queues[id] ??= createNodeQueue();
+const queueSizeOf = (c:NodeCapacity)=> c.queueSize ?? QUEUE_DEFAULTS.queueSize;
+
+// True while a full queue with the "block" policy refuses arrivals (they wait on the edge)
+export function isBlocking(w:SimWorld, node?:Node){
+  const c = node?.capacity;
+  return !!c && (c.overflow ?? QUEUE_DEFAULTS.overflow)==="block" && (w.queues[node.id]?.items.length ?? 0) >= queueSizeOf(c);
+}
+
+export function backoffDelay(c:NodeCapacity, attempts:number){
+  return Math.min(c.backoffMaxMs ?? QUEUE_DEFAULTS.backoffMaxMs, (c.backoffMs ?? QUEUE_DEFAULTS.backoffMs) * 2**(attempts-1));
+}
+
+// Called for every arrival at a node; instant delivery unless the node has a capacity model
+function arrive(w:SimWorld, msg:Message, node:Node){
+  const c = node.capacity;
+  if (!c){ deliverInWorld(w, msg, node.id); return; }
+  const q = queueFor(w, node.id), size = queueSizeOf(c);
+  if (q.items.length >= size){
+    const policy = c.overflow ?? QUEUE_DEFAULTS.overflow;
+    if (policy==="drop-newest"){ q.dropped++; countLoss(w, "queue-full"); endSpan(w, msg, "dropped (queue full)"); worldLog(w, node.id, `LOST ${msg.id} — queue full (${size}), drop-newest`, msg.type, msg.id); return; }
+    if (policy==="drop-oldest"){ const old = q.items.shift()!; q.dropped++; countLoss(w, "queue-full"); endSpan(w, old.msg, "dropped (queue full)"); worldLog(w, node.id, `LOST ${old.msg.id} — queue full (${size}), drop-oldest`, old.msg.type, old.msg.id); }
+  }
+  q.items.push({ msg, attempts:0, readyAt:w.clock.now });
+}
+
+function deadLetterMsg(w:SimWorld, node:Node, q:NodeQueue, item:QueuedMsg, reason:string){
+  q.deadLettered++;
+  countLoss(w, "dead-letter");
+  q.dlq = [...q.dlq.slice(-99), { msg:item.msg, reason, attempts:item.attempts, at:w.clock.now }];
+  endSpan(w, item.msg, "dead-lettered");
+  worldLog(w, node.id, `DLQ ${item.msg.id} after ${item.attempts} attempt(s): ${reason}`, item.msg.type, item.msg.id);
+}
+
+// Serves each capacity-modelled node for one step. A node whose outputs are blocked downstream stops
+// serving, so a saturated consumer backs its producers up hop by hop.
+function serviceQueues(w:SimWorld, dt:number){
+  for (const n of w.nodes){
+    const c = n.capacity;
+    if (!c) continue;
+    const q = queueFor(w, n.id), size = queueSizeOf(c);
+    const stalled = isNodeDown(w, n.id) || w.msgs.some(m=>m.progress>=1 && edgeIn(w, m.edgeId)?.from===n.id && isBlocking(w, nodeIn(w, edgeIn(w, m.edgeId)!.to)));
+    const ready = ()=> q.items.findIndex(it=>it.readyAt<=w.clock.now);
+    q.utilization += ((!stalled && ready()>=0 ? 1 : 0) - q.utilization)*0.05;
+    if (stalled) continue;
+    q.credit = ready()<0 ? Math.min(q.credit, 1) : q.credit + c.serviceRate*dt/1000;
+    for (let i = ready(); i>=0 && q.credit>=1; i = ready()){
+      q.credit--;
+      const [item] = q.items.splice(i, 1);
+      item.attempts++;
+      let reason = "";
+      if ((c.failureRate ?? 0)>0 && w.clock.rng() < c.failureRate) reason = "simulated processing failure";
+      else { try { deliverInWorld(w, item.msg, n.id); q.served++; } catch (e:any) { reason = String(e?.message ?? e); } }
+      if (!reason) continue;
+      if (item.attempts > (c.maxRetries ?? QUEUE_DEFAULTS.maxRetries)){ deadLetterMsg(w, n, q, item, reason); continue; }
+      const delay = backoffDelay(c, item.attempts);
+      q.retried++;
+      item.readyAt = w.clock.now + delay;
+      q.items.push(item);
+      worldLog(w, n.id, `retry ${item.attempts} of ${item.msg.id} in ${delay} ms: ${reason}`, item.msg.type, item.msg.id);
+    }
+    const full = q.items.length >= size;
+    if (full && !q.full) worldLog(w, n.id, `queue full (${size}) — ${c.overflow ?? QUEUE_DEFAULTS.overflow}`, "Event");
+    q.full = full;
+  }
+}
+
+// =============================
+// DELIVERY GUARANTEES (acks, redelivery, idempotent receivers, transactional writes)
+// =============================
+// Set globally and overridable per edge. at-most-once: fire and forget, a drop is a loss.
+// at-least-once: every hop is acked; a lost message or a lost ack makes the sender redeliver the same
+// message id after the ack timeout, so lost acks turn into duplicates. exactly-once: at-least-once plus
+// receivers that drop message ids they already took on that edge, and transactional row writes.
+export const GUARANTEES: Guarantee[] = ["at-most-once","at-least-once","exactly-once"];
+export const DELIVERY_DEFAULTS = { ackTimeoutMs:1000, maxRedeliveries:5, dedupWindowMs:60000 };
+
+export type SinkStats = { writes:number; duplicates:number };
+// `lost` is every message that left the pipeline before a sink: edge drops, full queues and dead letters
+export type LossCause = "edge"|"queue-full"|"dead-letter";
+export type DeliveryStats = {
+  lost:number; lostBy:Record<LossCause, number>; redelivered:number; acksLost:number; deduplicated:number; txnSkipped:number;
+  sinks:Record<string, SinkStats>
+};
+export const createDeliveryStats = (): DeliveryStats =>
+  ({ lost:0, lostBy:{ edge:0, "queue-full":0, "dead-letter":0 }, redelivered:0, acksLost:0, deduplicated:0, txnSkipped:0, sinks:{} });
+
+function countLoss(w:SimWorld, cause:LossCause){
+  w.delivery.lost++;
+  w.delivery.lostBy[cause]++;
+}
+
+export const guaranteeOf = (w:SimWorld, e?:Edge): Guarantee => e?.guarantee ?? w.guarantee;
+
+// Id books keep when each id was last seen; entries older than the dedup window are pruned as they grow
+function seenBefore(book:Record<string, number>, id:string, now:number): boolean {
+  const seen = id in book;
+  book[id] = now;
+  const ids = Object.keys(book);
+  if (ids.length > 2000) for (const k of ids) if (book[k] < now - DELIVERY_DEFAULTS.dedupWindowMs) delete book[k];
+  return seen;
+}
+
+// Idempotent receiver: true when an exactly-once edge already delivered this message id
+function isRedundant(w:SimWorld, e:Edge, m:Message): boolean {
+  if (guaranteeOf(w, e)!=="exactly-once") return false;
+  const book = w.seenIds[e.id] ??= {};
+  if (!(m.id in book)) return false;
+  w.delivery.deduplicated++;
+  incCounter(w.metrics, "edge_deduplicated_total", { edge:e.id });
+  endSpan(w, m, "deduplicated");
+  worldLog(w, e.to, `DEDUPED ${m.id} on edge ${e.id} (already delivered)`, m.type, m.id);
+  return true;
+}
+
+const markDelivered = (w:SimWorld, e:Edge, m:Message)=>{ if (guaranteeOf(w, e)==="exactly-once") seenBefore(w.seenIds[e.id] ??= {}, m.id, w.clock.now); };
+
+// The sender gives up waiting for an ack and puts the same message back on the edge
+function scheduleRedelivery(w:SimWorld, e:Edge, m:Message, reason:string){
+  const attempt = (m.attempt ?? 1) + 1;
+  if (attempt > DELIVERY_DEFAULTS.maxRedeliveries + 1){
+    if (reason==="lost"){ countLoss(w, "edge"); worldLog(w, e.to, `LOST ${m.id} on edge ${e.id} after ${attempt-1} attempts`, m.type, m.id); }
+    return;
+  }
+  w.delivery.redelivered++;
+  incCounter(w.metrics, "edge_redelivered_total", { edge:e.id });
+  w.redeliveries.push({ at:w.clock.now + DELIVERY_DEFAULTS.ackTimeoutMs, msg:{ ...m, progress:0, travelMs:undefined, attempt } });
+  worldLog(w, e.from, `no ack for ${m.id} on edge ${e.id} (${reason}) — redelivery ${attempt-1} in ${DELIVERY_DEFAULTS.ackTimeoutMs} ms`, m.type, m.id);
+}
+
+function releaseRedeliveries(w:SimWorld){
+  if (!w.redeliveries.length) return;
+  const due = w.redeliveries.filter(r=>r.at <= w.clock.now);
+  if (!due.length) return;
+  w.redeliveries = w.redeliveries.filter(r=>r.at > w.clock.now);
+  for (const r of due) if (edgeIn(w, r.msg.edgeId)) launch(w, r.msg);
+}
+
+// A write into a sink whose key was written before counts as a duplicate there
+function countSinkWrite(w:SimWorld, sink:string, key:string){
+  const s = w.delivery.sinks[sink] ??= { writes:0, duplicates:0 };
+  s.writes++;
+  if (seenBefore(w.sinkKeys[sink] ??= {}, key, w.clock.now)){ s.duplicates++; incCounter(w.metrics, "sink_duplicate_writes_total", { sink }); }
+}
+
+// =============================
+// CUSTOM PRODUCERS (rate profiles, payload templates, replay of recorded data)
+// =============================
+// Rates are messages per second; `perSec` is the mean for sine and the base rate between bursts.
+export type RateProfile =
+  | { kind:"constant"; perSec:number }
+  | { kind:"poisson"; perSec:number }
+  | { kind:"bursty"; perSec:number; burstPerSec:number; burstMs:number; everyMs:number }
+  | { kind:"sine"; perSec:number; amplitude:number; periodMs:number };
+export const RATE_KINDS = ["constant","poisson","bursty","sine"] as const;
+
+// Template strings may hold placeholders, replaced per message:
+//   {{symbol}} next of `symbols` (round-robin)   {{rand:min:max}} uniform number
+//   {{int:min:max}} uniform integer               {{walk:start:step}} random walk per symbol
+//   {{seq}} message number                        {{now}} simulation time (ms)
+// A string that is exactly one numeric placeholder becomes a number.
+export type ReplayRecord = { at:number; payload:any }; // at = ms since the first record
+export type ProducerDef = {
+  id:string; name:string; edgeId:number; type:MessageType; enabled:boolean;
+  rate:RateProfile; template?:Record<string, any>; symbols?:string[];
+  replay?:{ records:ReplayRecord[]; speed:number; loop:boolean };
+};
+export type ProducerState = { carry:number; seq:number; emitted:number; walks:Record<string, number>; cursor:number; startedAt:number };
+
+export const createProducerState = (now:number): ProducerState => ({ carry:0, seq:0, emitted:0, walks:{}, cursor:0, startedAt:now });
+
+export function rateAt(r:RateProfile, t:number): number {
+  switch (r.kind){
+    case "constant": case "poisson": return r.perSec;
+    case "bursty": return t % r.everyMs < r.burstMs ? r.burstPerSec : r.perSec;
+    case "sine": return Math.max(0, r.perSec*(1 + r.amplitude*Math.sin(2*Math.PI*t/r.periodMs)));
+  }
+}
+
+// Knuth's method; fine for the small per-step means used here
+function poisson(mean:number, rng:()=>number){
+  const limit = Math.exp(-mean);
+  let k = 0, p = rng();
+  while (p > limit){ k++; p *= rng(); }
+  return k;
+}
+
+// How many messages a producer sends in a step of `dt` ms ending at elapsed time `t`
+export function arrivalsInStep(st:ProducerState, r:RateProfile, t:number, dt:number, rng:()=>number){
+  const mean = rateAt(r, t)*dt/1000;
+  if (r.kind==="poisson") return poisson(mean, rng);
+  st.carry += mean;
+  const n = Math.floor(st.carry);
+  st.carry -= n;
+  return n;
+}
+
+export function fillPayloadTemplate(def:ProducerDef, st:ProducerState, now:number, rng:()=>number){
+  const symbols = def.symbols?.length ? def.symbols : ["AAA"];
+  const symbol = symbols[st.seq % symbols.length];
+  st.seq++;
+  const one = (key:string, args:string[]): any => {
+    const [a, b] = args.map(Number);
+    switch (key){
+      case "symbol": return symbol;
+      case "seq": return st.seq;
+      case "now": return now;
+      case "rand": return +(a + rng()*(b-a)).toFixed(2);
+      case "int": return Math.floor(a + rng()*(b-a+1));
+      case "walk": {
+        const next = (st.walks[symbol] ?? a) + (rng()*2-1)*b;
+        return st.walks[symbol] = +next.toFixed(2);
+      }
+      default: return `{{${[key, ...args].join(":")}}}`;
+    }
+  };
+  const fill = (v:any): any => {
+    if (typeof v==="string"){
+      const whole = /^\{\{(\w+)((?::[^:}]+)*)\}\}$/.exec(v);
+      if (whole) return one(whole[1], whole[2].split(":").slice(1));
+      return v.replace(/\{\{(\w+)((?::[^:}]+)*)\}\}/g, (_, k, rest)=> String(one(k, rest.split(":").slice(1))));
+    }
+    if (Array.isArray(v)) return v.map(fill);
+    if (v && typeof v==="object") return Object.fromEntries(Object.entries(v).map(([k, x])=>[k, fill(x)]));
+    return v;
+  };
+  return fill(def.template ?? { symbol:"{{symbol}}", value:"{{walk:50:1}}" });
+}
+
+// Messages a producer emits in one step; replays follow the recording's timing instead of `rate`
+export function producerStep(def:ProducerDef, st:ProducerState, now:number, dt:number, rng:()=>number, id:(prefix:string)=>string): Message[] {
+  const msg = (payload:any): Message => ({ id:id(def.id), type:def.type, ts:now, payload, edgeId:def.edgeId, progress:0 });
+  const elapsed = now - st.startedAt;
+  const rp = def.replay;
+  if (rp){
+    if (!rp.records.length) return [];
+    const span = rp.records[rp.records.length-1].at + 1;
+    const out: Message[] = [];
+    // cursor counts records across loops, so the nth pass plays at n·span
+    while (true){
+      const pass = Math.floor(st.cursor / rp.records.length);
+      if (pass>0 && !rp.loop) break;
+      const rec = rp.records[st.cursor % rp.records.length];
+      if ((pass*span + rec.at)/rp.speed > elapsed) break;
+      out.push(msg(rec.payload));
+      st.cursor++;
+    }
+    st.emitted += out.length;
+    return out;
+  }
+  const n = arrivalsInStep(st, def.rate, elapsed, dt, rng);
+  const out = Array.from({ length:n }, ()=> msg(fillPayloadTemplate(def, st, now, rng)));
+  st.emitted += n;
+  return out;
+}
+
+// JSON lines or CSV (header row; numeric cells become numbers). A `ts` field — epoch ms or ISO —
+// sets each record's time; without one, records are spaced `defaultGapMs` apart.
+export function parseRecording(text:string, defaultGapMs = 100): { ok:boolean; records:ReplayRecord[]; errors:string[] } {
+  const lines = text.split(/\r?\n/).filter(l=>l.trim());
+  if (!lines.length) return { ok:false, records:[], errors:["file is empty"] };
+  const errors: string[] = [];
+  let payloads: any[] = [];
+  if (lines[0].trim().startsWith("{")){
+    lines.forEach((l, i)=>{ try { payloads.push(JSON.parse(l)); } catch (e:any) { errors.push(`line ${i+1}: ${e?.message ?? e}`); } });
+  } else {
+    const split = (l:string)=> l.split(",").map(c=>c.trim().replace(/^"(.*)"$/, "$1"));
+    const header = split(lines[0]);
+    payloads = lines.slice(1).map((l, i)=>{
+      const cells = split(l);
+      if (cells.length!==header.length) errors.push(`line ${i+2}: expected ${header.length} columns, got ${cells.length}`);
+      return Object.fromEntries(header.map((h, j)=>{ const c = cells[j] ?? ""; return [h, c!=="" && Number.isFinite(Number(c)) ? Number(c) : c]; }));
+    });
+  }
+  if (errors.length) return { ok:false, records:[], errors:errors.slice(0, 10) };
+  const times = payloads.map((p, i)=>{
+    const t = p?.ts;
+    const ms = typeof t==="number" ? t : typeof t==="string" ? Date.parse(t) : NaN;
+    return Number.isFinite(ms) ? ms : NaN;
+  });
+  const timed = times.every(Number.isFinite);
+  const t0 = timed ? Math.min(...times) : 0;
+  const records = payloads
+    .map((payload, i)=>({ at: timed ? times[i]-t0 : i*defaultGapMs, payload }))
+    .sort((a, b)=>a.at-b.at);
+  return { ok:true, records, errors:[] };
+}
+
+function runProducers(w:SimWorld, dt:number){
+  for (const def of w.producers){
+    if (!def.enabled) continue;
+    const st = w.producerStates[def.id] ??= createProducerState(w.clock.now - dt);
+    produce(w, producerStep(def, st, w.clock.now, dt, w.clock.rng, prefix=>nextId(w.clock, prefix)));
+  }
+}
+
+// =============================
+// TRACING (one span per edge hop and per node visit)
+// =============================
+// Every message that enters an edge opens a hop span whose parent is the span of the message it was
+// derived from; arriving opens a node span that lasts through queueing and processing, and is
+// stretched to the last time the node emitted a child (so broker retention shows up as time).
+export type Span = {
+  spanId:string; traceId:string; parentId?:string; kind:"hop"|"node";
+  name:string; msgId:string; edgeId?:number; nodeId?:number;
+  start:number; end?:number; status:string; payload:any;
+};
+export const TRACE_LIMIT = 500; // traces kept, oldest evicted first
+
+function newSpan(w:SimWorld, span:Omit<Span, "spanId">): Span {
+  const full = { spanId:`s${++w.spanSeq}`, ...span };
+  if (!w.traces[span.traceId]){
+    w.traces[span.traceId] = [];
+    w.traceOrder.push(span.traceId);
+    if (w.traceOrder.length > TRACE_LIMIT){
+      const old = w.traceOrder.shift()!;
+      for (const sp of w.traces[old] ?? []) delete w.spanIndex[sp.spanId];
+      delete w.traces[old];
+    }
+  }
+  w.traces[span.traceId].push(full);
+  w.spanIndex[full.spanId] = full;
+  return full;
+}
+
+const spanOf = (w:SimWorld, m?:Message)=> m?.trace ? w.spanIndex[m.trace.spanId] : undefined;
+
+function endSpan(w:SimWorld, m:Message, status?:string){
+  const sp = spanOf(w, m);
+  if (!sp) return;
+  sp.end = Math.max(sp.end ?? 0, w.clock.now);
+  if (status) sp.status = status;
+}
+
+// Puts a message on its edge. `parent` is the delivery it came from; a message that already carries
+// a trace context (copied from its parent by a stage) is parented to that span instead.
+function launch(w:SimWorld, m:Message, parent?:Message){
+  const from = (m.trace ? m : parent)?.trace;
+  const e = edgeIn(w, m.edgeId);
+  if (from && w.spanIndex[from.spanId]){ const ps = w.spanIndex[from.spanId]; ps.end = Math.max(ps.end ?? ps.start, w.clock.now); }
+  incCounter(w.metrics, "edge_messages_total", { edge:m.edgeId });
+  if (e) incCounter(w.metrics, "node_messages_out_total", { node:e.from });
+  const span = newSpan(w, {
+    traceId: from?.traceId ?? m.id, parentId: from?.spanId, kind:"hop",
+    name: e ? `${nodeIn(w, e.from)?.name ?? e.from} → ${nodeIn(w, e.to)?.name ?? e.to}` : `edge ${m.edgeId}`,
+    msgId:m.id, edgeId:m.edgeId, start:w.clock.now, status:"in flight", payload:m.payload
+  });
+  w.msgs.push({ ...m, trace:{ traceId:span.traceId, spanId:span.spanId } });
+}
+
+// Ends the hop and opens the node span; returns the message as it is handed to the node
+function enterNode(w:SimWorld, m:Message, node:Node, status = "ok"): Message {
+  const hop = spanOf(w, m);
+  if (hop) observe(w.metrics, "edge_hop_latency_ms", { edge:m.edgeId }, w.clock.now - hop.start);
+  incCounter(w.metrics, "edge_delivered_total", { edge:m.edgeId });
+  incCounter(w.metrics, "node_messages_in_total", { node:node.id });
+  endSpan(w, m, "ok");
+  if (!m.trace) return m;
+  const span = newSpan(w, {
+    traceId:m.trace.traceId, parentId:m.trace.spanId, kind:"node", name:node.name,
+    msgId:m.id, nodeId:node.id, start:w.clock.now, status, payload:m.payload
+  });
+  return { ...m, trace:{ traceId:span.traceId, spanId:span.spanId } };
+}
+
+export const traceSpans = (w:SimWorld, traceId:string)=> w.traces[traceId] ?? [];
+
+// Latest span recorded for a message id (newest traces first), e.g. to open a trace from a log line
+export function findSpanByMsg(w:SimWorld, msgId:string): Span|undefined {
+  for (let i = w.traceOrder.length-1; i>=0; i--){
+    const spans = w.traces[w.traceOrder[i]];
+    for (let j = spans.length-1; j>=0; j--) if (spans[j].msgId===msgId) return spans[j];
+  }
+  return undefined;
+}
+
+// The spans from the trace root down to `spanId`
+export function spanPath(spans:Span[], spanId:string): Span[] {
+  const byId = new Map(spans.map(s=>[s.spanId, s]));
+  const path: Span[] = [];
+  for (let s = byId.get(spanId); s; s = s.parentId ? byId.get(s.parentId) : undefined) path.unshift(s);
+  return path;
+}
+
+// Field-level changes between two payloads, e.g. `value: 50.1 → 50.03`, `+ma`, `-device`
+export function diffPayload(before:any, after:any): string[] {
+  const isObject = (v:any)=> v!=null && typeof v==="object" && !Array.isArray(v);
+  if (!isObject(before) || !isObject(after)) return JSON.stringify(before)===JSON.stringify(after) ? [] : [`${JSON.stringify(before)} → ${JSON.stringify(after)}`];
+  const out: string[] = [];
+  for (const k of Object.keys(before)) if (!(k in after)) out.push(`-${k}`);
+  for (const [k, v] of Object.entries(after)){
+    if (!(k in before)) out.push(`+${k}=${JSON.stringify(v)}`);
+    else if (JSON.stringify(before[k])!==JSON.stringify(v)) out.push(`${k}: ${JSON.stringify(before[k])} → ${JSON.stringify(v)}`);
+  }
+  return out;
+}
+
+// =============================
+// METRICS (counters, gauges and histograms per node and edge, sampled into a history)
+// =============================
+// Series are keyed Prometheus-style, `name{label="v"}`. Counters and histograms are bumped as
+// messages move; gauges are read from the world each time the history is sampled.
+export type MetricType = "counter"|"gauge"|"histogram";
+export type Histogram = { counts:number[]; sum:number; count:number }; // counts[i] is per bucket, the last one is +Inf
+export type Metrics = {
+  counters:Record<string, number>; gauges:Record<string, number>; histograms:Record<string, Histogram>;
+  history:{ t:number; values:Record<string, number> }[];
+  sampledAt:number; lastCounts:Record<string, number[]>; // histogram counts at the previous sample
+};
+export const LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 750, 1000, 1500, 2000, 3000, 4000, 5000, 7500, 10000, 30000]; // ms upper bounds
+export const METRICS_SAMPLE_MS = 1000;
+export const METRICS_HISTORY = 300; // samples kept
+export const QUANTILES = [0.5, 0.95, 0.99];
+
+export const METRIC_HELP: Record<string, [MetricType, string]> = {
+  node_messages_in_total:      ["counter", "Messages that arrived at a node"],
+  node_messages_out_total:     ["counter", "Messages a node put on its outgoing edges"],
+  node_queue_dropped_total:    ["counter", "Messages dropped by a full input queue"],
+  node_retries_total:          ["counter", "Processing retries"],
+  node_dead_letters_total:     ["counter", "Messages moved to the dead-letter queue"],
+  edge_messages_total:         ["counter", "Messages put on an edge"],
+  edge_delivered_total:        ["counter", "Messages that arrived at the end of an edge, duplicates included"],
+  edge_lost_total:             ["counter", "Messages lost on an edge by a drop fault"],
+  edge_duplicated_total:       ["counter", "Messages duplicated on an edge by a dup fault"],
+  messages_rejected_total:     ["counter", "Messages that failed schema validation"],
+  sink_writes_total:           ["counter", "Writes into a sink"],
+  sink_duplicate_writes_total: ["counter", "Writes into a sink of a key it already held"],
+  edge_redelivered_total:      ["counter", "Redeliveries after a lost message or a lost ack"],
+  edge_deduplicated_total:     ["counter", "Redundant deliveries dropped by an exactly-once receiver"],
+  node_up:                     ["gauge", "1 unless the node is in an outage"],
+  node_queue_depth:            ["gauge", "Messages waiting in a node's input queue"],
+  node_utilization:            ["gauge", "Share of time a node's queue was serving (EWMA)"],
+  edge_in_flight:              ["gauge", "Messages travelling on or parked at the end of an edge"],
+  edge_hop_latency_ms:         ["histogram", "Time from entering an edge to arriving at its target"],
+  node_wait_ms:                ["histogram", "Time from arriving at a node to being processed"],
+  e2e_latency_ms:              ["histogram", "Time from the root of a trace to a write into a sink"]
+};
+
+export const createMetrics = (): Metrics => ({ counters:{}, gauges:{}, histograms:{}, history:[], sampledAt:0, lastCounts:{} });
+
+export const metricKey = (name:string, labels:Record<string, string|number> = {})=> {
+  const ls = Object.entries(labels).map(([k, v])=>`${k}="${v}"`).join(",");
+  return ls ? `${name}{${ls}}` : name;
+};
+// `name{a="1"}` → ["name", 'a="1"']
+export const splitMetricKey = (key:string): [string, string]=> {
+  const i = key.indexOf("{");
+  return i<0 ? [key, ""] : [key.slice(0, i), key.slice(i+1, -1)];
+};
+
+export function incCounter(m:Metrics, name:string, labels?:Record<string, string|number>, by = 1){
+  const k = metricKey(name, labels);
+  m.counters[k] = (m.counters[k] ?? 0) + by;
+}
+
+export function observe(m:Metrics, name:string, labels:Record<string, string|number>, v:number){
+  const h = m.histograms[metricKey(name, labels)] ??= { counts:Array(LATENCY_BUCKETS.length+1).fill(0), sum:0, count:0 };
+  const i = LATENCY_BUCKETS.findIndex(b=>v<=b);
+  h.counts[i<0 ? LATENCY_BUCKETS.length : i]++;
+  h.sum += v; h.count++;
+}
+
+// Estimated like Prometheus' histogram_quantile: linear within the bucket holding the q-th observation
+export function quantileOf(counts:number[], q:number): number|undefined {
+  const total = counts.reduce((a, b)=>a+b, 0);
+  if (!total) return undefined;
+  const rank = q*total;
+  let seen = 0;
+  for (let i = 0; i<counts.length; i++){
+    if (seen + counts[i] < rank){ seen += counts[i]; continue; }
+    if (i===LATENCY_BUCKETS.length) return LATENCY_BUCKETS[i-1];
+    const lo = i ? LATENCY_BUCKETS[i-1] : 0, hi = LATENCY_BUCKETS[i];
+    return lo + (hi-lo)*(counts[i] ? (rank-seen)/counts[i] : 0);
+  }
+  return LATENCY_BUCKETS[LATENCY_BUCKETS.length-1];
+}
+
+// Gauges and queue counters are read off the world rather than tracked on every change
+function readGauges(w:SimWorld, m:Metrics){
+  m.gauges = {};
+  const inFlight: Record<number, number> = {};
+  for (const msg of w.msgs) inFlight[msg.edgeId] = (inFlight[msg.edgeId] ?? 0) + 1;
+  for (const e of w.edges) m.gauges[metricKey("edge_in_flight", { edge:e.id })] = inFlight[e.id] ?? 0;
+  for (const n of w.nodes){
+    m.gauges[metricKey("node_up", { node:n.id })] = isNodeDown(w, n.id) ? 0 : 1;
+    const q = w.queues[n.id];
+    if (!n.capacity && !q) continue;
+    m.gauges[metricKey("node_queue_depth", { node:n.id })] = q?.items.length ?? 0;
+    m.gauges[metricKey("node_utilization", { node:n.id })] = +(q?.utilization ?? 0).toFixed(3);
+    m.counters[metricKey("node_queue_dropped_total", { node:n.id })] = q?.dropped ?? 0;
+    m.counters[metricKey("node_retries_total", { node:n.id })] = q?.retried ?? 0;
+    m.counters[metricKey("node_dead_letters_total", { node:n.id })] = q?.deadLettered ?? 0;
+  }
+}
+
+// One history point: counters and gauges as they are, histograms as quantiles of the last interval
+export function sampleMetrics(w:SimWorld){
+  const m = w.metrics;
+  readGauges(w, m);
+  const values: Record<string, number> = { ...m.counters, ...m.gauges };
+  for (const [k, h] of Object.entries(m.histograms)){
+    const prev = m.lastCounts[k] ?? [];
+    const delta = h.counts.map((c, i)=>c-(prev[i] ?? 0));
+    for (const q of QUANTILES){ const v = quantileOf(delta, q); if (v!==undefined) values[`${k}:p${q*100}`] = +v.toFixed(1); }
+    m.lastCounts[k] = [...h.counts];
+  }
+  m.history = [...m.history.slice(-(METRICS_HISTORY-1)), { t:w.clock.now, values }];
+  m.sampledAt = w.clock.now;
+}
+
+// Per-second rate of a counter over the last `windowMs`, from the history and the live value
+export function counterRate(m:Metrics, key:string, now:number, windowMs = 6000): number {
+  const from = m.history.find(h=>h.t >= now-windowMs);
+  if (!from || now<=from.t) return 0;
+  return ((m.counters[key] ?? 0) - (from.values[key] ?? 0)) / ((now-from.t)/1000);
+}
+
+// Plottable points of one history series; counters are turned into per-second rates
+export function metricSeries(m:Metrics, key:string): { t:number; v:number }[] {
+  const out: { t:number; v:number }[] = [];
+  const counter = METRIC_HELP[splitMetricKey(key)[0]]?.[0]==="counter";
+  for (let i = 0; i<m.history.length; i++){
+    const h = m.history[i], v = h.values[key];
+    if (v===undefined) continue;
+    if (!counter){ out.push({ t:h.t, v }); continue; }
+    const p = m.history[i-1];
+    if (p) out.push({ t:h.t, v: (v-(p.values[key] ?? 0)) / ((h.t-p.t)/1000) });
+  }
+  return out;
+}
+
+// Every series that has been sampled at least once, sorted for a picker
+export const metricKeys = (m:Metrics)=> [...new Set(m.history.flatMap(h=>Object.keys(h.values)))].sort();
+
+export function e2eLatency(m:Metrics, sink = "rows"){
+  const h = m.histograms[metricKey("e2e_latency_ms", { sink })];
+  return Object.fromEntries(QUANTILES.map(q=>[`p${q*100}`, h && quantileOf(h.counts, q)])) as Record<"p50"|"p95"|"p99", number|undefined>;
+}
+
+// Prometheus text exposition format (version 0.0.4)
+export function metricsToPrometheus(w:SimWorld): string {
+  const m = w.metrics;
+  readGauges(w, m);
+  const byName: Record<string, string[]> = {};
+  const line = (name:string, labels:string, v:number)=> `${name}${labels ? `{${labels}}` : ""} ${v}`;
+  const add = (key:string, render:(name:string, labels:string)=>string[])=>{ const [name, labels] = splitMetricKey(key); (byName[name] ??= []).push(...render(name, labels)); };
+  for (const [k, v] of Object.entries(m.counters)) add(k, (n, l)=>[line(n, l, v)]);
+  for (const [k, v] of Object.entries(m.gauges)) add(k, (n, l)=>[line(n, l, v)]);
+  for (const [k, h] of Object.entries(m.histograms)) add(k, (n, l)=>{
+    const withLe = (le:string)=> l ? `${l},le="${le}"` : `le="${le}"`;
+    let cum = 0;
+    const buckets = h.counts.map((c, i)=>{ cum += c; return line(`${n}_bucket`, withLe(i<LATENCY_BUCKETS.length ? String(LATENCY_BUCKETS[i]) : "+Inf"), cum); });
+    return [...buckets, line(`${n}_sum`, l, h.sum), line(`${n}_count`, l, h.count)];
+  });
+  return Object.keys(byName).sort().map(name=>{
+    const [type, help] = METRIC_HELP[name] ?? ["untyped", name];
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...byName[name]].join("\n");
+  }).join("\n") + "\n";
+}
+
+// JSON snapshot: current values, histogram summaries and the sampled history
+export function metricsToJson(w:SimWorld){
+  const m = w.metrics;
+  readGauges(w, m);
+  const histograms = Object.fromEntries(Object.entries(m.histograms).map(([k, h])=>[k, {
+    count:h.count, sum:h.sum, buckets:Object.fromEntries(h.counts.map((c, i)=>[i<LATENCY_BUCKETS.length ? LATENCY_BUCKETS[i] : "+Inf", c])),
+    ...Object.fromEntries(QUANTILES.map(q=>[`p${q*100}`, quantileOf(h.counts, q)]))
+  }]));
+  return { at:w.clock.now, counters:{ ...m.counters }, gauges:{ ...m.gauges }, histograms, e2e:e2eLatency(m), history:m.history };
+}
+
+// =============================
+// SIMULATION CLOCK + WORLD (virtual time, fixed steps, seeded ids)
+// =============================
+// Everything a run depends on lives in a SimWorld and only changes in stepWorld(), so a seed and
+// a topology always replay the same event sequence, in the browser or headlessly.
+export const SIM_EPOCH = Date.UTC(2024, 0, 1); // virtual t=0
+export const SIM_STEP_MS = 20;
+export type Graph = { nodes:Node[]; edges:Edge[] };
+export type SimClock = { now:number; tick:number; seq:number; rng:Rng };
+export const createClock = (seed:number): SimClock => ({ now:SIM_EPOCH, tick:0, seq:0, rng:makeRng(seed) });
+export const nextId = (c:SimClock, prefix:string)=> `${prefix}-${c.tick}-${++c.seq}`;
+
+export type Log = { t:number; node:number; text:string; type:MessageType; msgId?:string };
+export type ChartPoint = { t:number; v:number };
+export type EngineEvent =
+  | { type:"step"; now:number; tick:number }
+  | { type:"log"; log:Log }
+  | { type:"deliver"; nodeId:number; msg:Message }
+  | { type:"row"; row:SqlRow }
+  | { type:"replay"; entry:JournalEntry }; // a recorded input re-applied after seeking back
+export type SimWorld = {
+  clock:SimClock; seed:number; tickMs:number; nodes:Node[]; edges:Edge[];
+  msgs:Message[]; rows:SqlRow[]; chartPoints:ChartPoint[]; logs:Log[];
+  stages:Record<number, any>; timers:{ api:number; ingest:number };
+  outages:Record<number, number>; // node id → virtual time it comes back up
+  queues:Record<number, NodeQueue>; // input queues of nodes with a capacity model
+  load:number; // multiplier on the built-in producers' rate
+  schemas:SchemaRegistry; schemaMode:SchemaMode;
+  builtins:boolean; // the API and ingest producers below
+  producers:ProducerDef[]; producerStates:Record<string, ProducerState>;
+  traces:Record<string, Span[]>; traceOrder:string[]; spanIndex:Record<string, Span>; spanSeq:number;
+  metrics:Metrics;
+  guarantee:Guarantee; delivery:DeliveryStats;
+  redeliveries:{ at:number; msg:Message }[]; // waiting out the ack timeout
+  seenIds:Record<number, Record<string, number>>; sinkKeys:Record<string, Record<string, number>>; // edge / sink → id → last seen
+  quarantine:{ msg:Message; reason:string; where:string; at:number }[];
+  arrivalLimit?:number; // the next step lets at most this many messages reach a node (single-message stepping)
+  notify?: (e:EngineEvent)=>void;
+};
+
+export function createWorld(graph:Graph, seed:number, tickMs:number): SimWorld {
+  return {
+    clock:createClock(seed), seed, tickMs, nodes:graph.nodes, edges:graph.edges,
+    msgs:[], rows:[], chartPoints:[], logs:[], stages:{}, timers:{ api:0, ingest:0 }, outages:{}, queues:{}, load:1,
+    schemas:createSchemaRegistry(), schemaMode:"quarantine", quarantine:[],
+    builtins:true, producers:[], producerStates:{},
+    traces:{}, traceOrder:[], spanIndex:{}, spanSeq:0, metrics:createMetrics(),
+    guarantee:"at-most-once", delivery:createDeliveryStats(), redeliveries:[], seenIds:{}, sinkKeys:{}
+  };
+}
+
+const lastPoint = (arr:ChartPoint[]) => arr.length ? arr[arr.length-1] : undefined;
+
+export function worldLog(w:SimWorld, node:number, text:string, type:MessageType, msgId?:string){
+  const log: Log = msgId ? { t:w.clock.now, node, text, type, msgId } : { t:w.clock.now, node, text, type };
+  w.logs = [...w.logs.slice(-400), log];
+  w.notify?.({ type:"log", log });
+}
+
+export const stageStateFor = (w:SimWorld, node:Node)=>
+  w.stages[node.id] ??= STAGES[node.behavior!.kind].create(node.behavior);
+
+// Counts a sink write and how long it took since the root of the message's trace
+function recordSink(w:SimWorld, sink:string, from?:Message){
+  incCounter(w.metrics, "sink_writes_total", { sink });
+  const root = from?.trace && w.traces[from.trace.traceId]?.[0];
+  if (root) observe(w.metrics, "e2e_latency_ms", { sink }, w.clock.now - root.start);
+}
+
+// Primary-key semantics on `id`: duplicate deliveries overwrite the row and are logged, not appended
+function upsertRow(w:SimWorld, node:Node, payload:SqlRow, from?:Message){
+  const trace = from?.trace;
+  const i = w.rows.findIndex(r=>r.id===payload.id);
+  // Exactly-once: the write commits in a transaction keyed by row id, so a replay is a no-op
+  if (i>=0 && guaranteeOf(w, edgeIn(w, from?.edgeId))==="exactly-once"){
+    w.delivery.txnSkipped++;
+    worldLog(w, node.id, `COMMIT skipped for ${payload.id} — transaction already committed`, "DataField", from?.id);
+    return;
+  }
+  recordSink(w, "rows", from);
+  countSinkWrite(w, "rows", payload.id);
+  if (i<0){ w.rows = [...w.rows.slice(-999), { ...payload, writes:1, trace }]; w.notify?.({ type:"row", row:w.rows[w.rows.length-1] }); return; }
+  const row = { ...payload, writes:(w.rows[i].writes ?? 1) + 1, trace };
+  w.rows = w.rows.map((r, j)=> j===i ? row : r);
+  worldLog(w, node.id, `UPSERT ${row.id} — duplicate write #${row.writes}`, "DataField", from?.id);
+  w.notify?.({ type:"row", row });
+}
+
+// `current` is the message being delivered: outputs are traced as its children and logs name it
+function worldCtx(w:SimWorld, node:Node, current?:Message): BehaviorContext {
+  return {
+    emit: m=>launch(w, m, current),
+    log: (text, type)=>worldLog(w, node.id, text, type, current?.id),
+    store: (name, payload)=>{
+      if (name==="rows") upsertRow(w, node, payload, current);
+      else { w.chartPoints = [...w.chartPoints.slice(-180), { t:w.clock.now, v:Number(payload?.value)||0 }]; recordSink(w, "chart", current); countSinkWrite(w, "chart", current?.id ?? ""); }
+    },
+    size: name=> name==="rows" ? w.rows.length : w.chartPoints.length,
+    state: ()=>stageStateFor(w, node),
+    stateOf: id=>{ const other = nodeIn(w, id); return other?.behavior && STAGES[other.behavior.kind] ? stageStateFor(w, other) : undefined; },
+    outEdges: ()=>outEdgesIn(w, node.id),
+    nodeOf: id=>nodeIn(w, id),
+    rng: w.clock.rng,
+    now: ()=>w.clock.now
+  };
+}
+
+export function deliverInWorld(w:SimWorld, msg:Message, toNode:number){
+  const n = w.nodes.find(nn=>nn.id===toNode);
+  if (!n?.behavior) return;
+  const handler = BEHAVIORS[n.behavior.kind];
+  if (!handler){ worldLog(w, n.id, `No behavior registered for "${n.behavior.kind}"`, msg.type); return; }
+  w.notify?.({ type:"deliver", nodeId:n.id, msg });
+  const waited = spanOf(w, msg);
+  if (waited?.kind==="node") observe(w.metrics, "node_wait_ms", { node:n.id }, w.clock.now - waited.start);
+  endSpan(w, msg);
+  handler(n.behavior, msg, n, worldCtx(w, n, msg));
+}
+
+// --- Schema checks, at producers and on every edge arrival ---
+// Returns false when the message was rejected or quarantined instead of passing
+export function admitMessage(w:SimWorld, msg:Message, where:string): boolean {
+  if (w.schemaMode==="off") return true;
+  const latest = latestSchema(w.schemas, msg.type);
+  if (!latest) return true;
+  const errors = validatePayload(latest.schema, msg.payload);
+  if (!errors.length) return true;
+  const reason = `${msg.type} v${latest.version}: ${errors.join("; ")}`;
+  const node = edgeIn(w, msg.edgeId)?.[where==="producer" ? "from" : "to"] ?? -1;
+  if (w.schemaMode==="quarantine") w.quarantine = [...w.quarantine.slice(-199), { msg, reason, where, at:w.clock.now }];
+  incCounter(w.metrics, "messages_rejected_total", { type:msg.type });
+  endSpan(w, msg, w.schemaMode==="quarantine" ? "quarantined" : "rejected");
+  worldLog(w, node, `${w.schemaMode==="quarantine" ? "QUARANTINED" : "REJECTED"} ${msg.id} at ${where} — ${reason}`, msg.type, msg.id);
+  return false;
+}
+
+function produce(w:SimWorld, msgs:Message[]){
+  for (const m of msgs) if (admitMessage(w, m, "producer")) launch(w, m);
+}
+
+// --- Producers ---
+export function spawnApiToKafka(w:SimWorld){
+  const c = w.clock;
+  const prev = lastPoint(w.chartPoints)?.v ?? 50;
+  const value = 50 + (c.rng()*20-10) + prev*0.1; // slight trend
+  const payload = { symbol:"AAA", value: Number(value.toFixed(2)) };
+  produce(w, [{ id: nextId(c, "cd"), type:"ChartData", ts: c.now, payload, edgeId:7, progress:0 }]);
+}
+
+export function spawnIngestToEvent(w:SimWorld){
+  const c = w.clock;
+  const payload = { device:"sensor-"+Math.floor(c.rng()*10), field:"temp", value: +(20 + c.rng()*10).toFixed(2) };
+  produce(w, [{ id: nextId(c, "ev"), type:"Event", ts: c.now, payload, edgeId:1, progress:0 }]);
+}
+
+export function publishFromDataServices(w:SimWorld){
+  const n = w.nodes.find(nn=>nn.behavior?.kind==="publisher");
+  if (!n) return;
+  produce(w, publishOnce(stageStateFor(w, n), n.behavior as PublisherBehavior, n, w, w.clock.rng, w.clock.now));
+}
+
+// The toolbar's one-off publish buttons, by name so a recorded session can replay them
+export const MANUAL_SOURCES = { api:spawnApiToKafka, ingest:spawnIngestToEvent, "data-services":publishFromDataServices };
+export type ManualSource = keyof typeof MANUAL_SOURCES;
+
+// --- Outages ---
+export const isNodeDown = (w:SimWorld, nodeId:number)=> (w.outages[nodeId] ?? 0) > w.clock.now;
+
+export function takeNodeDown(w:SimWorld, nodeId:number, forMs:number){
+  w.outages[nodeId] = Math.max(w.outages[nodeId] ?? 0, w.clock.now + forMs);
+  worldLog(w, nodeId, `DOWN for ${(forMs/1000).toFixed(1)}s — arrivals held, schedule paused`, "Event");
+}
+
+export function bringNodeUp(w:SimWorld, nodeId:number){
+  if (!(nodeId in w.outages)) return;
+  delete w.outages[nodeId];
+  const held = w.msgs.filter(m=>m.progress>=1 && edgeIn(w, m.edgeId)?.to===nodeId).length;
+  worldLog(w, nodeId, `UP again — releasing ${held} held message(s)`, "Event");
+}
+
+// Starts scheduled outages whose time falls in this step and ends the ones that ran out
+function updateOutages(w:SimWorld, prevNow:number){
+  for (const n of w.nodes) for (const o of n.fault?.outages ?? []){
+    const at = SIM_EPOCH + o.atMs;
+    if (prevNow < at && at <= w.clock.now) takeNodeDown(w, n.id, o.forMs);
+  }
+  for (const id of Object.keys(w.outages).map(Number)) if (w.outages[id] <= w.clock.now) bringNodeUp(w, id);
+}
+
+// Delivers every message that reached the end of its edge, in queue order. Messages for a downed
+// node or a blocking queue stay parked at the end of the edge; drop and duplicate faults are decided on arrival.
+// At most `limit` messages are taken per call (the rest wait for the next one); returns how many were taken.
+export function flushArrivals(w:SimWorld, limit = Infinity){
+  const arrived = w.msgs.filter(m=>m.progress>=1);
+  if (!arrived.length) return 0;
+  w.msgs = w.msgs.filter(m=>m.progress<1);
+  const parked: Message[] = [];
+  const rng = w.clock.rng;
+  let taken = 0;
+  for (const m of arrived){
+    const e = edgeIn(w, m.edgeId), to = e && nodeIn(w, e.to);
+    if (!to) continue;
+    if (taken >= limit || isNodeDown(w, to.id) || isBlocking(w, to)){ parked.push(m); continue; }
+    taken++;
+    if (!admitMessage(w, m, `edge ${e.id}`)) continue;
+    if (isRedundant(w, e, m)) continue;
+    const f = effectiveFault(e, to), acked = guaranteeOf(w, e)!=="at-most-once";
+    if (f?.dropRate > 0 && rng() < f.dropRate){
+      incCounter(w.metrics, "edge_lost_total", { edge:e.id });
+      endSpan(w, m, acked ? "lost (redelivering)" : "lost");
+      if (acked){ scheduleRedelivery(w, e, m, "lost"); continue; }
+      countLoss(w, "edge");
+      worldLog(w, e.to, `LOST ${m.id} on edge ${e.id} (drop fault)`, m.type, m.id);
+      continue;
+    }
+    markDelivered(w, e, m);
+    arrive(w, enterNode(w, m, to), to);
+    // The ack travels back over the same faulty link
+    if (acked && f?.dropRate > 0 && rng() < f.dropRate){ w.delivery.acksLost++; scheduleRedelivery(w, e, m, "ack lost"); }
+    if (f?.dupRate > 0 && rng() < f.dupRate){
+      incCounter(w.metrics, "edge_duplicated_total", { edge:e.id });
+      if (isRedundant(w, e, m)) continue;
+      worldLog(w, e.to, `DUPLICATED ${m.id} on edge ${e.id} (dup fault)`, m.type, m.id);
+      arrive(w, enterNode(w, m, to, "duplicate"), to);
+    }
+  }
+  if (parked.length) w.msgs = [...parked, ...w.msgs];
+  return taken;
+}
+
+function tickStages(w:SimWorld, dt:number){
+  for (const n of w.nodes){
+    if (isNodeDown(w, n.id)) continue;
+    const stage = n.behavior && STAGES[n.behavior.kind];
+    if (!stage?.tick) continue;
+    const { emit, events } = stage.tick(n.behavior, stageStateFor(w, n), n, outEdgesIn(w, n.id), dt, w.clock.now, w.clock.rng, w);
+    for (const ev of events) worldLog(w, n.id, ev, stage.logType);
+    if (stage.producer) produce(w, emit); else for (const m of emit) launch(w, m);
+  }
+}
+
+// One fixed step of virtual time: producers, edge travel, arrivals, then stage schedules.
+// Returns how many messages arrived at a node; `maxArrivals` holds back the rest (single-message stepping).
+export function stepWorld(w:SimWorld, maxArrivals = Infinity){
+  const c = w.clock;
+  c.tick++; c.now += SIM_STEP_MS;
+  updateOutages(w, c.now - SIM_STEP_MS);
+  w.timers.api += SIM_STEP_MS; w.timers.ingest += SIM_STEP_MS;
+  if (w.builtins && w.timers.api >= Math.max(250, w.tickMs*0.8)/w.load){ w.timers.api = 0; spawnApiToKafka(w); }
+  if (w.builtins && w.timers.ingest >= Math.max(1000, w.tickMs*2)/w.load){ w.timers.ingest = 0; spawnIngestToEvent(w); }
+  runProducers(w, SIM_STEP_MS);
+  releaseRedeliveries(w);
+  w.msgs = w.msgs.map(m=>{
+    if (m.progress===0 && m.travelMs===undefined){
+      const e = edgeIn(w, m.edgeId);
+      const travelMs = e && travelTimeFor(effectiveFault(e, nodeIn(w, e.to)), w.tickMs, c.rng);
+      if (travelMs!==undefined) m = { ...m, travelMs };
+    }
+    return { ...m, progress: Math.min(1, m.progress + SIM_STEP_MS/(m.travelMs ?? w.tickMs)) };
+  });
+  const arrived = flushArrivals(w, maxArrivals);
+  serviceQueues(w, SIM_STEP_MS);
+  tickStages(w, SIM_STEP_MS);
+  if (c.now - w.metrics.sampledAt >= METRICS_SAMPLE_MS) sampleMetrics(w);
+  w.notify?.({ type:"step", now:c.now, tick:c.tick });
+  return arrived;
+}
+
+// Headless helper: advance `ms` of virtual time
+export function runWorld(w:SimWorld, ms:number){
+  for (let t=0; t<ms; t+=SIM_STEP_MS) stepWorld(w);
+  return w;
+}
+
+// =============================
+// TIMELINE (keyframes, input journal, recorded sessions)
+// =============================
+// A run is fully determined by its seed, its starting config and its inputs. The engine journals every
+// input with the tick it happened at and keeps a keyframe of the world every few seconds; seeking
+// restores the nearest earlier keyframe and replays the journal up to the target tick. Inputs never move
+// the clock, so a seek lands exactly on its tick.
+export const KEYFRAME_EVERY_TICKS = 250; // 5 s of virtual time; the spacing doubles each time KEYFRAME_LIMIT is reached
+export const KEYFRAME_LIMIT = 120;
+export const SESSION_VERSION = 1;
+export const JOURNAL_LIMIT = 5000; // inputs kept; past it older history is compacted away (a long live bridge session)
+export type JournalEntry = { tick:number; op:string; args:any[] };
+export type Keyframe = { tick:number; now:number; state:any };
+// What a run starts from besides the seed; inputs after t=0 live in the journal
+export type RunConfig = {
+  nodes:Node[]; edges:Edge[]; tickMs:number; load:number; schemas:SchemaRegistry; schemaMode:SchemaMode;
+  guarantee:Guarantee; producers:ProducerDef[]; builtins:boolean
+};
+// `start` is set once history was compacted: the run resumes from that keyframe instead of t=0
+export type SessionDoc = { version:number; seed:number; config:RunConfig; journal:JournalEntry[]; endTick:number; start?:Keyframe };
+
+// Traces and the metrics history are observations, not state: they are not stored in keyframes,
+// and a restore cuts them back to the restored time instead
+const NOT_IN_KEYFRAME = ["notify","clock","traces","traceOrder","spanIndex","metrics"];
+
+export const runConfigOf = (w:SimWorld): RunConfig => {
+  const { nodes, edges, tickMs, load, schemas, schemaMode, guarantee, producers, builtins } = w;
+  return { nodes, edges, tickMs, load, schemas, schemaMode, guarantee, producers, builtins };
+};
+
+export function captureKeyframe(w:SimWorld): Keyframe {
+  const state: any = {};
+  for (const [k, v] of Object.entries(w)) if (!NOT_IN_KEYFRAME.includes(k)) state[k] = v;
+  const { history:_, ...metrics } = w.metrics;
+  const clock = { now:w.clock.now, tick:w.clock.tick, seq:w.clock.seq, rng:w.clock.rng.state() };
+  return { tick:w.clock.tick, now:w.clock.now, state:structuredClone({ ...state, metrics, clock }) };
+}
+
+export function restoreKeyframe(w:SimWorld, k:Keyframe){
+  const { clock, metrics, ...state } = structuredClone(k.state);
+  Object.assign(w, state);
+  w.clock = { now:clock.now, tick:clock.tick, seq:clock.seq, rng:rngFromState(clock.rng) };
+  w.metrics = { ...metrics, history:w.metrics.history.filter(h=>h.t <= clock.now) };
+  for (const id of w.traceOrder){
+    const spans = w.traces[id].filter(s=>Number(s.spanId.slice(1)) <= w.spanSeq);
+    for (const s of spans) if (s.end > clock.now) s.end = undefined;
+    if (spans.length) w.traces[id] = spans; else delete w.traces[id];
+  }
+  w.traceOrder = w.traceOrder.filter(id=>w.traces[id]);
+  w.spanIndex = {};
+  for (const id of w.traceOrder) for (const s of w.traces[id]) w.spanIndex[s.spanId] = s;
+}
+
+export function parseSession(text:string): { ok:boolean; doc?:SessionDoc; errors:string[] } {
+  let raw:any;
+  try { raw = JSON.parse(text); }
+  catch (e:any) { return { ok:false, errors:[`Invalid JSON: ${e?.message ?? e}`] }; }
+  const errors: string[] = [];
+  if (!isObj(raw)) return { ok:false, errors:["session: expected a JSON object"] };
+  if (raw.version!==SESSION_VERSION) errors.push(`version: expected ${SESSION_VERSION}, got ${JSON.stringify(raw.version)}`);
+  if (!Number.isInteger(raw.seed)) errors.push("seed: expected an integer");
+  if (!Number.isInteger(raw.endTick) || raw.endTick<0) errors.push("endTick: expected an integer ≥ 0");
+  if (!isObj(raw.config) || !Array.isArray(raw.config.nodes) || !Array.isArray(raw.config.edges)) errors.push("config: expected nodes and edges");
+  if (raw.start!==undefined && (!isObj(raw.start) || !Number.isInteger(raw.start.tick) || !isObj(raw.start.state))) errors.push("start: expected a keyframe { tick, now, state }");
+  if (!Array.isArray(raw.journal)) errors.push("journal: expected an array");
+  else raw.journal.forEach((j:any, i:number)=>{
+    if (!isObj(j) || !Number.isInteger(j.tick) || typeof j.op!=="string" || !Array.isArray(j.args)) errors.push(`journal[${i}]: expected { tick, op, args }`);
+    else if (!ENGINE_OPS.includes(j.op)) errors.push(`journal[${i}].op: unknown input "${j.op}"`);
+    else if (i && j.tick < raw.journal[i-1].tick) errors.push(`journal[${i}].tick: entries must be in tick order`);
+  });
+  return errors.length ? { ok:false, errors } : { ok:true, doc:raw, errors:[] };
+}
+
+// =============================
+// ENGINE (the public, framework-free facade over a SimWorld)
+// =============================
+export type EngineSnapshot = {
+  seed:number; now:number; tick:number;
+  msgs:Message[]; rows:SqlRow[]; chartPoints:ChartPoint[]; logs:Log[]; stages:Record<number, any>;
+  outages:Record<number, number>; queues:Record<number, NodeQueue>; quarantine:SimWorld["quarantine"]; delivery:DeliveryStats;
+};
+type Listener = (e:any)=>void;
+export type Engine = {
+  readonly world: SimWorld;
+  step: (dt:number)=>number;
+  deliverNext: ()=>boolean; // runs until exactly one message arrives at a node
+  inject: (edgeId:number, payload:any, type?:MessageType)=>Message; // schema-checked like any producer
+  publish: (source:ManualSource)=>void;
+  setSchemaMode: (mode:SchemaMode)=>void;
+  setGuarantee: (g:Guarantee)=>void; // edges without their own setting
+  setProducers: (defs:ProducerDef[], builtins?:boolean)=>void;
+  registerSchema: (subject:string, schema:JsonSchema)=>ReturnType<typeof registerSchema>;
+  setCompatibility: (subject:string, c:Compatibility)=>void;
+  resetStage: (nodeId:number)=>void; // drops a node's operator state, e.g. after reconfiguring it
+  clear: (what:"rows"|"quarantine"|"dlq", nodeId?:number)=>void;
+  trace: (traceId:string)=>Span[];
+  metrics: ()=>ReturnType<typeof metricsToJson>;
+  prometheus: ()=>string;
+  on: <T extends EngineEvent["type"]>(type:T, fn:(e:Extract<EngineEvent, { type:T }>)=>void)=>()=>void;
+  snapshot: ()=>EngineSnapshot;
+  setGraph: (g:Graph)=>void; // messages on edges that no longer exist are dropped
+  setTickMs: (ms:number)=>void;
+  setLoad: (x:number)=>void;
+  reset: (seed?:number, config?:Partial<RunConfig>)=>void; // `config` replaces parts of the current one
+  forceArrivals: ()=>void;
+  takeDown: (nodeId:number, forMs:number)=>void;
+  bringUp: (nodeId:number)=>void;
+  seek: (tick:number)=>void;
+  timeline: ()=>{ tick:number; start:number; horizon:number; keyframes:number[]; journal:JournalEntry[] };
+  exportSession: ()=>SessionDoc;
+  loadSession: (doc:SessionDoc)=>void; // replays it to its end once, then rewinds to t=0
+};
+
+// Every input the engine journals; each one is replayed by name when seeking
+const OPS: Record<string, (w:SimWorld, ...args:any[])=>any> = {
+  inject(w, edgeId:number, payload:any, type:MessageType){
+    const m: Message = { id: nextId(w.clock, "inj"), type, ts: w.clock.now, payload, edgeId, progress:0 };
+    if (admitMessage(w, m, "producer")) launch(w, m);
+    return m;
+  },
+  publish(w, source:ManualSource){ MANUAL_SOURCES[source]?.(w); },
+  setGraph(w, g:Graph){
+    w.nodes = g.nodes; w.edges = g.edges;
+    const live = new Set(g.edges.map(e=>e.id));
+    if (w.msgs.some(m=>!live.has(m.edgeId))) w.msgs = w.msgs.filter(m=>live.has(m.edgeId));
+  },
+  setTickMs(w, ms:number){ w.tickMs = ms; },
+  setLoad(w, x:number){ w.load = x; },
+  setSchemaMode(w, mode:SchemaMode){ w.schemaMode = mode; },
+  setGuarantee(w, g:Guarantee){ w.guarantee = g; },
+  setProducers(w, defs:ProducerDef[], builtins:boolean){ w.producers = defs; w.builtins = builtins; },
+  registerSchema(w, subject:string, schema:JsonSchema){ return registerSchema(w.schemas, subject, schema); },
+  setCompatibility(w, subject:string, c:Compatibility){ if (w.schemas[subject]) w.schemas[subject].compatibility = c; },
+  resetStage(w, nodeId:number){ delete w.stages[nodeId]; },
+  clear(w, what:string, nodeId?:number){
+    if (what==="rows") w.rows = [];
+    else if (what==="quarantine") w.quarantine = [];
+    else if (what==="dlq" && w.queues[nodeId]) w.queues[nodeId].dlq = [];
+  },
+  forceArrivals(w){ w.msgs = w.msgs.map(m=>({ ...m, progress:1 })); flushArrivals(w); },
+  // One message already waiting at the end of an edge; with none, the engine steps on and journals limitArrivals
+  deliverNext(w){ return flushArrivals(w, 1) > 0; },
+  limitArrivals(w, n:number){ w.arrivalLimit = n; },
+  takeDown(w, nodeId:number, forMs:number){ takeNodeDown(w, nodeId, forMs); },
+  bringUp(w, nodeId:number){ bringNodeUp(w, nodeId); }
+};
+export const ENGINE_OPS = Object.keys(OPS);
+
+// Usable without a browser: `const e = createEngine({ seed:7 }); e.step(60_000); e.snapshot().rows.length`
+export function createEngine(opts:{ graph?:Graph; seed?:number; tickMs?:number } = {}): Engine {
+  const listeners: Record<string, Set<Listener>> = {};
+  const notify = (e:EngineEvent)=> listeners[e.type]?.forEach(fn=>fn(e));
+  const make = (g:Graph, seed:number, tickMs:number)=>{ const w = createWorld(g, seed, tickMs); w.notify = notify; return w; };
+  let world = make(opts.graph ?? { nodes:BASE_NODES, edges:EDGES }, opts.seed ?? 42, opts.tickMs ?? 800);
+  let pending = 0; // virtual ms not yet consumed by a whole step
+  // journal[cursor..] are inputs ahead of the current tick (after seeking back); horizon is the last tick reached
+  let journal: JournalEntry[] = [], cursor = 0, keyframes: Keyframe[] = [captureKeyframe(world)], horizon = 0;
+  let every = KEYFRAME_EVERY_TICKS; // keyframe spacing, so they stay spread over the whole run
+
+  const keep = ()=>{
+    const t = world.clock.tick;
+    if (t % every || keyframes.some(k=>k.tick===t)) return;
+    keyframes.push(captureKeyframe(world));
+    keyframes.sort((a, b)=>a.tick-b.tick);
+    if (keyframes.length > KEYFRAME_LIMIT){ every *= 2; keyframes = keyframes.filter((k, i)=> !i || k.tick % every===0); } // the start always stays
+  };
+  const applyDue = ()=>{
+    while (cursor < journal.length && journal[cursor].tick <= world.clock.tick){
+      const j = journal[cursor++];
+      replay[j.op](...structuredClone(j.args));
+      world.notify?.({ type:"replay", entry:j });
+    }
+  };
+  const advance = (maxArrivals = Infinity)=>{
+    applyDue();
+    const limit = Math.min(maxArrivals, world.arrivalLimit ?? Infinity);
+    delete world.arrivalLimit;
+    const arrived = stepWorld(world, limit);
+    keep();
+    horizon = Math.max(horizon, world.clock.tick);
+    return arrived;
+  };
+  const replay: Record<string, (...args:any[])=>any> = Object.fromEntries(Object.keys(OPS).map(op=>[op, (...args:any[])=>OPS[op](world, ...args)]));
+  // Past JOURNAL_LIMIT inputs the history before a keyframe is dropped and that keyframe becomes the start
+  // of the run; with none old enough, the current state does (every input so far is already applied)
+  const compact = ()=>{
+    if (journal.length <= JOURNAL_LIMIT) return;
+    const from = journal[journal.length - Math.floor(JOURNAL_LIMIT/2)].tick;
+    const base = [...keyframes].reverse().find(k=>k.tick <= from);
+    if (base && base!==keyframes[0]){
+      journal = journal.filter(j=>j.tick >= base.tick);
+      keyframes = keyframes.filter(k=>k.tick >= base.tick);
+    } else { journal = []; keyframes = [captureKeyframe(world)]; }
+    cursor = journal.length;
+  };
+  // A new input while looking at the past drops the recorded future and starts a new one from here
+  const perform = (op:string, ...args:any[])=>{
+    if (cursor < journal.length) journal = journal.slice(0, cursor);
+    keyframes = keyframes.filter(k=>k.tick <= world.clock.tick);
+    horizon = world.clock.tick;
+    journal.push({ tick:world.clock.tick, op, args:structuredClone(args) });
+    cursor = journal.length;
+    const out = replay[op](...args);
+    compact();
+    return out;
+  };
+  // Re-simulating history must not re-emit its events to subscribers
+  const quietly = (fn:()=>void)=>{ world.notify = undefined; try { fn(); } finally { world.notify = notify; } };
+  const seek = (tick:number)=>{
+    tick = Math.max(keyframes[0].tick, Math.floor(tick));
+    const k = [...keyframes].reverse().find(kf=>kf.tick <= tick)!;
+    quietly(()=>{
+      if (!(world.clock.tick >= k.tick && world.clock.tick <= tick)){
+        restoreKeyframe(world, k);
+        cursor = journal.findIndex(j=>j.tick >= k.tick);
+        if (cursor<0) cursor = journal.length;
+      }
+      while (world.clock.tick < tick) advance();
+      applyDue();
+    });
+    pending = 0;
+  };
+  const restart = (g:Graph, seed:number, config?:Partial<RunConfig>)=>{
+    world = make(g, seed, config?.tickMs ?? world.tickMs);
+    if (config) Object.assign(world, config);
+    journal = []; cursor = 0; keyframes = [captureKeyframe(world)]; horizon = 0; pending = 0; every = KEYFRAME_EVERY_TICKS;
+  };
+
+  return {
+    get world(){ return world; },
+    // Advances `dt` ms of virtual time in fixed steps; returns how many steps ran
+    step(dt){
+      pending += Math.max(0, dt);
+      let n = 0;
+      while (pending >= SIM_STEP_MS){ pending -= SIM_STEP_MS; advance(); n++; }
+      return n;
+    },
+    // Runs one message to its node: one already waiting at the end of an edge, else the next to arrive.
+    // Only the step that brings it in is limited, so that is journaled, at the tick before it
+    deliverNext(){
+      if (perform("deliverNext")) return true;
+      for (let i = 0; i < 15000; i++){ // 5 virtual minutes at most
+        const at = world.clock.tick;
+        if (!advance(1)) continue;
+        journal.push({ tick:at, op:"limitArrivals", args:[1] });
+        cursor = journal.length;
+        return true;
+      }
+      return false;
+    },
+    inject(edgeId, payload, type = "ChartData"){
+      if (!world.edges.some(e=>e.id===edgeId)) throw new Error(`inject: unknown edge ${edgeId}`);
+      return perform("inject", edgeId, payload, type);
+    },
+    publish(source){ perform("publish", source); },
+    on(type, fn){
+      (listeners[type] ??= new Set()).add(fn);
+      return ()=>{ listeners[type].delete(fn); };
+    },
+    snapshot(){
+      const { seed, clock, msgs, rows, chartPoints, logs, stages, outages, queues, quarantine, delivery } = world;
+      return structuredClone({ seed, now:clock.now, tick:clock.tick, msgs, rows, chartPoints, logs, stages, outages, queues, quarantine, delivery });
+    },
+    // Setters are called on every render, so only real changes are journaled
+    setGraph(g){ if (g.nodes!==world.nodes || g.edges!==world.edges) perform("setGraph", g); },
+    setTickMs(ms){ if (ms!==world.tickMs) perform("setTickMs", ms); },
+    setLoad(x){ x = Math.max(0.1, x); if (x!==world.load) perform("setLoad", x); },
+    setSchemaMode(mode){ if (mode!==world.schemaMode) perform("setSchemaMode", mode); },
+    setGuarantee(g){ if (g!==world.guarantee) perform("setGuarantee", g); },
+    setProducers(defs, builtins = world.builtins){ if (defs!==world.producers || builtins!==world.builtins) perform("setProducers", defs, builtins); },
+    registerSchema(subject, schema){ return perform("registerSchema", subject, schema); },
+    setCompatibility(subject, c){ perform("setCompatibility", subject, c); },
+    resetStage(nodeId){ perform("resetStage", nodeId); },
+    clear(what, nodeId){ perform("clear", what, nodeId); },
+    trace(traceId){ return traceSpans(world, traceId); },
+    metrics(){ return structuredClone(metricsToJson(world)); },
+    prometheus(){ return metricsToPrometheus(world); },
+    // Settings and the schema registry carry over; everything the run produced starts fresh
+    reset(seed = world.seed, override = {}){
+      const { nodes, edges, ...config } = { ...runConfigOf(world), ...override };
+      restart({ nodes, edges }, seed, config);
+    },
+    forceArrivals(){ perform("forceArrivals"); },
+    takeDown(nodeId, forMs){ perform("takeDown", nodeId, forMs); },
+    bringUp(nodeId){ perform("bringUp", nodeId); },
+    seek,
+    timeline(){ return { tick:world.clock.tick, start:keyframes[0].tick, horizon, keyframes:keyframes.map(k=>k.tick), journal }; },
+    exportSession(){
+      const base = keyframes[0], { clock:_, ...start } = base.state;
+      return structuredClone({ version:SESSION_VERSION, seed:world.seed, config:runConfigOf(start), journal, endTick:horizon, ...(base.tick ? { start:base } : {}) });
+    },
+    loadSession(doc){
+      const { nodes, edges, ...config } = structuredClone(doc.config);
+      restart({ nodes, edges }, doc.seed, config);
+      if (doc.start){ restoreKeyframe(world, doc.start); keyframes = [structuredClone(doc.start)]; }
+      journal = structuredClone(doc.journal);
+      seek(doc.endTick);
+      seek(0);
+    }
+  };
+}
+
+// =============================
+// TOPOLOGY DOCUMENT (import/export)
+// =============================
+export const TOPOLOGY_VERSION = 1;
+type SimSettings = { seed:number; tickMs:number; speed:number };
+export type TopologyDoc = { version:number; nodes:Node[]; edges:Edge[]; settings:SimSettings; producers?:ProducerDef[] };
+export type TopologyResult = { ok:boolean; doc?:TopologyDoc; errors:string[] };
+
+export function exportTopology(nodes:Node[], edges:Edge[], settings:SimSettings, includeBehaviors:boolean, producers:ProducerDef[] = []): TopologyDoc {
+  const doc: TopologyDoc = {
+    version: TOPOLOGY_VERSION,
+    nodes: nodes.map(({ behavior, ...n })=> includeBehaviors && behavior ? { ...n, behavior } : n),
+    edges: edges.map(e=>({ ...e })),
+    settings: { ...settings }
+  };
+  if (producers.length) doc.producers = producers.map(p=>({ ...p }));
+  return doc;
+}
+
+const isObj = (v:any)=> v!=null && typeof v==="object" && !Array.isArray(v);
+const isNum = (v:any)=> typeof v==="number" && Number.isFinite(v);
+
+function validateCapacity(at:string, c:any, errors:string[]){
+  if (!isObj(c)){ errors.push(`${at}: expected an object`); return; }
+  if (!(isNum(c.serviceRate) && c.serviceRate>0)) errors.push(`${at}.serviceRate: expected a number > 0`);
+  if (c.queueSize!==undefined && !(Number.isInteger(c.queueSize) && c.queueSize>=1)) errors.push(`${at}.queueSize: expected an integer ≥ 1`);
+  if (c.overflow!==undefined && !OVERFLOW_POLICIES.includes(c.overflow)) errors.push(`${at}.overflow: expected one of ${OVERFLOW_POLICIES.join("|")}`);
+  if (c.failureRate!==undefined && !(isNum(c.failureRate) && c.failureRate>=0 && c.failureRate<=1)) errors.push(`${at}.failureRate: expected a number in 0..1`);
+  if (c.maxRetries!==undefined && !(Number.isInteger(c.maxRetries) && c.maxRetries>=0)) errors.push(`${at}.maxRetries: expected an integer ≥ 0`);
+  for (const k of ["backoffMs","backoffMaxMs"]) if (c[k]!==undefined && !(isNum(c[k]) && c[k]>=0)) errors.push(`${at}.${k}: expected a number ≥ 0`);
+}
+
+function validateProducer(at:string, p:any, edgeIds:Set<number>, errors:string[]){
+  if (!isObj(p)){ errors.push(`${at}: expected an object`); return; }
+  if (typeof p.id!=="string" || !p.id) errors.push(`${at}.id: expected a non-empty string`);
+  if (typeof p.name!=="string") errors.push(`${at}.name: expected a string`);
+  if (!edgeIds.has(p.edgeId)) errors.push(`${at}.edgeId: unknown edge id ${JSON.stringify(p.edgeId)}`);
+  if (!MESSAGE_TYPES.includes(p.type)) errors.push(`${at}.type: expected one of ${MESSAGE_TYPES.join("|")}`);
+  if (typeof p.enabled!=="boolean") errors.push(`${at}.enabled: expected a boolean`);
+  const r = p.rate, need = { constant:["perSec"], poisson:["perSec"], bursty:["perSec","burstPerSec","burstMs","everyMs"], sine:["perSec","amplitude","periodMs"] }[r?.kind];
+  if (!isObj(r) || !need) errors.push(`${at}.rate.kind: expected one of ${RATE_KINDS.join("|")}`);
+  else for (const k of need) if (!(isNum(r[k]) && r[k]>=0)) errors.push(`${at}.rate.${k}: expected a number ≥ 0`);
+  if (p.template!==undefined && !isObj(p.template)) errors.push(`${at}.template: expected an object`);
+  if (p.symbols!==undefined && !(Array.isArray(p.symbols) && p.symbols.every((x:any)=>typeof x==="string"))) errors.push(`${at}.symbols: expected an array of strings`);
+  if (p.replay!==undefined){
+    const rp = p.replay;
+    if (!isObj(rp) || !Array.isArray(rp.records) || !rp.records.every((x:any)=>isObj(x) && isNum(x.at))) errors.push(`${at}.replay.records: expected an array of { at, payload }`);
+    if (!(isNum(rp?.speed) && rp.speed>0)) errors.push(`${at}.replay.speed: expected a number > 0`);
+  }
+}
+
+function validateWindow(at:string, b:any, errors:string[]){
+  const w = b.window, pos = (v:any)=> isNum(v) && v>0;
+  if (!isObj(w) || !(WINDOW_TYPES as readonly string[]).includes(w.type)) errors.push(`${at}.window.type: expected one of ${WINDOW_TYPES.join("|")}`);
+  else if (w.type==="session" ? !pos(w.gapMs) : !pos(w.sizeMs)) errors.push(`${at}.window: expected a positive ${w.type==="session" ? "gapMs" : "sizeMs"}`);
+  else if (w.type==="sliding" && !(pos(w.slideMs) && w.slideMs<=w.sizeMs)) errors.push(`${at}.window.slideMs: expected a positive number ≤ sizeMs`);
+  if (b.aggs!==undefined && !(Array.isArray(b.aggs) && b.aggs.length && b.aggs.every((a:any)=>WINDOW_AGGS.includes(a)))) errors.push(`${at}.aggs: expected a non-empty list of ${WINDOW_AGGS.join("|")}`);
+  for (const k of ["watermarkMs","allowedLatenessMs","idleMs"]) if (b[k]!==undefined && !(isNum(b[k]) && b[k]>=0)) errors.push(`${at}.${k}: expected a number ≥ 0`);
+  if (b.alpha!==undefined && !(isNum(b.alpha) && b.alpha>0 && b.alpha<=1)) errors.push(`${at}.alpha: expected a number in (0, 1]`);
+  if (b.join!==undefined && !(isObj(b.join) && MESSAGE_TYPES.includes(b.join.type))) errors.push(`${at}.join.type: expected one of ${MESSAGE_TYPES.join("|")}`);
+}
+
+function validateFault(at:string, f:any, errors:string[], allowOutages:boolean){
+  if (!isObj(f)){ errors.push(`${at}: expected an object`); return; }
+  for (const k of ["dropRate","dupRate"]) if (f[k]!==undefined && !(isNum(f[k]) && f[k]>=0 && f[k]<=1)) errors.push(`${at}.${k}: expected a number in 0..1`);
+  if (f.jitterMs!==undefined && !(isNum(f.jitterMs) && f.jitterMs>=0)) errors.push(`${at}.jitterMs: expected a number ≥ 0`);
+  if (f.latency!==undefined){
+    const l = f.latency, need = { fixed:["ms"], uniform:["min","max"], normal:["mean","sd"], exponential:["mean"] }[l?.dist];
+    if (!isObj(l) || !need) errors.push(`${at}.latency.dist: expected one of ${LATENCY_DISTS.join("|")}`);
+    else for (const k of need) if (!(isNum(l[k]) && l[k]>=0)) errors.push(`${at}.latency.${k}: expected a number ≥ 0`);
+  }
+  if (f.outages!==undefined){
+    if (!allowOutages || !Array.isArray(f.outages)) errors.push(`${at}.outages: ${allowOutages ? "expected an array" : "only nodes can have outages"}`);
+    else f.outages.forEach((o:any, i:number)=>{ if (!isObj(o) || !isNum(o.atMs) || !(isNum(o.forMs) && o.forMs>0)) errors.push(`${at}.outages[${i}]: expected { atMs, forMs>0 }`); });
+  }
+}
+
+// Collects every problem instead of stopping at the first, so a hand-edited file can be fixed in one pass
+export function validateTopology(raw:any): TopologyResult {
+  const errors: string[] = [];
+  if (!isObj(raw)) return { ok:false, errors:["document: expected a JSON object"] };
+  if (raw.version!==TOPOLOGY_VERSION) errors.push(`version: expected ${TOPOLOGY_VERSION}, got ${JSON.stringify(raw.version)}`);
+
+  const nodeIds = new Set<number>();
+  if (!Array.isArray(raw.nodes) || !raw.nodes.length) errors.push("nodes: expected a non-empty array");
+  else raw.nodes.forEach((n:any, i:number)=>{
+    const at = `nodes[${i}]`;
+    if (!isObj(n)){ errors.push(`${at}: expected an object`); return; }
+    if (!Number.isInteger(n.id)) errors.push(`${at}.id: expected an integer`);
+    else if (nodeIds.has(n.id)) errors.push(`${at}.id: duplicate node id ${n.id}`);
+    else nodeIds.add(n.id);
+    if (typeof n.name!=="string" || !n.name) errors.push(`${at}.name: expected a non-empty string`);
+    if (!NODE_TYPES.includes(n.type)) errors.push(`${at}.type: expected one of ${NODE_TYPES.join("|")}, got ${JSON.stringify(n.type)}`);
+    for (const k of ["x","y"]) if (!isNum(n[k]) || n[k]<0 || n[k]>CANVAS_MAX) errors.push(`${at}.${k}: expected a number in 0..${CANVAS_MAX}`);
+    if (n.behavior!==undefined){
+      if (!isObj(n.behavior) || typeof n.behavior.kind!=="string") errors.push(`${at}.behavior: expected an object with a string "kind"`);
+      else if (!BEHAVIORS[n.behavior.kind]) errors.push(`${at}.behavior.kind: unknown behavior "${n.behavior.kind}"`);
+      else if (n.behavior.kind==="window") validateWindow(`${at}.behavior`, n.behavior, errors);
+    }
+    if (n.fault!==undefined) validateFault(`${at}.fault`, n.fault, errors, true);
+    if (n.capacity!==undefined) validateCapacity(`${at}.capacity`, n.capacity, errors);
+  });
+
+  const edgeIds = new Set<number>();
+  if (!Array.isArray(raw.edges)) errors.push("edges: expected an array");
+  else raw.edges.forEach((e:any, i:number)=>{
+    const at = `edges[${i}]`;
+    if (!isObj(e)){ errors.push(`${at}: expected an object`); return; }
+    if (!Number.isInteger(e.id)) errors.push(`${at}.id: expected an integer`);
+    else if (edgeIds.has(e.id)) errors.push(`${at}.id: duplicate edge id ${e.id}`);
+    else edgeIds.add(e.id);
+    for (const k of ["from","to"]) if (!nodeIds.has(e[k])) errors.push(`${at}.${k}: unknown node id ${JSON.stringify(e[k])}`);
+    if (e.label!==undefined && typeof e.label!=="string") errors.push(`${at}.label: expected a string`);
+    if (e.fault!==undefined) validateFault(`${at}.fault`, e.fault, errors, false);
+    if (e.guarantee!==undefined && !GUARANTEES.includes(e.guarantee)) errors.push(`${at}.guarantee: expected one of ${GUARANTEES.join("|")}`);
+    if (e.waypoints!==undefined && !(Array.isArray(e.waypoints) && e.waypoints.every((p:any)=>isObj(p) && isNum(p.x) && isNum(p.y))))
+      errors.push(`${at}.waypoints: expected an array of { x, y }`);
+  });
+
+  if (raw.producers!==undefined){
+    if (!Array.isArray(raw.producers)) errors.push("producers: expected an array");
+    else raw.producers.forEach((p:any, i:number)=> validateProducer(`producers[${i}]`, p, edgeIds, errors));
+  }
+
+  const st = raw.settings ?? {};
+  if (!isObj(st)) errors.push("settings: expected an object");
+  else {
+    if (st.seed!==undefined && !Number.isInteger(st.seed)) errors.push("settings.seed: expected an integer");
+    if (st.tickMs!==undefined && !(isNum(st.tickMs) && st.tickMs>=100)) errors.push("settings.tickMs: expected a number ≥ 100");
+    if (st.speed!==undefined && !(isNum(st.speed) && st.speed>=0.2 && st.speed<=2)) errors.push("settings.speed: expected a number in 0.2..2");
+  }
+  if (errors.length) return { ok:false, errors };
+
+  // Nodes exported without behaviors keep the built-in behavior of the matching base node
+  const nodes: Node[] = raw.nodes.map((n:any)=>{
+    const base = BASE_NODES.find(b=>b.id===n.id && b.type===n.type);
+    const node: Node = { id:n.id, name:n.name, type:n.type, x:n.x, y:n.y };
+    const behavior = n.behavior ?? base?.behavior;
+    if (n.fault) node.fault = n.fault;
+    if (n.capacity) node.capacity = n.capacity;
+    return behavior ? { ...node, behavior } : node;
+  });
+  const edges: Edge[] = raw.edges.map((e:any)=>{
+    const edge: Edge = e.label===undefined ? { id:e.id, from:e.from, to:e.to } : { id:e.id, from:e.from, to:e.to, label:e.label };
+    if (e.fault) edge.fault = e.fault;
+    if (e.guarantee) edge.guarantee = e.guarantee;
+    if (e.waypoints?.length) edge.waypoints = e.waypoints.map((p:Point)=>({ x:p.x, y:p.y }));
+    return edge;
+  });
+  const settings: SimSettings = { seed: st.seed ?? 42, tickMs: st.tickMs ?? 800, speed: st.speed ?? 1 };
+  const doc: TopologyDoc = { version:TOPOLOGY_VERSION, nodes, edges, settings };
+  if (raw.producers?.length) doc.producers = raw.producers;
+  return { ok:true, doc, errors:[] };
+}
+
+export function parseTopology(text:string): TopologyResult {
+  let raw:any;
+  try { raw = JSON.parse(text); }
+  catch (e:any) { return { ok:false, errors:[`Invalid JSON: ${e?.message ?? e}`] }; }
+  return validateTopology(raw);
+}
+
+// =============================
+// SQL QUERIES (SELECT over the in-memory tables)
+// =============================
+// SELECT <* | expr [AS name], ...> FROM <table> [WHERE expr] [GROUP BY col, ...]
+//   [ORDER BY expr|ordinal [ASC|DESC], ...] [LIMIT n]
+// Aggregates: count(*|col), sum, avg, min, max. Time ranges compare `ts` with ISO strings, or with
+// now() ± durations such as 30s, 5m, 250ms (now() is the simulation clock).
+export type SqlTables = Record<string, Record<string, any>[]>;
+export type SqlResult = { ok:boolean; columns:string[]; rows:any[][]; error?:string };
+
+type SqlToken = { t:"num"|"str"|"id"|"op"|"dur"; v:any; at:number };
+type SqlExpr =
+  | { k:"lit"; v:any } | { k:"col"; name:string } | { k:"now" }
+  | { k:"agg"; fn:string; arg?:SqlExpr }
+  | { k:"bin"; op:string; l:SqlExpr; r:SqlExpr } | { k:"not"; e:SqlExpr }
+  | { k:"between"; e:SqlExpr; lo:SqlExpr; hi:SqlExpr; not:boolean }
+  | { k:"in"; e:SqlExpr; list:SqlExpr[]; not:boolean };
+type SqlQuery = {
+  items:{ e:SqlExpr; name:string }[] | "*"; table:string; where?:SqlExpr;
+  groupBy:string[]; orderBy:{ e:SqlExpr; desc:boolean }[]; limit?:number
+};
+
+const SQL_AGGS = ["count","sum","avg","min","max"];
+const DURATION_MS: Record<string, number> = { ms:1, s:1000, m:60_000, h:3_600_000 };
+
+function sqlTokens(sql:string): SqlToken[] {
+  const out: SqlToken[] = [];
+  const re = /\s*(?:(\d+(?:\.\d+)?)(ms|s|m|h)\b|(\d+(?:\.\d+)?)|'((?:[^']|'')*)'|([A-Za-z_][\w.]*)|(<=|>=|<>|!=|[=<>(),*+\-]))/y;
+  let i = 0;
+  while (i < sql.length){
+    if (!sql.slice(i).trim()) break;
+    re.lastIndex = i;
+    const m = re.exec(sql);
+    if (!m) throw new Error(`unexpected "${sql.slice(i).trim()[0]}" at ${i + sql.slice(i).search(/\S/)}`);
+    const at = m.index + m[0].search(/\S/);
+    if (m[1]) out.push({ t:"dur", v:Number(m[1])*DURATION_MS[m[2]], at });
+    else if (m[3]) out.push({ t:"num", v:Number(m[3]), at });
+    else if (m[4]!==undefined) out.push({ t:"str", v:m[4].replace(/''/g, "'"), at });
+    else if (m[5]) out.push({ t:"id", v:m[5], at });
+    else out.push({ t:"op", v:m[6], at });
+    i = re.lastIndex;
+  }
+  return out;
+}
+
+function parseSql(sql:string): SqlQuery {
+  const toks = sqlTokens(sql);
+  let p = 0;
+  const peek = ()=> toks[p];
+  const isKw = (kw:string, tk = peek())=> tk?.t==="id" && tk.v.toUpperCase()===kw;
+  const isOp = (op:string)=> peek()?.t==="op" && peek().v===op;
+  const where = ()=> peek() ? `"${peek().v}" at ${peek().at}` : "end of query";
+  const expectKw = (kw:string)=>{ if (!isKw(kw)) throw new Error(`expected ${kw} but found ${where()}`); p++; };
+  const expectOp = (op:string)=>{ if (!isOp(op)) throw new Error(`expected "${op}" but found ${where()}`); p++; };
+
+  // expr := or ; precedence OR < AND < NOT < comparison < + - < primary
+  const orExpr = (): SqlExpr => { let l = andExpr(); while (isKw("OR")){ p++; l = { k:"bin", op:"OR", l, r:andExpr() }; } return l; };
+  const andExpr = (): SqlExpr => { let l = notExpr(); while (isKw("AND")){ p++; l = { k:"bin", op:"AND", l, r:notExpr() }; } return l; };
+  const notExpr = (): SqlExpr => { if (isKw("NOT")){ p++; return { k:"not", e:notExpr() }; } return cmpExpr(); };
+  const cmpExpr = (): SqlExpr => {
+    const l = addExpr();
+    const not = isKw("NOT") && (isKw("BETWEEN", toks[p+1]) || isKw("IN", toks[p+1]) || isKw("LIKE", toks[p+1]));
+    if (not) p++;
+    if (isKw("BETWEEN")){ p++; const lo = addExpr(); expectKw("AND"); return { k:"between", e:l, lo, hi:addExpr(), not }; }
+    if (isKw("IN")){
+      p++; expectOp("(");
+      const list = [addExpr()];
+      while (isOp(",")){ p++; list.push(addExpr()); }
+      expectOp(")");
+      return { k:"in", e:l, list, not };
+    }
+    if (isKw("LIKE")){ p++; const like: SqlExpr = { k:"bin", op:"LIKE", l, r:addExpr() }; return not ? { k:"not", e:like } : like; }
+    const tk = peek();
+    if (tk?.t==="op" && ["=","!=","<>","<","<=",">",">="].includes(tk.v)){ p++; return { k:"bin", op: tk.v==="<>" ? "!=" : tk.v, l, r:addExpr() }; }
+    return l;
+  };
+  const addExpr = (): SqlExpr => { let l = primary(); while (isOp("+") || isOp("-")){ const op = toks[p++].v; l = { k:"bin", op, l, r:primary() }; } return l; };
+  const primary = (): SqlExpr => {
+    const tk = toks[p++];
+    if (!tk) throw new Error("unexpected end of query");
+    if (tk.t==="num" || tk.t==="str" || tk.t==="dur") return { k:"lit", v:tk.v };
+    if (tk.t==="op" && tk.v==="-"){ const e = primary(); return { k:"bin", op:"-", l:{ k:"lit", v:0 }, r:e }; }
+    if (tk.t==="op" && tk.v==="("){ const e = orExpr(); expectOp(")"); return e; }
+    if (tk.t==="id"){
+      const name = tk.v.toLowerCase();
+      if (isOp("(")){
+        p++;
+        if (name==="now"){ expectOp(")"); return { k:"now" }; }
+        if (!SQL_AGGS.includes(name)) throw new Error(`unknown function ${tk.v}() at ${tk.at}`);
+        let arg: SqlExpr|undefined;
+        if (isOp("*")){ if (name!=="count") throw new Error(`${name}(*) is not allowed; name a column`); p++; }
+        else arg = addExpr();
+        expectOp(")");
+        return { k:"agg", fn:name, arg };
+      }
+      if (["NULL","TRUE","FALSE"].includes(tk.v.toUpperCase())) return { k:"lit", v: { NULL:null, TRUE:true, FALSE:false }[tk.v.toUpperCase()] };
+      return { k:"col", name:tk.v };
+    }
+    throw new Error(`unexpected "${tk.v}" at ${tk.at}`);
+  };
+  const label = (e:SqlExpr): string =>
+    e.k==="col" ? e.name : e.k==="agg" ? `${e.fn}(${e.arg ? label(e.arg) : "*"})` : e.k==="lit" ? String(e.v) : e.k==="now" ? "now()" : "expr";
+
+  expectKw("SELECT");
+  let items: SqlQuery["items"];
+  if (isOp("*")){ p++; items = "*"; }
+  else {
+    items = [];
+    do {
+      if (items.length) p++;
+      const e = orExpr();
+      let name = label(e);
+      if (isKw("AS")){ p++; const tk = toks[p++]; if (tk?.t!=="id") throw new Error(`expected a name after AS`); name = tk.v; }
+      items.push({ e, name });
+    } while (isOp(","));
+  }
+  expectKw("FROM");
+  const tableTk = toks[p++];
+  if (tableTk?.t!=="id") throw new Error("expected a table name after FROM");
+  const q: SqlQuery = { items, table:tableTk.v.toLowerCase(), groupBy:[], orderBy:[] };
+  if (isKw("WHERE")){ p++; q.where = orExpr(); }
+  if (isKw("GROUP")){
+    p++; expectKw("BY");
+    do { if (q.groupBy.length) p++; const tk = toks[p++]; if (tk?.t!=="id") throw new Error("GROUP BY expects column names"); q.groupBy.push(tk.v); } while (isOp(","));
+  }
+  if (isKw("ORDER")){
+    p++; expectKw("BY");
+    do {
+      if (q.orderBy.length) p++;
+      const e = addExpr();
+      let desc = false;
+      if (isKw("DESC")){ p++; desc = true; } else if (isKw("ASC")) p++;
+      q.orderBy.push({ e, desc });
+    } while (isOp(","));
+  }
+  if (isKw("LIMIT")){
+    p++;
+    const tk = toks[p++];
+    if (tk?.t!=="num" || !Number.isInteger(tk.v) || tk.v<0) throw new Error("LIMIT expects a non-negative integer");
+    q.limit = tk.v;
+  }
+  if (peek()) throw new Error(`unexpected ${where()}`);
+  return q;
+}
+
+const hasAgg = (e:SqlExpr): boolean =>
+  e.k==="agg" || (e.k==="bin" && (hasAgg(e.l) || hasAgg(e.r))) || (e.k==="not" && hasAgg(e.e));
+
+// Strings compared with numbers are read as timestamps, so `ts > '2024-01-01T00:00:10Z'` works
+function sqlCoerce(a:any, b:any): [any, any] {
+  if (typeof a==="number" && typeof b==="string"){ const t = Date.parse(b); if (Number.isFinite(t)) return [a, t]; }
+  if (typeof a==="string" && typeof b==="number"){ const t = Date.parse(a); if (Number.isFinite(t)) return [t, b]; }
+  return [a, b];
+}
+
+function sqlEval(e:SqlExpr, row:Record<string, any>, env:{ now:number; group?:Record<string, any>[] }): any {
+  switch (e.k){
+    case "lit": return e.v;
+    case "now": return env.now;
+    case "col":
+      if (!(e.name in row)) throw new Error(`unknown column "${e.name}"`);
+      return row[e.name];
+    case "agg": {
+      if (!env.group) throw new Error(`${e.fn}() is not allowed here`);
+      const vals = e.arg ? env.group.map(r=>sqlEval(e.arg, r, { now:env.now })).filter(v=>v!=null) : env.group;
+      if (e.fn==="count") return vals.length;
+      if (!vals.length) return null;
+      const nums = vals.map(Number);
+      if (e.fn==="sum") return nums.reduce((a,c)=>a+c, 0);
+      if (e.fn==="avg") return +(nums.reduce((a,c)=>a+c, 0)/nums.length).toFixed(6);
+      return e.fn==="min" ? Math.min(...nums) : Math.max(...nums);
+    }
+    case "not": return !sqlEval(e.e, row, env);
+    case "between": {
+      const [v, lo] = sqlCoerce(sqlEval(e.e, row, env), sqlEval(e.lo, row, env));
+      const [, hi] = sqlCoerce(v, sqlEval(e.hi, row, env));
+      return (v>=lo && v<=hi) !== e.not;
+    }
+    case "in": {
+      const v = sqlEval(e.e, row, env);
+      return e.list.some(x=>{ const [a, b] = sqlCoerce(v, sqlEval(x, row, env)); return a===b; }) !== e.not;
+    }
+    case "bin": {
+      if (e.op==="AND") return !!sqlEval(e.l, row, env) && !!sqlEval(e.r, row, env);
+      if (e.op==="OR") return !!sqlEval(e.l, row, env) || !!sqlEval(e.r, row, env);
+      const [l, r] = sqlCoerce(sqlEval(e.l, row, env), sqlEval(e.r, row, env));
+      switch (e.op){
+        case "+": return Number(l) + Number(r);
+        case "-": return Number(l) - Number(r);
+        case "=": return l===r;
+        case "!=": return l!==r;
+        case "<": return l<r;
+        case "<=": return l<=r;
+        case ">": return l>r;
+        case ">=": return l>=r;
+        case "LIKE": {
+          const pattern = "^" + String(r).replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/%/g, ".*").replace(/_/g, ".") + "$";
+          return new RegExp(pattern, "i").test(String(l ?? ""));
+        }
+      }
+    }
+  }
+}
+
+const sqlCompare = (a:any, b:any)=> a===b ? 0 : a==null ? -1 : b==null ? 1 : a<b ? -1 : 1;
+
+export function runSql(sql:string, tables:SqlTables, now:number): SqlResult {
+  try {
+    const q = parseSql(sql);
+    const table = tables[q.table];
+    if (!table) throw new Error(`unknown table "${q.table}" (tables: ${Object.keys(tables).join(", ")})`);
+    const filtered = q.where ? table.filter(r=>sqlEval(q.where, r, { now })) : table;
+    const grouped = q.groupBy.length>0 || (q.items!=="*" && q.items.some(it=>hasAgg(it.e)));
+
+    let out: { row:Record<string, any>; vals:any[]; group?:Record<string, any>[] }[];
+    let columns: string[];
+    if (q.items==="*"){
+      if (grouped) throw new Error("SELECT * cannot be combined with GROUP BY");
+      columns = Object.keys(table[0] ?? {});
+      out = filtered.map(row=>({ row, vals:columns.map(c=>row[c]) }));
+    } else {
+      columns = q.items.map(it=>it.name);
+      const items = q.items;
+      if (grouped){
+        for (const it of items) if (!hasAgg(it.e) && !(it.e.k==="col" && q.groupBy.includes(it.e.name)) && it.e.k!=="lit")
+          throw new Error(`"${it.name}" must appear in GROUP BY or be inside an aggregate`);
+        const groups = new Map<string, Record<string, any>[]>();
+        for (const r of filtered){
+          const key = JSON.stringify(q.groupBy.map(c=>{ if (!(c in r)) throw new Error(`unknown column "${c}"`); return r[c]; }));
+          (groups.get(key) ?? groups.set(key, []).get(key)).push(r);
+        }
+        if (!q.groupBy.length && !groups.size) groups.set("[]", []);
+        out = [...groups.values()].map(group=>{
+          const row = group[0] ?? {};
+          return { row, group, vals: items.map(it=>sqlEval(it.e, row, { now, group })) };
+        });
+      } else out = filtered.map(row=>({ row, vals: items.map(it=>sqlEval(it.e, row, { now })) }));
+    }
+
+    if (q.orderBy.length){
+      // ORDER BY accepts an output name or 1-based ordinal as well as any column of the table
+      const keyOf = (o:{ e:SqlExpr }, r:typeof out[number])=>{
+        if (o.e.k==="lit" && typeof o.e.v==="number"){
+          if (o.e.v<1 || o.e.v>columns.length) throw new Error(`ORDER BY position ${o.e.v} is out of range`);
+          return r.vals[o.e.v-1];
+        }
+        if (o.e.k==="col" && columns.includes(o.e.name)) return r.vals[columns.indexOf(o.e.name)];
+        return sqlEval(o.e, r.row, { now, group:r.group });
+      };
+      const keyed = out.map(r=>({ r, keys:q.orderBy.map(o=>keyOf(o, r)) }));
+      keyed.sort((a, b)=>{
+        for (let i=0; i<q.orderBy.length; i++){ const c = sqlCompare(a.keys[i], b.keys[i]); if (c) return q.orderBy[i].desc ? -c : c; }
+        return 0;
+      });
+      out = keyed.map(k=>k.r);
+    }
+    if (q.limit!==undefined) out = out.slice(0, q.limit);
+    return { ok:true, columns, rows: out.map(r=>r.vals) };
+  } catch (e:any) {
+    return { ok:false, columns:[], rows:[], error: String(e?.message ?? e) };
+  }
+}
+
+// The queryable tables of a world: `rows` (SQL sink, keyed by id) and `chart` (the ChartData series)
+export function sqlTablesOf(w:SimWorld): SqlTables {
+  return {
+    rows: w.rows.map(r=>({ id:r.id, symbol:r.symbol, value:r.value, ts:r.ts, writes:r.writes ?? 1 })),
+    chart: w.chartPoints.map(p=>({ ts:p.t, value:p.v }))
+  };
+}
+
+// =============================
+// SCENARIOS (scripted what-if runs with assertions)
+// =============================
+// One step per line, `#` starts a comment. Durations take ms|s|m|h (a bare number is ms); names may be quoted.
+//   scenario "RabbitMQ outage"         seed 7              tick 400
+//   run 60s                            load 2 | load x2     builtins on|off
+//   producer "Feed" on 7 at 5/s [ChartData] [poisson]      rate "Feed" 10 | rate "Feed" x2
+//   down "RabbitMQ Data" 10s           up "RabbitMQ Data"   guarantee exactly-once   schema reject
+//   inject 1 {"device":"s1","value":1} Event               publish api|ingest|data-services
+//   expect rows >= 500                 expect p95 < 2s      expect p99(rows) <= 3s
+//   expect sql "SELECT count(*) FROM rows WHERE value > 50" > 0
+//   expect metric edge_messages_total{edge="2"} > 100      expect metric e2e_latency_ms{sink="rows"}:p50 < 1s
+// Assertions are checked when the script reaches them, so a script can assert mid-run.
+export type ScenarioStep = { line:number; text:string } & (
+  | { op:"run"; ms:number }
+  | { op:"load"|"tick"; value:number; relative:boolean }
+  | { op:"builtins"; on:boolean }
+  | { op:"producer"; name:string; edgeId:number; perSec:number; type:MessageType; kind:"constant"|"poisson" }
+  | { op:"rate"; name:string; value:number; relative:boolean }
+  | { op:"down"; node:string; ms:number } | { op:"up"; node:string }
+  | { op:"guarantee"; value:Guarantee } | { op:"schema"; value:SchemaMode }
+  | { op:"inject"; edgeId:number; payload:any; type:MessageType }
+  | { op:"publish"; source:ManualSource }
+  | { op:"expect"; subject:string; arg?:string; cmp:ScenarioCmp; value:number }
+);
+export type ScenarioCmp = "<"|"<="|">"|">="|"="|"!=";
+export type Scenario = { name:string; seed?:number; steps:ScenarioStep[] };
+export type AssertionResult = { line:number; text:string; pass:boolean; actual?:number; at:number; error?:string };
+export type ScenarioReport = { name:string; seed:number; passed:boolean; results:AssertionResult[]; errors:string[]; virtualMs:number };
+
+const SCENARIO_CMPS: ScenarioCmp[] = ["<=", ">=", "!=", "<", ">", "="];
+const SCHEMA_MODES: SchemaMode[] = ["quarantine","reject","off"];
+// Plain-number subjects; p50/p95/p99, sql and metric take an argument
+const SCENARIO_SUBJECTS: Record<string, (w:SimWorld)=>number> = {
+  rows: w=>w.rows.length,
+  quarantine: w=>w.quarantine.length,
+  inflight: w=>w.msgs.length,
+  lost: w=>w.delivery.lost,
+  redelivered: w=>w.delivery.redelivered,
+  deduplicated: w=>w.delivery.deduplicated,
+  duplicates: w=>Object.values(w.delivery.sinks).reduce((s, k)=>s+k.duplicates, 0),
+  dropped: w=>Object.values(w.queues).reduce((s, q)=>s+q.dropped, 0),
+  dlq: w=>Object.values(w.queues).reduce((s, q)=>s+q.dlq.length, 0)
+};
+export const SCENARIO_SUBJECT_NAMES = [...Object.keys(SCENARIO_SUBJECTS), "p50", "p95", "p99", "sql", "metric"];
+
+const parseDuration = (s:string)=>{
+  const m = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(s);
+  return m ? Number(m[1])*DURATION_MS[m[2] ?? "ms"] : NaN;
+};
+// "2" → absolute 2, "x2" / "*2" → twice the current value
+const parseFactor = (s:string)=>{
+  const m = /^([x*])?(\d+(?:\.\d+)?)$/.exec(s);
+  return m ? { value:Number(m[2]), relative:!!m[1] } : undefined;
+};
+function scenarioWords(line:string): string[] {
+  const out: string[] = [], re = /\s*("(?:[^"\\]|\\.)*"|\S+)/y;
+  let m: RegExpExecArray|null;
+  while ((m = re.exec(line)) && m[1]) out.push(m[1].startsWith('"') ? JSON.parse(m[1]) : m[1]);
+  return out;
+}
+
+// Collects every problem (as `line N: ...`) instead of stopping at the first
+export function parseScenario(text:string): { ok:boolean; scenario?:Scenario; errors:string[] } {
+  const sc: Scenario = { name:"Untitled scenario", steps:[] }, errors: string[] = [];
+  text.split(/\r?\n/).forEach((raw, i)=>{
+    const line = i+1, src = raw.replace(/(^|\s)#.*$/, "").trim();
+    if (!src) return;
+    const fail = (msg:string)=>{ errors.push(`line ${line}: ${msg}`); };
+    let w: string[];
+    try { w = scenarioWords(src); } catch { fail("unterminated or invalid quoted name"); return; }
+    const [op, ...args] = w, at = { line, text:src };
+    const factor = (s:string|undefined, what:string)=>{ const f = s===undefined ? undefined : parseFactor(s); if (!f || !(f.value>0)) fail(`${what}: expected a number > 0 or xN`); return f; };
+    const duration = (s:string|undefined, what:string)=>{ const ms = s===undefined ? NaN : parseDuration(s); if (!(ms>0)) fail(`${what}: expected a duration such as 500ms, 10s or 1m`); return ms; };
+    switch (op){
+      case "scenario": if (!args[0]) fail("scenario: expected a name"); else sc.name = args.join(" "); return;
+      case "seed": { const n = Number(args[0]); if (!Number.isInteger(n)) fail("seed: expected an integer"); else sc.seed = n; return; }
+      case "run": { const ms = duration(args[0], "run"); if (ms>0) sc.steps.push({ ...at, op:"run", ms }); return; }
+      case "load": case "tick": {
+        const f = factor(args[0], op); if (!f) return;
+        if (op==="tick" && !f.relative && f.value<100) { fail("tick: expected at least 100 (ms)"); return; }
+        sc.steps.push({ ...at, op, ...f }); return;
+      }
+      case "builtins": if (args[0]!=="on" && args[0]!=="off") fail("builtins: expected on or off"); else sc.steps.push({ ...at, op, on:args[0]==="on" }); return;
+      case "producer": {
+        // producer <name> on <edge> at <n>/s [type] [constant|poisson]
+        const [name, onKw, edge, atKw, rate, ...rest] = args;
+        const perSec = Number(/^(\d+(?:\.\d+)?)\/s$/.exec(rate ?? "")?.[1]);
+        if (!name || onKw!=="on" || atKw!=="at" || !Number.isInteger(Number(edge)) || !(perSec>0)){ fail(`producer: expected producer "name" on <edge> at <n>/s [type] [constant|poisson]`); return; }
+        const type = (rest.find(r=>MESSAGE_TYPES.includes(r as MessageType)) ?? "ChartData") as MessageType;
+        const kind = rest.includes("poisson") ? "poisson" : "constant";
+        const unknown = rest.filter(r=>r!==type && r!==kind && r!=="constant");
+        if (unknown.length) fail(`producer: unexpected ${unknown.map(u=>JSON.stringify(u)).join(", ")}`);
+        sc.steps.push({ ...at, op, name, edgeId:Number(edge), perSec, type, kind }); return;
+      }
+      case "rate": { if (!args[0]){ fail("rate: expected a producer name"); return; } const f = factor(args[1], "rate"); if (f) sc.steps.push({ ...at, op, name:args[0], ...f }); return; }
+      case "down": { if (!args[0]){ fail("down: expected a node name or id"); return; } const ms = duration(args[1], "down"); if (ms>0) sc.steps.push({ ...at, op, node:args[0], ms }); return; }
+      case "up": if (!args[0]) fail("up: expected a node name or id"); else sc.steps.push({ ...at, op, node:args[0] }); return;
+      case "guarantee": if (!GUARANTEES.includes(args[0] as Guarantee)) fail(`guarantee: expected one of ${GUARANTEES.join("|")}`); else sc.steps.push({ ...at, op, value:args[0] as Guarantee }); return;
+      case "schema": if (!SCHEMA_MODES.includes(args[0] as SchemaMode)) fail(`schema: expected one of ${SCHEMA_MODES.join("|")}`); else sc.steps.push({ ...at, op, value:args[0] as SchemaMode }); return;
+      case "publish": if (!(args[0] in MANUAL_SOURCES)) fail(`publish: expected one of ${Object.keys(MANUAL_SOURCES).join("|")}`); else sc.steps.push({ ...at, op, source:args[0] as ManualSource }); return;
+      case "inject": {
+        const m = /^inject\s+(\d+)\s+(\{.*\})(?:\s+(\w+))?$/.exec(src);
+        if (!m){ fail("inject: expected inject <edge> {json} [type]"); return; }
+        let payload:any;
+        try { payload = JSON.parse(m[2]); } catch (e:any) { fail(`inject: invalid JSON payload (${e?.message ?? e})`); return; }
+        const type = (m[3] ?? "ChartData") as MessageType;
+        if (!MESSAGE_TYPES.includes(type)){ fail(`inject: unknown message type "${type}"`); return; }
+        sc.steps.push({ ...at, op, edgeId:Number(m[1]), payload, type }); return;
+      }
+      case "expect": {
+        // expect <subject>[(arg)] | sql "<query>" | metric <key>   <cmp> <value>
+        let subject = args[0] ?? "", arg: string|undefined, rest = args.slice(1);
+        const call = /^(p50|p95|p99)\((\w+)\)$/.exec(subject);
+        if (call){ subject = call[1]; arg = call[2]; }
+        else if (subject==="sql" || subject==="metric"){ arg = rest[0]; rest = rest.slice(1); }
+        const [cmp, value] = rest, v = value===undefined ? NaN : /\d(ms|s|m|h)$/.test(value) ? parseDuration(value) : Number(value);
+        if (!SCENARIO_SUBJECT_NAMES.includes(subject)) fail(`expect: unknown subject "${subject}" (one of ${SCENARIO_SUBJECT_NAMES.join(", ")})`);
+        else if ((subject==="sql" || subject==="metric") && !arg) fail(`expect ${subject}: expected a ${subject==="sql" ? "quoted query" : "metric key"}`);
+        else if (!SCENARIO_CMPS.includes(cmp as ScenarioCmp) || rest.length!==2) fail(`expect: expected <subject> ${SCENARIO_CMPS.join("|")} <value>`);
+        else if (!Number.isFinite(v)) fail(`expect: "${value}" is not a number or duration`);
+        else sc.steps.push({ ...at, op, subject, arg, cmp:cmp as ScenarioCmp, value:v });
+        return;
+      }
+      default: fail(`unknown step "${op}"`);
+    }
+  });
+  if (!sc.steps.length && !errors.length) errors.push("scenario: no steps");
+  return errors.length ? { ok:false, errors } : { ok:true, scenario:sc, errors:[] };
+}
+
+const compare = (a:number, cmp:ScenarioCmp, b:number)=>
+  cmp==="<" ? a<b : cmp==="<=" ? a<=b : cmp===">" ? a>b : cmp===">=" ? a>=b : cmp==="=" ? a===b : a!==b;
+
+// undefined when there is nothing to measure yet (no latencies, unknown metric, empty result)
+function measure(e:Engine, subject:string, arg?:string): number|undefined {
+  const w = e.world;
+  if (SCENARIO_SUBJECTS[subject]) return SCENARIO_SUBJECTS[subject](w);
+  if (subject==="sql"){
+    const res = runSql(arg!, sqlTablesOf(w), w.clock.now);
+    if (!res.ok) throw new Error(`sql: ${res.error}`);
+    const v = res.rows[0]?.[0];
+    return v==null ? undefined : Number(v);
+  }
+  if (subject==="metric"){
+    const m = e.metrics(), [key, q] = arg!.split(/:(?=p\d+$)/);
+    return q ? m.histograms[key]?.[q as "p50"] : m.counters[key] ?? m.gauges[key];
+  }
+  return e2eLatency(w.metrics, arg ?? "rows")[subject as "p50"|"p95"|"p99"];
+}
+
+const nodeRef = (w:SimWorld, ref:string)=>{
+  const n = w.nodes.find(n=>String(n.id)===ref) ?? w.nodes.find(n=>n.name.toLowerCase()===ref.toLowerCase());
+  if (!n) throw new Error(`no node named "${ref}"`);
+  return n.id;
+};
+
+// Drives a scenario against an engine, `advance(ms)` at a time, so the UI can play it at its own speed.
+// The engine restarts from the scenario's seed (or its current one) with its graph and tick but an otherwise
+// default config, so earlier inputs never leak into a run. Returns how many inputs each advance applied.
+export type ScenarioRun = { readonly done:boolean; advance:(ms:number)=>number; report:()=>ScenarioReport };
+
+export function startScenario(e:Engine, sc:Scenario): ScenarioRun {
+  const { nodes, edges, tickMs } = e.world;
+  e.reset(sc.seed ?? e.world.seed, runConfigOf(createWorld({ nodes, edges }, 0, tickMs)));
+  const start = e.world.clock.now, results: AssertionResult[] = [], errors: string[] = [];
+  let i = 0, left = -1; // virtual ms still to run for the current `run` step
+  const apply = (s:ScenarioStep)=>{
+    const w = e.world;
+    switch (s.op){
+      case "load": e.setLoad(s.relative ? w.load*s.value : s.value); break;
+      case "tick": e.setTickMs(Math.max(100, s.relative ? w.tickMs*s.value : s.value)); break;
+      case "builtins": e.setProducers(w.producers, s.on); break;
+      case "producer": {
+        const id = `scn-${s.name}`, def: ProducerDef = { id, name:s.name, edgeId:s.edgeId, type:s.type, enabled:true, rate:{ kind:s.kind, perSec:s.perSec } };
+        if (!w.edges.some(x=>x.id===s.edgeId)) throw new Error(`no edge ${s.edgeId}`);
+        e.setProducers([...w.producers.filter(p=>p.id!==id), def]); break;
+      }
+      case "rate": {
+        const p = w.producers.find(p=>p.name===s.name);
+        if (!p) throw new Error(`no producer named "${s.name}"`);
+        const perSec = s.relative ? p.rate.perSec*s.value : s.value;
+        e.setProducers(w.producers.map(q=>q===p ? { ...q, rate:{ ...q.rate, perSec } } : q)); break;
+      }
+      case "down": e.takeDown(nodeRef(w, s.node), s.ms); break;
+      case "up": e.bringUp(nodeRef(w, s.node)); break;
+      case "guarantee": e.setGuarantee(s.value); break;
+      case "schema": e.setSchemaMode(s.value); break;
+      case "inject": e.inject(s.edgeId, s.payload, s.type); break;
+      case "publish": e.publish(s.source); break;
+      case "expect": {
+        const actual = measure(e, s.subject, s.arg);
+        results.push({ line:s.line, text:s.text, pass: actual!==undefined && compare(actual, s.cmp, s.value), actual, at:w.clock.now-start });
+        break;
+      }
+    }
+  };
+  return {
+    get done(){ return i >= sc.steps.length; },
+    advance(ms){
+      let budget = ms, inputs = 0;
+      while (i < sc.steps.length){
+        const s = sc.steps[i];
+        if (s.op==="run"){
+          if (left<0) left = s.ms;
+          const take = Math.min(left, budget);
+          e.step(take); left -= take; budget -= take;
+          if (left>0) break;
+          left = -1; i++; continue;
+        }
+        try { apply(s); if (s.op!=="expect") inputs++; }
+        catch (err:any) {
+          const msg = `line ${s.line}: ${err?.message ?? err}`;
+          errors.push(msg);
+          if (s.op==="expect") results.push({ line:s.line, text:s.text, pass:false, at:e.world.clock.now-start, error:msg });
+        }
+        i++;
+      }
+      return inputs;
+    },
+    report(){
+      return { name:sc.name, seed:e.world.seed, passed: !errors.length && results.every(r=>r.pass), results, errors, virtualMs:e.world.clock.now-start };
+    }
+  };
+}
+
+// Runs a whole scenario headlessly, start to end, on a fresh engine
+export function runScenario(sc:Scenario, opts:{ graph?:Graph; seed?:number; tickMs?:number } = {}): ScenarioReport {
+  const run = startScenario(createEngine(opts), sc);
+  run.advance(Infinity);
+  return run.report();
+}
+
+// =============================
+// LIVE BRIDGE (real events from a WebSocket or SSE endpoint, injected onto edges)
+// =============================
+// The only part of the engine that touches the network and wall-clock timers; a run without a bridge
+// stays deterministic. Each frame is one JSON event or an array of them, either an envelope
+// `{ topic, payload | value, type? }` (a Kafka relay) or a bare object (topic ""). The first mapping whose
+// pattern matches the topic (`*` one word, `#` any, as for AMQP) picks the edge; events go in through
+// engine.inject(), so they are schema-checked and journaled like any other input.
+export const BRIDGE_TRANSPORTS = ["websocket","sse"] as const;
+export type BridgeTransportKind = typeof BRIDGE_TRANSPORTS[number];
+export type LiveMapping = { pattern:string; edgeId:number; type:MessageType };
+export type BridgeConfig = {
+  url:string; transport:BridgeTransportKind; mappings:LiveMapping[];
+  backoff?:{ initialMs?:number; maxMs?:number; factor?:number; maxAttempts?:number };
+};
+export const BRIDGE_BACKOFF = { initialMs:500, maxMs:30_000, factor:2, maxAttempts:Infinity };
+export const BRIDGE_MAPPINGS: LiveMapping[] = [
+  { pattern:"chart.#", edgeId:7, type:"ChartData" },
+  { pattern:"events.#", edgeId:1, type:"Event" }
+];
+export type BridgeState = "idle"|"connecting"|"open"|"reconnecting"|"closed";
+export type BridgeStatus = {
+  state:BridgeState; url:string; attempt:number; retryAt?:number; lastError?:string; lastEventAt?:number;
+  received:number; injected:number; unmatched:number; rejected:number;
+  behind:number; // dropped because the timeline was scrubbed back (injecting would cut off the recorded future)
+};
+export type BridgeHandlers = { open:()=>void; message:(data:string)=>void; error:(msg:string)=>void; close:()=>void };
+export type BridgeDeps = {
+  transport?:(cfg:BridgeConfig, on:BridgeHandlers)=>{ close:()=>void };
+  setTimeout?:(fn:()=>void, ms:number)=>any; clearTimeout?:(handle:any)=>void; now?:()=>number;
+};
+export type Bridge = {
+  connect:()=>void; disconnect:()=>void; status:()=>BridgeStatus;
+  onStatus:(fn:(s:BridgeStatus)=>void)=>()=>void; setMappings:(m:LiveMapping[])=>void;
+};
+
+const BRIDGE_BEHIND = "timeline is behind its end: events dropped until it catches up";
+
+export const bridgeDelay = (attempt:number, b:BridgeConfig["backoff"] = {})=>{
+  const { initialMs, maxMs, factor } = { ...BRIDGE_BACKOFF, ...b };
+  return Math.min(maxMs, initialMs*factor**Math.max(0, attempt-1));
+};
+
+// One frame → the events it carries, with the mapping each one matched (undefined when none did)
+export function mapBridgeFrame(data:string, mappings:LiveMapping[]): { topic:string; payload:any; mapping?:LiveMapping; type?:MessageType }[] {
+  const parsed = JSON.parse(data);
+  return (Array.isArray(parsed) ? parsed : [parsed]).map((ev:any)=>{
+    const envelope = isObj(ev) && typeof ev.topic==="string" && ("payload" in ev || "value" in ev);
+    const topic = envelope ? ev.topic : "", payload = envelope ? ev.payload ?? ev.value : ev;
+    const mapping = mappings.find(m=>topicMatches(m.pattern, topic));
+    const type = envelope && MESSAGE_TYPES.includes(ev.type) ? ev.type as MessageType : mapping?.type;
+    return { topic, payload, mapping, type };
+  });
+}
+
+function browserTransport(cfg:BridgeConfig, on:BridgeHandlers){
+  if (cfg.transport==="sse"){
+    const es = new EventSource(cfg.url);
+    es.onopen = ()=>on.open();
+    es.onmessage = e=>on.message(e.data);
+    // EventSource retries by itself at a fixed rate; close it so reconnects follow our backoff
+    es.onerror = ()=>{ es.close(); on.error("event stream failed"); on.close(); };
+    return { close:()=>es.close() };
+  }
+  const ws = new WebSocket(cfg.url);
+  ws.onopen = ()=>on.open();
+  ws.onmessage = e=>on.message(typeof e.data==="string" ? e.data : String(e.data));
+  ws.onerror = ()=>on.error("socket error");
+  ws.onclose = e=>{ if (e.code!==1000 && e.code!==1005) on.error(`closed with code ${e.code}${e.reason ? ` (${e.reason})` : ""}`); on.close(); };
+  return { close:()=>ws.close() };
+}
+
+export function createBridge(engine:Engine, cfg:BridgeConfig, deps:BridgeDeps = {}): Bridge {
+  const transport = deps.transport ?? browserTransport;
+  const later = deps.setTimeout ?? ((fn, ms)=>setTimeout(fn, ms)), cancel = deps.clearTimeout ?? (h=>clearTimeout(h));
+  const now = deps.now ?? (()=>Date.now());
+  const listeners = new Set<(s:BridgeStatus)=>void>();
+  let mappings = cfg.mappings, conn: { close:()=>void }|null = null, timer: any = null, wanted = false;
+  let st: BridgeStatus = { state:"idle", url:cfg.url, attempt:0, received:0, injected:0, unmatched:0, rejected:0, behind:0 };
+  const set = (patch:Partial<BridgeStatus>)=>{ st = { ...st, ...patch }; listeners.forEach(fn=>fn(st)); };
+
+  const open = ()=>{
+    timer = null;
+    set({ state:"connecting", retryAt:undefined });
+    // Events from a connection that was replaced or closed on purpose are ignored
+    let live = true;
+    const mine = (fn:(...a:any[])=>void)=>(...a:any[])=>{ if (live) fn(...a); };
+    const on: BridgeHandlers = {
+      open: mine(()=>set({ state:"open", attempt:0, lastError:undefined })),
+      message: mine((data:string)=>{
+        let events: ReturnType<typeof mapBridgeFrame>;
+        try { events = mapBridgeFrame(data, mappings); }
+        catch (e:any) { set({ received:st.received+1, rejected:st.rejected+1, lastError:`bad frame: ${e?.message ?? e}` }); return; }
+        const t = engine.timeline();
+        if (t.tick < t.horizon){
+          set({ received:st.received+events.length, behind:st.behind+events.length, lastError:BRIDGE_BEHIND, lastEventAt:now() });
+          return;
+        }
+        let { injected, unmatched, rejected, lastError } = st;
+        if (lastError===BRIDGE_BEHIND) lastError = undefined;
+        for (const ev of events){
+          if (!ev.mapping || !engine.world.edges.some(e=>e.id===ev.mapping!.edgeId)){ unmatched++; continue; }
+          const m = engine.inject(ev.mapping.edgeId, ev.payload, ev.type), w = engine.world;
+          if (w.msgs[w.msgs.length-1]?.id===m.id){ injected++; continue; }
+          rejected++; // refused by schema validation
+          const q = w.quarantine[w.quarantine.length-1];
+          lastError = q?.msg.id===m.id ? `quarantined: ${q.reason}` : `rejected ${m.type}: payload does not match its schema`;
+        }
+        set({ received:st.received+events.length, injected, unmatched, rejected, lastError, lastEventAt:now() });
+      }),
+      error: mine((msg:string)=>set({ lastError:msg })),
+      close: mine(()=>{ live = false; conn = null; if (wanted) retry(); else set({ state:"closed" }); })
+    };
+    // A transport that cannot even be created (bad URL or scheme) will not succeed later either
+    try { conn = transport({ ...cfg, mappings }, on); }
+    catch (e:any) { live = false; wanted = false; set({ state:"closed", retryAt:undefined, lastError:String(e?.message ?? e) }); }
+    const close = conn?.close;
+    if (conn && close) conn = { close:()=>{ live = false; close(); } };
+  };
+  const retry = ()=>{
+    const b = { ...BRIDGE_BACKOFF, ...cfg.backoff }, attempt = st.attempt+1;
+    if (attempt > b.maxAttempts){ wanted = false; set({ state:"closed", retryAt:undefined, lastError:`gave up after ${b.maxAttempts} attempts${st.lastError ? `: ${st.lastError}` : ""}` }); return; }
+    const ms = bridgeDelay(attempt, cfg.backoff);
+    set({ state:"reconnecting", attempt, retryAt:now()+ms });
+    timer = later(open, ms);
+  };
+
+  return {
+    connect(){ if (wanted) return; wanted = true; set({ attempt:0, lastError:undefined }); open(); },
+    disconnect(){
+      wanted = false;
+      if (timer!=null){ cancel(timer); timer = null; }
+      conn?.close(); conn = null;
+      set({ state:"closed", retryAt:undefined });
+    },
+    status: ()=>st,
+    onStatus(fn){ listeners.add(fn); return ()=>{ listeners.delete(fn); }; },
+    setMappings(m){ mappings = m; }
+  };
+}
@@ -1,42 +1,91 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  makeRng, BASE_NODES, EDGES, mapEventToDataField, rowFromDataField, createKafkaState, kafkaAppend,
+  consumerGroupOf, syncConsumers, kafkaPoll, groupLag, NIFI_DEFAULTS, queueBytes, createNifiState,
+  nifiEnqueue, nifiOverThreshold, nifiRun, HDFS_DEFAULTS, createHdfsState, hdfsReplication,
+  hdfsWrite, SPARK_DEFAULTS, createSparkState, sparkMicroBatch, topicMatches, createRabbitState,
+  amqpPublish, amqpDispatch, amqpSettle, amqpExpire, AMQP_ACK_TIMEOUT_MS, BEHAVIORS, SIM_EPOCH, SIM_STEP_MS,
+  exportTopology, validateTopology, parseTopology,
+  createEngine, LATENCY_DISTS, effectiveFault, isDegraded, isNodeDown,
+  QUEUE_DEFAULTS, OVERFLOW_POLICIES, backoffDelay, runSql, sqlTablesOf, COMPATIBILITY_MODES,
+  latestSchema, registerSchema, createSchemaRegistry, validatePayload, MESSAGE_TYPES, RATE_KINDS,
+  parseRecording, fillPayloadTemplate, createProducerState, traceSpans, spanPath, diffPayload, findSpanByMsg,
+  metricKey, metricKeys, metricSeries, counterRate, e2eLatency, quantileOf, metricsToPrometheus, metricsToJson,
+  WINDOW_DEFAULTS, WINDOW_TYPES, WINDOW_AGGS, createWindowState, windowIngest, windowFire, GUARANTEES,
+  KEYFRAME_EVERY_TICKS, JOURNAL_LIMIT, parseSession, CANVAS_MAX, parseScenario, startScenario, runScenario,
+  createBridge, bridgeDelay, mapBridgeFrame, BRIDGE_MAPPINGS, BRIDGE_TRANSPORTS
+} from "./pipeline_engine";
+import type {
+  NodeType, Node, Edge, Message, Behavior, KafkaBehavior, NifiBehavior, HdfsBehavior,
+  SparkBehavior, PublisherBehavior, RabbitBehavior, KafkaState, NifiState, HdfsState, SparkState,
+  PublisherState, RabbitState, BehaviorContext, TopologyResult, Graph, Engine, Fault,
+  LatencyDist, NodeCapacity, NodeQueue, OverflowPolicy, SqlResult, SchemaMode,
+  Compatibility, ProducerDef, RateProfile, TraceContext, Point, ScenarioRun, ScenarioReport,
+  Bridge, BridgeStatus, LiveMapping, BridgeTransportKind, Span, WindowBehavior, WindowState, WindowSpec, MessageType, Guarantee
+} from "./pipeline_engine";
 
 // ------------------------------------------------------------
-// Pipeline Simulator — Single-file React app (drag + 3D lift)
-// - NEW: Drag nodes inside the left SVG panel; movement clamped to viewBox (0..100)
-// - NEW: Subtle 3D elevation (SVG drop-shadow), stronger while dragging/selected
-// - High-contrast colors + hardened RNG + diagnostics remain
+// Pipeline Simulator — React view over the headless engine in pipeline_engine.ts
+// - Drag nodes on the canvas; wheel zooms at the cursor, alt- or middle-drag pans, the minimap jumps the view
+// - Auto-layout places nodes in layers along the flow and routes long edges through bend points
+// - Large graphs stay responsive: off-screen nodes are culled, labels drop when zoomed out, messages draw as one batch
 // ------------------------------------------------------------
 
 // =============================
-// SAFE DETERMINISTIC PRNG
+// SQL CONSOLE PRESETS
 // =============================
-function makeRng(seedInput: number | null | undefined) {
-  let t = Number.isFinite(seedInput as number)
-    ? (Math.floor(seedInput as number) >>> 0)
-    : 0x9e3779b9;
-  if (t === 0) t = 0x9e3779b9;
-  return function rng(): number {
-    t += 0x6D2B79F5;
-    let r = Math.imul(t ^ (t >>> 15), 1 | t);
-    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
-    const out = ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-    if (!Number.isFinite(out) || out < 0 || out >= 1) {
-      const fallback = Math.random();
-      return Number.isFinite(fallback) && fallback < 1 ? fallback : 0.5;
-    }
-    return out;
-  };
-}
+const SQL_EXAMPLES = [
+  { name:"Latest rows", sql:"SELECT * FROM rows ORDER BY ts DESC LIMIT 200" },
+  { name:"Per-symbol aggregates", sql:"SELECT symbol, count(*) AS n, avg(value), min(value), max(value) FROM rows GROUP BY symbol ORDER BY n DESC" },
+  { name:"Last 30 s", sql:"SELECT id, symbol, value, ts FROM rows WHERE ts > now() - 30s ORDER BY ts DESC" },
+  { name:"Duplicate deliveries", sql:"SELECT id, symbol, writes FROM rows WHERE writes > 1 ORDER BY writes DESC" },
+  { name:"ChartData vs rows", sql:"SELECT count(*) AS points, avg(value), min(value), max(value) FROM chart WHERE ts > now() - 1m" }
+];
 
 // =============================
-// TYPES
+// SCENARIO LIBRARY (built-in examples; saved ones live in localStorage)
 // =============================
- type NodeType = "broker"|"topic"|"processor"|"lib"|"api"|"service"|"db"|"source"|"client";
- export type Node = { id:number; name:string; type:NodeType; x:number; y:number };
- type Edge = { id:number; from:number; to:number; label?:string };
- type MessageType = "ChartData"|"Event"|"DataField";
- type Message = { id:string; type:MessageType; ts:number; payload:any; edgeId:number; progress:number };
- type SqlRow = { id:string; symbol:string; value:number; ts:number };
+type SavedScenario = { name:string; text:string };
+const SCENARIO_STORE = "pipeline-simulator.scenarios";
+const SCENARIO_EXAMPLES: SavedScenario[] = [
+  { name:"Baseline", text:`scenario "Baseline"
+seed 42
+run 60s
+expect rows >= 30
+expect p95 < 4s
+expect lost = 0
+expect quarantine = 0` },
+  { name:"RabbitMQ outage", text:`scenario "RabbitMQ outage"
+seed 7
+run 20s
+down "RabbitMQ Data" 10s
+run 5s
+expect metric node_up{node="6"} = 0
+run 10s
+expect metric node_up{node="6"} = 1
+expect metric edge_delivered_total{edge="9"} > 0` },
+  { name:"Double the feed", text:`scenario "Double the feed"
+seed 3
+builtins off
+producer "Feed" on 7 at 5/s
+run 30s
+expect metric sink_writes_total{sink="chart"} >= 140
+rate "Feed" x2
+run 30s
+expect metric sink_writes_total{sink="chart"} >= 400` },
+  { name:"Exactly-once at double load", text:`scenario "Exactly-once at double load"
+seed 11
+guarantee exactly-once
+load x2
+run 45s
+expect lost = 0
+expect duplicates = 0
+expect rows >= 40` }
+];
+const loadScenarioLibrary = (): SavedScenario[]=>{
+  try { const saved = JSON.parse(localStorage.getItem(SCENARIO_STORE) ?? "null"); if (Array.isArray(saved)) return saved; } catch {}
+  return SCENARIO_EXAMPLES;
+};
 
 // =============================
 // VIEW CONSTANTS (explicit HEX for SVG)
@@ -50,50 +99,29 @@ const NODE_STYLE: Record<NodeType, {fill:string; stroke:string; text:string}> =
   service:  { fill: "#fecaca", stroke: "#f43f5e", text: "#0f172a" }, // rose-200 / rose-500
   db:       { fill: "#fbcfe8", stroke: "#f472b6", text: "#0f172a" }, // pink-200 / pink-500
   source:   { fill: "#e9d5ff", stroke: "#8b5cf6", text: "#0f172a" }, // purple-200 / violet-600
-  client:   { fill: "#f1f5f9", stroke: "#94a3b8", text: "#0f172a" }  // slate-100 / slate-400
+  client:   { fill: "#f1f5f9", stroke: "#94a3b8", text: "#0f172a" }, // slate-100 / slate-400
+  nifi:     { fill: "#99f6e4", stroke: "#0d9488", text: "#0f172a" }, // teal-200 / teal-600
+  hdfs:     { fill: "#fed7aa", stroke: "#ea580c", text: "#0f172a" }, // orange-200 / orange-600
+  spark:    { fill: "#ffedd5", stroke: "#c2410c", text: "#0f172a" }  // orange-100 / orange-700
 };
 
-// Base layout approximating the provided diagram (0..100 grid)
-const BASE_NODES: Node[] = [
-  { id:12, name:"Hub (Kafka)", type:"broker", x:20, y:20 },
-  { id:13, name:"ChartData <Kafka>", type:"topic", x:8, y:8 },
-  { id:10, name:"Module Realtime (Calculator)", type:"processor", x:40, y:20 },
-  { id:9, name:"Library Calculator", type:"lib", x:36, y:35 },
-  { id:8, name:"Library Core", type:"lib", x:32, y:50 },
-  { id:11, name:"API (.NET Core, mocked)", type:"api", x:16, y:40 },
-  { id:4, name:"Event Service", type:"service", x:68, y:70 },
-  { id:5, name:"DataField API", type:"api", x:86, y:70 },
-  { id:2, name:"SQL (in-memory)", type:"db", x:60, y:70 },
-  { id:6, name:"RabbitMQ Data", type:"broker", x:92, y:30 },
-  { id:101, name:"Data Services (pub/sub & stream)", type:"service", x:84, y:18 },
-  { id:1, name:"Data Ingest (JSON)", type:"source", x:68, y:90 },
-  { id:0, name:"Client UI", type:"client", x:8, y:30 }
-];
-
-const EDGES: Edge[] = [
-  { id:1, from:1, to:4, label:"raw JSON" },
-  { id:2, from:4, to:5, label:"events" },
-  { id:3, from:5, to:2, label:"3) Cast JSON → SQL DAO" },
-  { id:4, from:12, to:10, label:"pub/stream" },
-  { id:5, from:10, to:9, label:"calc uses" },
-  { id:6, from:9, to:8, label:"core lib" },
-  { id:7, from:11, to:12, label:"produce" },
-  { id:8, from:12, to:13, label:"topic ChartData" },
-  { id:9, from:13, to:0, label:"subscribe" },
-  { id:10, from:101, to:6, label:"flow → RabbitMQ" },
-  { id:11, from:101, to:12, label:"pub/sub bridge" }
-];
+const NODE_W = 16, NODE_H = 8; // drawing size in canvas units
+const NODE_LABEL_CHARS = 14; // longer names are cut with "…" (full name on hover)
+const MSG_COLORS: Record<MessageType, string> = { ChartData:"#0284c7", Event:"#10b981", DataField:"#f59e0b" };
 
-// --- dynamic node registry used by helpers (keeps tests unchanged)
+// --- view registry used by drawing helpers (the engine keeps its own)
 let currentNodes: Node[] = BASE_NODES.map(n=>({...n}));
+let currentEdges: Edge[] = EDGES.map(e=>({...e}));
 const nodeById = (id:number)=>currentNodes.find(n=>n.id===id)!;
-const edgeById = (id:number)=>EDGES.find(e=>e.id===id)!;
+const edgeById = (id:number)=>currentEdges.find(e=>e.id===id)!;
+const outEdges = (nodeId:number)=>currentEdges.filter(e=>e.from===nodeId);
 
-function pathForEdge(edge:Edge){
-  const a = nodeById(edge.from); const b = nodeById(edge.to);
+
+const curveBetween = (a:Point, b:Point)=>{
   const x1=a.x, y1=a.y, x2=b.x, y2=b.y; const cx=(x1+x2)/2, cy=(y1+y2)/2 + (x2-x1)*0.08; // slight curve
   return {x1,y1,x2,y2,cx,cy};
-}
+};
+const pathForEdge = (edge:Edge)=> curveBetween(nodeById(edge.from), nodeById(edge.to));
 
 function pointOnQuad(t:number, p:{x1:number,y1:number,x2:number,y2:number,cx:number,cy:number}){
   const x = (1-t)*(1-t)*p.x1 + 2*(1-t)*t*p.cx + t*t*p.x2;
@@ -101,26 +129,197 @@ function pointOnQuad(t:number, p:{x1:number,y1:number,x2:number,y2:number,cx:num
   return {x,y};
 }
 
+// An edge is drawn as the curve above, or as a polyline through its layout waypoints. pts/lens sample
+// the drawn path (lens = cumulative length) so a message at progress t is placed without re-deriving it.
+export type EdgeGeom = { d:string; pts:Point[]; lens:number[]; mid:Point; box:{ x0:number; y0:number; x1:number; y1:number } };
+const CURVE_SAMPLES = 12;
+
+export function edgeGeometry(a:Point, b:Point, waypoints?:Point[]): EdgeGeom {
+  let d: string, pts: Point[];
+  if (waypoints?.length){
+    pts = [a, ...waypoints, b];
+    d = pts.map((p, i)=>`${i?"L":"M"} ${p.x} ${p.y}`).join(" ");
+  } else {
+    const q = curveBetween(a, b);
+    pts = Array.from({ length:CURVE_SAMPLES+1 }, (_, i)=>pointOnQuad(i/CURVE_SAMPLES, q));
+    d = `M ${q.x1} ${q.y1} Q ${q.cx} ${q.cy} ${q.x2} ${q.y2}`;
+  }
+  const lens = [0];
+  for (let i = 1; i < pts.length; i++) lens.push(lens[i-1] + Math.hypot(pts[i].x-pts[i-1].x, pts[i].y-pts[i-1].y));
+  const xs = pts.map(p=>p.x), ys = pts.map(p=>p.y);
+  const g = { d, pts, lens, mid:a, box:{ x0:Math.min(...xs), y0:Math.min(...ys), x1:Math.max(...xs), y1:Math.max(...ys) } };
+  g.mid = pointAlong(g, 0.5);
+  return g;
+}
+
+export function pointAlong(g:Pick<EdgeGeom, "pts"|"lens">, t:number): Point {
+  const total = g.lens[g.lens.length-1], at = Math.max(0, Math.min(1, t))*total;
+  let lo = 1, hi = g.lens.length-1;
+  while (lo < hi){ const m = (lo+hi)>>1; if (g.lens[m] < at) lo = m+1; else hi = m; }
+  const seg = g.lens[lo]-g.lens[lo-1], f = seg ? (at-g.lens[lo-1])/seg : 0, p = g.pts[lo-1], q = g.pts[lo];
+  return { x:p.x + (q.x-p.x)*f, y:p.y + (q.y-p.y)*f };
+}
+
 // =============================
-// PURE MAP/CAST HELPERS (also used by tests)
+// GRAPH EDITING (pure; every edit returns a new graph so it can be undone)
 // =============================
-function mapEventToDataField(payload:any){
+const HISTORY_LIMIT = 100;
+
+// New nodes forward by default; terminal types swallow what they receive
+function defaultBehaviorFor(type:NodeType): Behavior {
+  return type==="db" || type==="client" ? { kind:"sink" } : { kind:"map" };
+}
+
+export function addNode(g:Graph, type:NodeType, x:number, y:number): Graph {
+  const id = Math.max(-1, ...g.nodes.map(n=>n.id)) + 1;
+  return { ...g, nodes:[...g.nodes, { id, name:`${type} ${id}`, type, x, y, behavior: defaultBehaviorFor(type) }] };
+}
+
+export function connectNodes(g:Graph, from:number, to:number, label?:string): Graph {
+  if (from===to || g.edges.some(e=>e.from===from && e.to===to)) return g;
+  const id = Math.max(0, ...g.edges.map(e=>e.id)) + 1;
+  return { ...g, edges:[...g.edges, label ? { id, from, to, label } : { id, from, to }] };
+}
+
+// Removing a node also removes every edge touching it
+export function removeFromGraph(g:Graph, nodeIds:number[], edgeIds:number[]): Graph {
+  const dropN = new Set(nodeIds), dropE = new Set(edgeIds);
   return {
-    field: payload?.field ?? "value",
-    symbol: String((payload?.device ?? "DEV")).toUpperCase(),
-    value: Number(payload?.value ?? 0),
-    ts: Date.now()
+    nodes: g.nodes.filter(n=>!dropN.has(n.id)),
+    edges: g.edges.filter(e=>!dropE.has(e.id) && !dropN.has(e.from) && !dropN.has(e.to))
   };
 }
-function rowFromDataField(df:any): SqlRow {
+
+export function relabel(g:Graph, target:{ kind:"node"|"edge"; id:number }, text:string): Graph {
+  if (target.kind==="node"){
+    const name = text.trim(); if (!name) return g;
+    return { ...g, nodes: g.nodes.map(n=>n.id===target.id ? { ...n, name } : n) };
+  }
+  return { ...g, edges: g.edges.map(e=>{
+    if (e.id!==target.id) return e;
+    const { label, ...rest } = e;
+    return text.trim() ? { ...rest, label:text.trim() } : rest;
+  }) };
+}
+
+// =============================
+// AUTO LAYOUT (layered DAG, left to right)
+// =============================
+// Sugiyama-style: back edges are reversed to break cycles, nodes get the longest-path layer, edges spanning
+// several layers get a bend slot in every layer they cross (so they are routed between nodes, never through
+// them), barycenter sweeps order each layer to cut crossings, then rows are pulled toward their neighbours.
+const LAYER_GAP = 30, ROW_GAP = 13, BEND_GAP = 5, LAYOUT_MARGIN = 4, LAYOUT_SWEEPS = 12;
+
+type Slot = { key:string; node?:Node; edge?:Edge; up:string[]; down:string[] };
+
+function breakCycles(nodes:Node[], edges:Edge[]): Set<number> {
+  const out: Record<number, Edge[]> = {};
+  for (const e of edges) (out[e.from] ??= []).push(e);
+  const state: Record<number, 1|2> = {}, reversed = new Set<number>();
+  for (const root of nodes){
+    if (state[root.id]) continue;
+    const stack: { id:number; i:number }[] = [{ id:root.id, i:0 }];
+    state[root.id] = 1;
+    while (stack.length){
+      const top = stack[stack.length-1], next = out[top.id]?.[top.i++];
+      if (!next){ state[top.id] = 2; stack.pop(); continue; }
+      if (state[next.to]===1) reversed.add(next.id);
+      else if (!state[next.to]){ state[next.to] = 1; stack.push({ id:next.to, i:0 }); }
+    }
+  }
+  return reversed;
+}
+
+function crossings(layers:string[][], slots:Record<string, Slot>){
+  let n = 0;
+  for (let l = 0; l+1 < layers.length; l++){
+    const pos = Object.fromEntries(layers[l+1].map((k, i)=>[k, i]));
+    const segs = layers[l].flatMap((k, i)=>slots[k].down.map(d=>[i, pos[d]]));
+    for (let a = 0; a < segs.length; a++) for (let b = a+1; b < segs.length; b++)
+      if ((segs[a][0]-segs[b][0])*(segs[a][1]-segs[b][1]) < 0) n++;
+  }
+  return n;
+}
+
+export function layeredLayout(g:Graph): Graph {
+  const ids = new Set(g.nodes.map(n=>n.id));
+  const edges = g.edges.filter(e=>e.from!==e.to && ids.has(e.from) && ids.has(e.to));
+  const reversed = breakCycles(g.nodes, edges);
+  const dir = (e:Edge)=> reversed.has(e.id) ? [e.to, e.from] : [e.from, e.to];
+
+  // Longest path from the sources, then sources move up next to their first consumer
+  const preds: Record<number, number[]> = {}, succs: Record<number, number[]> = {};
+  for (const e of edges){ const [u, v] = dir(e); (succs[u] ??= []).push(v); (preds[v] ??= []).push(u); }
+  const layer: Record<number, number> = {}, indeg: Record<number, number> = {};
+  for (const n of g.nodes){ indeg[n.id] = preds[n.id]?.length ?? 0; layer[n.id] = 0; }
+  const queue = g.nodes.filter(n=>!indeg[n.id]).map(n=>n.id), topo: number[] = [];
+  while (queue.length){
+    const u = queue.shift()!; topo.push(u);
+    for (const v of succs[u] ?? []){ layer[v] = Math.max(layer[v], layer[u]+1); if (!--indeg[v]) queue.push(v); }
+  }
+  for (const u of [...topo].reverse()) if (!preds[u]?.length && succs[u]?.length) layer[u] = Math.min(...succs[u].map(v=>layer[v])) - 1;
+
+  // Slots: one per node plus one bend per layer crossed by a long edge; start in the current top-to-bottom order
+  const slots: Record<string, Slot> = {}, layers: string[][] = [];
+  const put = (key:string, l:number, s:Omit<Slot, "key"|"up"|"down">)=>{ slots[key] = { key, up:[], down:[], ...s }; (layers[l] ??= []).push(key); };
+  const link = (a:string, b:string)=>{ slots[a].down.push(b); slots[b].up.push(a); };
+  for (const n of [...g.nodes].sort((a, b)=>a.y-b.y)) put(`n${n.id}`, layer[n.id], { node:n });
+  const bends: Record<number, string[]> = {};
+  for (const e of edges){
+    const [u, v] = dir(e);
+    let prev = `n${u}`;
+    bends[e.id] = [];
+    for (let l = layer[u]+1; l < layer[v]; l++){ const key = `e${e.id}:${l}`; put(key, l, { edge:e }); link(prev, key); bends[e.id].push(key); prev = key; }
+    link(prev, `n${v}`);
+  }
+  for (let l = 0; l < layers.length; l++) layers[l] ??= [];
+
+  // Barycenter sweeps, alternating down and up; keep the ordering with the fewest crossings
+  const order = (l:number, by:"up"|"down")=>{
+    const ref = layers[by==="up" ? l-1 : l+1]; if (!ref) return;
+    const pos = Object.fromEntries(ref.map((k, i)=>[k, i]));
+    const bary = Object.fromEntries(layers[l].map((k, i)=>{ const ns = slots[k][by]; return [k, ns.length ? ns.reduce((s, n)=>s+pos[n], 0)/ns.length : i]; }));
+    layers[l] = [...layers[l]].sort((a, b)=>bary[a]-bary[b]);
+  };
+  let best = layers.map(l=>[...l]), fewest = crossings(layers, slots);
+  for (let sweep = 0; sweep < LAYOUT_SWEEPS && fewest; sweep++){
+    if (sweep%2===0) for (let l = 1; l < layers.length; l++) order(l, "up");
+    else for (let l = layers.length-2; l >= 0; l--) order(l, "down");
+    const c = crossings(layers, slots);
+    if (c < fewest){ fewest = c; best = layers.map(l=>[...l]); }
+  }
+
+  // Rows: stack each layer, then repeatedly pull slots toward their neighbours without breaking the order
+  const y: Record<string, number> = {};
+  const gap = (a:string, b:string)=> (slots[a].node ? ROW_GAP : BEND_GAP)/2 + (slots[b].node ? ROW_GAP : BEND_GAP)/2;
+  for (const l of best) l.forEach((k, i)=>{ y[k] = i ? y[l[i-1]] + gap(l[i-1], k) : 0; });
+  for (let pass = 0; pass < 8; pass++) for (const l of best){
+    const want = l.map(k=>{ const ns = [...slots[k].up, ...slots[k].down]; return ns.length ? ns.reduce((s, n)=>s+y[n], 0)/ns.length : y[k]; });
+    for (let i = 0; i < l.length; i++) y[l[i]] = i ? Math.max(want[i], y[l[i-1]] + gap(l[i-1], l[i])) : want[i];
+    for (let i = l.length-2; i >= 0; i--) y[l[i]] = Math.min(y[l[i]], y[l[i+1]] - gap(l[i], l[i+1]));
+  }
+  const top = Math.min(...Object.values(y)), left = Math.min(...best.flatMap((l, i)=>l.length ? [i] : []));
+  const at = (key:string, l:number): Point => ({ x: +(LAYOUT_MARGIN + NODE_W/2 + (l-left)*LAYER_GAP).toFixed(1), y: +(LAYOUT_MARGIN + NODE_H/2 + y[key] - top).toFixed(1) });
+  const placed: Record<string, Point> = {};
+  best.forEach((l, i)=>l.forEach(k=>{ placed[k] = at(k, i); }));
+
   return {
-    id: df?.id || `row-${Math.random().toString(36).slice(2)}`,
-    symbol: String(df?.symbol ?? "DF"),
-    value: Number(df?.value ?? 0),
-    ts: Number(df?.ts ?? Date.now())
+    nodes: g.nodes.map(n=>({ ...n, ...placed[`n${n.id}`] })),
+    edges: g.edges.map(e=>{
+      const { waypoints:_, ...rest } = e, keys = bends[e.id] ?? [];
+      if (!keys.length) return rest;
+      const pts = keys.map(k=>placed[k]);
+      return { ...rest, waypoints: reversed.has(e.id) ? pts.reverse() : pts };
+    })
   };
 }
 
+// Moving a node by hand makes the bends of its edges stale
+const dropWaypoints = (edges:Edge[], moved:(id:number)=>boolean)=>
+  edges.some(e=>e.waypoints && (moved(e.from) || moved(e.to)))
+    ? edges.map(e=>e.waypoints && (moved(e.from) || moved(e.to)) ? (({ waypoints:_, ...rest })=>rest)(e) : e)
+    : edges;
+
 // =============================
 // MAIN COMPONENT
 // =============================
@@ -129,179 +328,590 @@ export default function PipelineSimulator(){
   const [running, setRunning] = useState(true);
   const [speed, setSpeed] = useState(1); // 0.2x..2x
   const [seed, setSeed] = useState(42);
-  const rng = useMemo(()=>makeRng(seed),[seed]);
   const [tickMs, setTickMs] = useState(800);
+  const [load, setLoad] = useState(1); // producer rate multiplier
+  const [schemaMode, setSchemaMode] = useState<SchemaMode>("quarantine");
+  const [guarantee, setGuarantee] = useState<Guarantee>("at-most-once"); // for edges without their own
+  const [producers, setProducers] = useState<ProducerDef[]>([]);
+  const [builtins, setBuiltins] = useState(true); // the API and ingest producers
 
   // Nodes become stateful for dragging
   const [nodes, setNodes] = useState<Node[]>(BASE_NODES.map(n=>({...n})));
   currentNodes = nodes; // update registry for helpers
+  const [edges, setEdges] = useState<Edge[]>(EDGES.map(e=>({...e})));
+  currentEdges = edges;
   const [selectedNode, setSelectedNode] = useState<number|undefined>(undefined);
+  const [selection, setSelection] = useState<number[]>([]); // multi-select; selectedNode is the inspected one
+  const [selectedEdge, setSelectedEdge] = useState<number|undefined>(undefined);
 
-  // Drag state
-  const [drag, setDrag] = useState<null | { id:number; dx:number; dy:number }>(null);
-  const NODE_W = 16, NODE_H = 8; // drawing size in viewBox units
-
-  // Messages flying along edges
-  const [msgs, setMsgs] = useState<Message[]>([]);
+  // Undo/redo over the editable graph
+  const [history, setHistory] = useState<{ past:Graph[]; future:Graph[] }>({ past:[], future:[] });
+  function commitGraph(next:Graph, before:Graph = { nodes, edges }){
+    setHistory(h=>({ past:[...h.past.slice(-(HISTORY_LIMIT-1)), before], future:[] }));
+    setNodes(next.nodes); setEdges(next.edges);
+  }
+  function restoreGraph(g:Graph){
+    setNodes(g.nodes); setEdges(g.edges);
+    const ids = new Set(g.nodes.map(n=>n.id));
+    setSelection(S=>S.filter(id=>ids.has(id)));
+    setSelectedNode(id=> id!=null && ids.has(id) ? id : undefined);
+    setSelectedEdge(id=> id!=null && g.edges.some(e=>e.id===id) ? id : undefined);
+  }
+  function undo(){
+    if (!history.past.length) return;
+    const prev = history.past[history.past.length-1];
+    setHistory(h=>({ past:h.past.slice(0,-1), future:[{ nodes, edges }, ...h.future] }));
+    restoreGraph(prev);
+  }
+  function redo(){
+    if (!history.future.length) return;
+    const next = history.future[0];
+    setHistory(h=>({ past:[...h.past, { nodes, edges }], future:h.future.slice(1) }));
+    restoreGraph(next);
+  }
 
-  // Logs
-  type Log = { t:number; node:number; text:string; type:MessageType };
-  const [logs, setLogs] = useState<Log[]>([]);
-  const addLog = (node:number, text:string, type:MessageType)=>
-    setLogs(L=>{ const entry={ t:Date.now(), node, text, type }; return [...L.slice(-400), entry]; });
+  // Drag state (moves every selected node together; `before` is the undo snapshot)
+  const [drag, setDrag] = useState<null | { id:number; offsets:Record<number,{dx:number;dy:number}>; before:Graph; moved:boolean }>(null);
+  const [link, setLink] = useState<null | { from:number; x:number; y:number }>(null); // shift-drag edge preview
+  const [box, setBox] = useState<null | { x0:number; y0:number; x1:number; y1:number }>(null); // marquee
+  const [editing, setEditing] = useState<null | { kind:"node"|"edge"; id:number; text:string }>(null);
 
-  // SQL table
-  const [rows, setRows] = useState<SqlRow[]>([]);
-  const [sqlFilter, setSqlFilter] = useState("");
+  // The run itself lives in the engine; React only re-renders after it steps
+  const engineRef = useRef<Engine|null>(null);
+  if (!engineRef.current) engineRef.current = createEngine({ graph:{ nodes, edges }, seed, tickMs });
+  const engine = engineRef.current;
+  engine.setGraph({ nodes, edges }); engine.setTickMs(tickMs); engine.setLoad(load); engine.setSchemaMode(schemaMode); engine.setGuarantee(guarantee); engine.setProducers(producers, builtins);
+  const world = engine.world;
+  const [, setFrame] = useState(0);
+  const redraw = ()=>setFrame(f=>f+1);
+  const { msgs, logs, chartPoints } = world;
 
-  // ChartData stream buffer
-  const [chartPoints, setChartPoints] = useState<{t:number, v:number}[]>([]);
-  const lastPoint = (arr:{t:number,v:number}[]) => arr.length ? arr[arr.length-1] : undefined;
+  // SQL console: `sqlText` is being edited, `sqlQuery` is the last one run. Live mode re-runs it
+  // after every step; otherwise the result stays as it was when Run was pressed.
+  const [sqlText, setSqlText] = useState(SQL_EXAMPLES[0].sql);
+  const [sqlQuery, setSqlQuery] = useState(SQL_EXAMPLES[0].sql);
+  const [sqlLive, setSqlLive] = useState(true);
+  const [sqlSnap, setSqlSnap] = useState<{ result:SqlResult; ms:number }|null>(null);
+  const execSql = (text:string)=>{ const t0 = performance.now(); const result = runSql(text, sqlTablesOf(world), world.clock.now); return { result, ms: performance.now()-t0 }; };
+  const runSqlText = (text = sqlText)=>{ setSqlQuery(text); setSqlSnap(execSql(text)); };
+  const sqlView = sqlLive || !sqlSnap ? execSql(sqlQuery) : sqlSnap;
 
-  // --- Producers ---
-  function spawnApiToKafka(){
-    const prev = lastPoint(chartPoints)?.v ?? 50;
-    const value = 50 + (rng()*20-10) + prev*0.1; // slight trend
-    const payload = { symbol:"AAA", value: Number(value.toFixed(2)) };
-    const m: Message = { id: `cd-${Date.now()}-${Math.floor(rng()*1e6)}`, type:"ChartData", ts: Date.now(), payload, edgeId:7, progress:0 };
-    setMsgs(M=>[...M, m]);
-  }
+  // Schema registry panel: the subject being viewed and a draft for its next version
+  const [schemaSubject, setSchemaSubject] = useState<string>("ChartData");
+  const [schemaDraft, setSchemaDraft] = useState<string|null>(null);
+  const [schemaErrors, setSchemaErrors] = useState<string[]>([]);
+  const registerDraft = ()=>{
+    let schema:any;
+    try { schema = JSON.parse(schemaDraft ?? ""); }
+    catch (e:any) { setSchemaErrors([`Invalid JSON: ${e?.message ?? e}`]); return; }
+    const res = engine.registerSchema(schemaSubject, schema);
+    setSchemaErrors(res.ok ? [] : res.errors);
+    if (res.ok){ setSchemaDraft(null); redraw(); }
+  };
 
-  function spawnIngestToEvent(){
-    const payload = { device:"sensor-"+Math.floor(rng()*10), field:"temp", value: +(20 + rng()*10).toFixed(2) };
-    const m: Message = { id: `ev-${Date.now()}-${Math.floor(rng()*1e6)}`, type:"Event", ts: Date.now(), payload, edgeId:1, progress:0 };
-    setMsgs(M=>[...M, m]);
+  function resetRun(graph:Graph = { nodes, edges }, runSeed:number = seed){
+    engine.setGraph(graph); engine.reset(runSeed);
+    redraw();
   }
+  // A new seed starts a new run, so the same seed always replays from t=0
+  useEffect(()=>{ if (engine.world.seed!==seed) resetRun(); }, [seed]);
 
-  // --- Router when a message reaches an edge's 'to' node ---
-  function deliver(msg: Message, toNode:number){
-    const n = nodes.find(nn=>nn.id===toNode)!;
-
-    if (n.id===4){
-      const cast = mapEventToDataField(msg.payload);
-      addLog(n.id, `Mapped to DataField {symbol:${cast.symbol}, value:${cast.value}}`, "DataField");
-      const next: Message = { id: msg.id+"-df", type:"DataField", ts: Date.now(), payload: cast, edgeId:2, progress:0 };
-      setMsgs(M=>[...M, next]);
-    }
-    else if (n.id===5){
-      const row = rowFromDataField(msg.payload);
-      setRows(R=>[...R.slice(-999), row]);
-      addLog(n.id, `DAO cast ready for SQL (symbol=${row.symbol}, value=${row.value})`, msg.type);
-      const next: Message = { id: msg.id+"-sql", type:"DataField", ts: Date.now(), payload: row, edgeId:3, progress:0 };
-      setMsgs(M=>[...M, next]);
-    }
-    else if (n.id===2){
-      addLog(n.id, `INSERT rows=${rows.length+1}`, msg.type);
-    }
-    else if (n.id===12){
-      addLog(n.id, `Hub received ${msg.type}`, msg.type);
-      const toModule: Message = { ...msg, id: msg.id+"-mod", edgeId:4, progress:0 };
-      const toTopic: Message = { ...msg, id: msg.id+"-topic", edgeId:8, progress:0 };
-      setMsgs(M=>[...M, toModule, toTopic]);
-    }
-    else if (n.id===10){
-      const last = lastPoint(chartPoints)?.v ?? 50;
-      const v = (0.7*last + 0.3*(msg.payload?.value ?? last));
-      const payload = { ...msg.payload, value:+v.toFixed(2), ma:true };
-      addLog(n.id, `Realtime calc → ${payload.value}`, msg.type);
-      const next: Message = { id: msg.id+"-lib1", type: msg.type, ts: Date.now(), payload, edgeId:5, progress:0 };
-      setMsgs(M=>[...M, next]);
-    }
-    else if (n.id===9){
-      const next: Message = { id: msg.id+"-lib2", type: msg.type, ts: Date.now(), payload: msg.payload, edgeId:6, progress:0 };
-      setMsgs(M=>[...M, next]);
-    }
-    else if (n.id===8){
-      addLog(n.id, `Core lib ok`, msg.type);
-    }
-    else if (n.id===13){
-      const next: Message = { id: msg.id+"-cli", type: msg.type, ts: Date.now(), payload: msg.payload, edgeId:9, progress:0 };
-      setMsgs(M=>[...M, next]);
-    }
-    else if (n.id===0){
-      const v = Number(msg.payload?.value)||0; const t = Date.now();
-      setChartPoints(P=>[...P.slice(-180), { t, v }]);
-      addLog(n.id, `UI received ${v}`, msg.type);
-    }
-  }
+  // User inputs go through the engine so they are journaled and replay when seeking
+  const act = (fn:(e:Engine)=>void)=>()=>{ fn(engine); redraw(); };
 
-  // --- Simulation Loop (RAF) ---
+  // --- Simulation Loop (RAF drives fixed virtual steps; speed scales steps per real ms) ---
   useEffect(()=>{
     let raf:number; let last=performance.now();
     const loop = (now:number)=>{
-      const dt = (now-last); last=now;
-      if (running){
-        setMsgs(current=> current.map(m=> ({...m, progress: Math.min(1, m.progress + (dt/(tickMs/Math.max(0.1,speed))))})));
-        if (now % Math.max(250, tickMs*0.8) < dt) spawnApiToKafka();
-        if (now % Math.max(1000, tickMs*2) < dt) spawnIngestToEvent();
-      }
+      const dt = Math.min(250, now-last); last=now; // cap so a background tab does not fast-forward
+      const watched = watchRef.current;
+      if (running && watched){
+        if (watched.advance(dt*Math.max(0.1,speed))) syncFromWorld();
+        if (watched.done){ watchRef.current = null; setScenarioReports([watched.report()]); setRunning(false); }
+        redraw();
+      } else if (running && engine.step(dt*Math.max(0.1,speed))) redraw();
       raf = requestAnimationFrame(loop);
     };
     raf = requestAnimationFrame(loop);
     return ()=>cancelAnimationFrame(raf);
-  }, [running, speed, tickMs, seed]);
+  }, [running, speed]);
+
+  // --- Derived: per-node arrivals/s over the last 6 seconds, from the metrics counters
+  const tpsByNode: Record<number, number> = {};
+  for (const n of nodes) tpsByNode[n.id] = counterRate(world.metrics, metricKey("node_messages_in_total", { node:n.id }), world.clock.now);
+
+  // Charts panel: any sampled series can be plotted; the filter narrows the picker
+  const [metricFilter, setMetricFilter] = useState("");
+  const [metricPick, setMetricPick] = useState(metricKey("e2e_latency_ms", { sink:"rows" })+":p95");
+  const e2e = e2eLatency(world.metrics);
+
+  // --- Custom producers: a draft being edited, then added to the list the engine runs ---
+  const RATE_PARAMS: Record<string, string[]> = { constant:["perSec"], poisson:["perSec"], bursty:["perSec","burstPerSec","burstMs","everyMs"], sine:["perSec","amplitude","periodMs"] };
+  const RATE_DEFAULTS: Record<string, number> = { perSec:5, burstPerSec:50, burstMs:1000, everyMs:10000, amplitude:0.8, periodMs:20000 };
+  const [draft, setDraft] = useState<ProducerDef>({ id:"", name:"Feed", edgeId:7, type:"ChartData", enabled:true, rate:{ kind:"constant", perSec:5 }, symbols:["AAPL","MSFT","GOOG"] });
+  const [templateText, setTemplateText] = useState(JSON.stringify({ symbol:"{{symbol}}", value:"{{walk:100:0.5}}" }));
+  const [producerErrors, setProducerErrors] = useState<string[]>([]);
+
+  function addProducer(){
+    let template:any;
+    try { template = JSON.parse(templateText); }
+    catch (e:any) { setProducerErrors([`template: invalid JSON (${e?.message ?? e})`]); return; }
+    if (!template || typeof template!=="object" || Array.isArray(template)){ setProducerErrors(["template: expected a JSON object"]); return; }
+    if (!edges.some(e=>e.id===draft.edgeId)){ setProducerErrors([`edge ${draft.edgeId} does not exist`]); return; }
+    const id = `p${producers.reduce((m, p)=>Math.max(m, Number(p.id.slice(1)) || 0), 0) + 1}`;
+    setProducers([...producers, { ...draft, id, template }]);
+    setDraft({ ...draft, replay:undefined });
+    setProducerErrors([]);
+  }
+
+  const loadRecording = (file:File|undefined)=>{
+    if (!file) return;
+    file.text().then(text=>{
+      const res = parseRecording(text);
+      if (!res.ok){ setProducerErrors(res.errors.map(e=>`${file.name}: ${e}`)); return; }
+      setDraft(d=>({ ...d, name:file.name, replay:{ records:res.records, speed:1, loop:false } }));
+      setProducerErrors([]);
+    });
+  };
+
+  const describeProducer = (p:ProducerDef)=> p.replay
+    ? `replay ${p.replay.records.length} records over ${((p.replay.records[p.replay.records.length-1]?.at ?? 0)/1000).toFixed(1)}s ×${p.replay.speed}${p.replay.loop ? " (loop)" : ""}`
+    : `${p.rate.kind} ${RATE_PARAMS[p.rate.kind].map(k=>`${k}=${p.rate[k]}`).join(" ")} · ${p.symbols?.join("/") ?? ""}`;
+
+  // --- Message trace: the context whose path is highlighted in the waterfall ---
+  const [traceSel, setTraceSel] = useState<TraceContext|null>(null);
+  const [openSpan, setOpenSpan] = useState<string|null>(null);
+  const openTrace = (t?:TraceContext)=>{ if (t){ setTraceSel(t); setOpenSpan(t.spanId); } };
+  const openTraceForMsg = (msgId?:string)=>{ const sp = msgId && findSpanByMsg(world, msgId); if (sp) openTrace({ traceId:sp.traceId, spanId:sp.spanId }); };
+
+  function traceWaterfall(sel:TraceContext){
+    const spans = traceSpans(world, sel.traceId);
+    if (!spans.length) return <div className="text-gray-500">Trace {sel.traceId} is no longer retained.</div>;
+    const path = spanPath(spans, sel.spanId), onPath = new Set(path.map(s=>s.spanId));
+    const byId = new Map(spans.map(s=>[s.spanId, s]));
+    const depth = (s:Span)=>{ let d = 0; for (let p = s.parentId && byId.get(s.parentId); p; p = p.parentId && byId.get(p.parentId)) d++; return d; };
+    const t0 = Math.min(...spans.map(s=>s.start)), t1 = Math.max(world.clock.now, ...spans.map(s=>s.end ?? s.start));
+    const span = Math.max(1, t1-t0);
+    // Payload changes are shown against the previous hop on the same branch
+    const prevHop = (s:Span)=>{ for (let p = s.parentId && byId.get(s.parentId); p; p = p.parentId && byId.get(p.parentId)) if (p.kind==="hop") return p; return undefined; };
+    return (
+      <div>
+        <div className="text-gray-600 mb-1">{spans.length} spans · {(span/1000).toFixed(2)}s · path of {path[path.length-1]?.msgId}</div>
+        <div className="max-h-56 overflow-auto">
+          {spans.map(s=>{
+            const end = s.end ?? world.clock.now, open = openSpan===s.spanId, prev = s.kind==="hop" ? prevHop(s) : undefined;
+            const changes = prev ? diffPayload(prev.payload, s.payload) : [];
+            const bad = !["ok","in flight","duplicate"].includes(s.status);
+            return (
+              <div key={s.spanId} className={onPath.has(s.spanId) ? "" : "opacity-50"}>
+                <div className="flex items-center gap-1 cursor-pointer hover:bg-gray-50" onClick={()=>setOpenSpan(open ? null : s.spanId)}>
+                  <div className="w-2/5 truncate" style={{ paddingLeft: depth(s)*6 }} title={s.msgId}>
+                    {s.kind==="hop" ? "↳ " : "■ "}{s.name}
+                  </div>
+                  <div className="flex-1 relative h-3 bg-gray-100 rounded">
+                    <div className="absolute h-3 rounded" style={{ left:`${(s.start-t0)/span*100}%`, width:`${Math.max(0.5, (end-s.start)/span*100)}%`,
+                      background: bad ? "#dc2626" : s.kind==="hop" ? "#38bdf8" : "#a78bfa" }} />
+                  </div>
+                  <div className="w-24 text-right">{end-s.start} ms{s.status!=="ok" ? ` · ${s.status}` : ""}</div>
+                </div>
+                {open && (
+                  <div className="ml-4 mb-1 font-mono text-[10px] text-gray-700">
+                    <div>{s.msgId} @ +{s.start-t0} ms{s.edgeId!=null ? ` · edge ${s.edgeId}` : ""}{s.nodeId!=null ? ` · node ${s.nodeId}` : ""}</div>
+                    <div className="break-all">{JSON.stringify(s.payload)}</div>
+                    {changes.length>0 && <div className="text-amber-700">changed: {changes.join(", ")}</div>}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  // --- Topology import/export ---
+  const [topologyErrors, setTopologyErrors] = useState<string[]>([]);
+  const [exportBehaviors, setExportBehaviors] = useState(true);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  function applyTopology(result: TopologyResult, source:string){
+    if (!result.ok){ setTopologyErrors(result.errors.map(e=>`${source}: ${e}`)); return; }
+    const { nodes: ns, edges: es, settings } = result.doc;
+    commitGraph({ nodes:ns, edges:es });
+    setProducers(result.doc.producers ?? []);
+    setSeed(settings.seed); setTickMs(settings.tickMs); setSpeed(settings.speed);
+    resetRun({ nodes:ns, edges:es }, settings.seed);
+    setSelectedNode(undefined); setSelection([]); setSelectedEdge(undefined);
+    setTopologyErrors([]);
+  }
+
+  function saveFile(name:string, text:string, type:string){
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url; a.download = name; a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function downloadTopology(){
+    const doc = exportTopology(nodes, edges, { seed, tickMs, speed }, exportBehaviors, producers);
+    saveFile("pipeline-topology.json", JSON.stringify(doc, null, 2), "application/json");
+  }
+
+  const loadTopologyFile = (file:File|undefined)=>{
+    if (!file) return;
+    file.text().then(text=>applyTopology(parseTopology(text), file.name), e=>setTopologyErrors([`${file.name}: ${String(e)}`]));
+  };
 
-  // When messages finish an edge, deliver to the 'to' node and remove the msg
+  // ?topology=<url> (or inline JSON) loads a document on startup
   useEffect(()=>{
-    if (!msgs.length) return;
-    const finished = msgs.filter(m=>m.progress>=1);
-    if (finished.length){
-      finished.forEach(m=> deliver(m, edgeById(m.edgeId).to));
-      setMsgs(M=> M.filter(m=>m.progress<1));
-    }
-  }, [msgs]);
-
-  // --- Derived: compute per-node TPS from logs (last 6 seconds)
-  const tpsByNode = useMemo(()=>{
-    const win = 6000; const cutoff = Date.now()-win;
-    const counts: Record<number, number> = {};
-    for (const n of nodes) counts[n.id]=0;
-    for (const l of logs) if (l.t>=cutoff) counts[l.node] = (counts[l.node]||0)+1;
-    const tps: Record<number, number> = {};
-    for (const n of nodes) tps[n.id] = counts[n.id]/(win/1000);
-    return tps;
-  }, [logs, nodes]);
+    const param = new URLSearchParams(window.location.search).get("topology");
+    if (!param) return;
+    if (param.trim().startsWith("{")){ applyTopology(parseTopology(param), "?topology"); return; }
+    fetch(param)
+      .then(r=>{ if (!r.ok) throw new Error(`HTTP ${r.status} ${r.statusText}`); return r.text(); })
+      .then(text=>applyTopology(parseTopology(text), param))
+      .catch(e=>setTopologyErrors([`${param}: ${e?.message ?? e}`]));
+  }, []);
 
-  // --- Dragging helpers ---
+  // --- Timeline and recorded sessions ---
+  // Seeking and loading replace the world's settings and graph, so the controls follow it
+  // (without an undo step; the timeline is the history here)
+  const [sessionErrors, setSessionErrors] = useState<string[]>([]);
+  const sessionInputRef = useRef<HTMLInputElement>(null);
+  function syncFromWorld(){
+    const w = engine.world;
+    restoreGraph({ nodes:w.nodes, edges:w.edges });
+    setTickMs(w.tickMs); setLoad(w.load); setSchemaMode(w.schemaMode); setGuarantee(w.guarantee);
+    setProducers(w.producers); setBuiltins(w.builtins); setSeed(w.seed);
+    redraw();
+  }
+  function seekTo(tick:number){
+    setRunning(false);
+    engine.seek(tick);
+    syncFromWorld();
+  }
+  // The timeline slider only previews while dragged; the seek (a replay) happens once it is let go
+  const [scrubTick, setScrubTick] = useState<number|null>(null);
+  const commitScrub = ()=>{ if (scrubTick===null) return; seekTo(scrubTick); setScrubTick(null); };
+  const loadSessionFile = (file:File|undefined)=>{
+    if (!file) return;
+    file.text().then(text=>{
+      const res = parseSession(text);
+      if (!res.ok){ setSessionErrors(res.errors.map(e=>`${file.name}: ${e}`)); return; }
+      setRunning(false);
+      engine.loadSession(res.doc!);
+      setSessionErrors([]);
+      syncFromWorld();
+    }, e=>setSessionErrors([`${file.name}: ${String(e)}`]));
+  };
+  // Playing on from the past re-applies recorded inputs, graph edits included
+  useEffect(()=>engine.on("replay", syncFromWorld), []);
+  const timeline = engine.timeline();
+
+  // --- Scenarios ---
+  // Run executes a script headlessly against the current graph; Watch plays it on the live run at the
+  // current speed (the loop advances it instead of the engine). Run all feeds the Diagnostics panel too.
+  const [scenarios, setScenarios] = useState<SavedScenario[]>(loadScenarioLibrary);
+  useEffect(()=>{ try { localStorage.setItem(SCENARIO_STORE, JSON.stringify(scenarios)); } catch {} }, [scenarios]);
+  const [scenarioText, setScenarioText] = useState(scenarios[0]?.text ?? SCENARIO_EXAMPLES[0].text);
+  const [scenarioErrors, setScenarioErrors] = useState<string[]>([]);
+  const [scenarioReports, setScenarioReports] = useState<ScenarioReport[]>([]);
+  const watchRef = useRef<ScenarioRun|null>(null);
+  const libraryInputRef = useRef<HTMLInputElement>(null);
+  const parseDraft = ()=>{
+    const res = parseScenario(scenarioText);
+    setScenarioErrors(res.errors);
+    return res.scenario;
+  };
+  // Run and Watch start from the same graph, seed and tick; startScenario() defaults everything else
+  const scenarioBase = ()=>({ graph:{ nodes, edges }, seed, tickMs });
+  const runHeadless = (text:string)=>{
+    const res = parseScenario(text);
+    if (!res.ok) return { name:text.match(/^\s*scenario\s+"?([^"\n]+)/m)?.[1] ?? "Untitled scenario", seed, passed:false, results:[], errors:res.errors, virtualMs:0 };
+    return runScenario(res.scenario!, scenarioBase());
+  };
+  function runDraft(){ const sc = parseDraft(); if (sc) setScenarioReports([runScenario(sc, scenarioBase())]); }
+  function watchDraft(){
+    const sc = parseDraft(); if (!sc) return;
+    const base = scenarioBase();
+    engine.setGraph(base.graph); engine.setTickMs(base.tickMs); engine.reset(base.seed);
+    watchRef.current = startScenario(engine, sc);
+    setScenarioReports([]);
+    syncFromWorld();
+    setRunning(true);
+  }
+  const runLibrary = ()=> scenarios.map(s=>runHeadless(s.text));
+  function saveDraft(){
+    const sc = parseDraft(); if (!sc) return;
+    setScenarios(list=>[...list.filter(s=>s.name!==sc.name), { name:sc.name, text:scenarioText }]);
+  }
+  const loadLibraryFile = (file:File|undefined)=>{
+    if (!file) return;
+    file.text().then(text=>{
+      const doc = JSON.parse(text), list = Array.isArray(doc) ? doc : doc?.scenarios;
+      if (!Array.isArray(list) || !list.every((s:any)=>typeof s?.name==="string" && typeof s?.text==="string")) throw new Error("expected { scenarios: [{ name, text }] }");
+      setScenarios(list); setScenarioErrors([]);
+    }).catch(e=>setScenarioErrors([`${file.name}: ${e?.message ?? e}`]));
+  };
+
+  // --- Viewport: the viewBox onto the canvas (wheel zooms at the cursor, alt- or middle-drag pans) ---
+  const [view, setView] = useState({ x:0, y:0, w:100, h:100 });
+  const [pan, setPan] = useState<null | { cx:number; cy:number; from:typeof view }>(null);
+  const VIEW_MIN = 20;
+  const zoomAt = (f:number, fx = 0.5, fy = 0.5)=> setView(v=>{
+    const w = Math.max(VIEW_MIN, Math.min(CANVAS_MAX, v.w*f)), k = w/v.w;
+    return { x: v.x + (v.w - w)*fx, y: v.y + (v.h - v.h*k)*fy, w, h: v.h*k };
+  });
+  // Square view around every node and bend, so the drawing keeps the proportions of the default view
+  const fitView = (g:Graph = { nodes, edges })=>{
+    const pts = [...g.nodes, ...g.edges.flatMap(e=>e.waypoints ?? [])];
+    if (!pts.length) return;
+    const x0 = Math.min(...pts.map(p=>p.x)) - NODE_W, x1 = Math.max(...pts.map(p=>p.x)) + NODE_W;
+    const y0 = Math.min(...pts.map(p=>p.y)) - NODE_H*2, y1 = Math.max(...pts.map(p=>p.y)) + NODE_H*2;
+    const size = Math.max(VIEW_MIN, x1-x0, y1-y0);
+    setView({ x:(x0+x1-size)/2, y:(y0+y1-size)/2, w:size, h:size });
+  };
   const svgRef = useRef<SVGSVGElement>(null);
+  useEffect(()=>{
+    const svg = svgRef.current; if (!svg) return;
+    const onWheel = (e:WheelEvent)=>{
+      e.preventDefault(); // the page must not scroll while zooming
+      const r = svg.getBoundingClientRect();
+      zoomAt(Math.exp(e.deltaY*0.0015), (e.clientX-r.left)/r.width, (e.clientY-r.top)/r.height);
+    };
+    svg.addEventListener("wheel", onWheel, { passive:false });
+    return ()=>svg.removeEventListener("wheel", onWheel);
+  }, []);
+  function autoLayout(){
+    const next = layeredLayout({ nodes, edges });
+    commitGraph(next);
+    fitView(next);
+  }
+
+  // --- Live bridge: real events from a WebSocket/SSE relay, injected onto the mapped edges ---
+  const [bridgeUrl, setBridgeUrl] = useState("ws://localhost:8080/events");
+  const [bridgeTransport, setBridgeTransport] = useState<BridgeTransportKind>("websocket");
+  const [liveMappings, setLiveMappings] = useState<LiveMapping[]>(BRIDGE_MAPPINGS);
+  const [liveOnly, setLiveOnly] = useState(true); // built-in producers pause while connected
+  const [bridgeStatus, setBridgeStatus] = useState<BridgeStatus|null>(null);
+  const bridgeRef = useRef<Bridge|null>(null);
+  const pausedBuiltins = useRef(false); // so Disconnect turns them back on
+  function connectBridge(url = bridgeUrl, transport = bridgeTransport){
+    bridgeRef.current?.disconnect();
+    const b = createBridge(engine, { url, transport, mappings:liveMappings });
+    b.onStatus(setBridgeStatus);
+    bridgeRef.current = b;
+    b.connect();
+    if (b.status().state==="closed") return; // refused outright, e.g. a malformed URL
+    if (liveOnly && builtins){ pausedBuiltins.current = true; setBuiltins(false); }
+    setRunning(true);
+  }
+  function disconnectBridge(){
+    bridgeRef.current?.disconnect();
+    if (pausedBuiltins.current){ pausedBuiltins.current = false; setBuiltins(true); }
+  }
+  useEffect(()=>{ bridgeRef.current?.setMappings(liveMappings); }, [liveMappings]);
+  useEffect(()=>()=>bridgeRef.current?.disconnect(), []);
+  // Keeps the reconnect countdown moving while the simulation is paused
+  useEffect(()=>{
+    if (bridgeStatus?.state!=="reconnecting") return;
+    const t = setInterval(redraw, 500);
+    return ()=>clearInterval(t);
+  }, [bridgeStatus?.state]);
+  // ?bridge=<ws:// or http(s):// url> connects on startup (http means Server-Sent Events)
+  useEffect(()=>{
+    const param = new URLSearchParams(window.location.search).get("bridge");
+    if (!param) return;
+    const transport: BridgeTransportKind = /^wss?:/.test(param) ? "websocket" : "sse";
+    setBridgeUrl(param); setBridgeTransport(transport);
+    connectBridge(param, transport);
+  }, []);
+  const bridgeLabel = (s:BridgeStatus)=>
+    s.state==="reconnecting" ? `reconnecting in ${Math.max(0, Math.ceil(((s.retryAt ?? 0)-Date.now())/1000))}s (attempt ${s.attempt})`
+    : s.state==="open" ? `live · ${s.injected} events` : s.state;
+  const BRIDGE_DOT: Record<string, string> = { open:"#10b981", connecting:"#f59e0b", reconnecting:"#f59e0b", closed:"#94a3b8", idle:"#94a3b8" };
+
+  // --- Dragging helpers ---
   const clamp = (val:number,min:number,max:number)=> Math.max(min, Math.min(max, val));
   const toViewBox = (e: React.PointerEvent): {x:number;y:number} => {
     const svg = svgRef.current!;
     const rect = svg.getBoundingClientRect();
-    const x = ((e.clientX - rect.left) / rect.width) * 100;
-    const y = ((e.clientY - rect.top) / rect.height) * 100;
+    const x = view.x + ((e.clientX - rect.left) / rect.width) * view.w;
+    const y = view.y + ((e.clientY - rect.top) / rect.height) * view.h;
     return { x, y };
   };
 
+  const nodeAt = (p:{x:number;y:number})=>
+    [...nodes].reverse().find(n=>Math.abs(p.x-n.x)<=NODE_W/2 && Math.abs(p.y-n.y)<=NODE_H/2);
+
   const onNodePointerDown = (e: React.PointerEvent, id:number)=>{
     e.stopPropagation();
+    if (editing) return;
     const p = toViewBox(e);
-    const n = nodes.find(nn=>nn.id===id)!;
+    svgRef.current?.setPointerCapture?.(e.pointerId);
+    if (e.shiftKey){ setLink({ from:id, x:p.x, y:p.y }); return; }
+    const additive = e.ctrlKey || e.metaKey;
+    const group = selection.includes(id) ? selection : additive ? [...selection, id] : [id];
+    setSelection(group);
     setSelectedNode(id);
-    setDrag({ id, dx: p.x - n.x, dy: p.y - n.y });
+    setSelectedEdge(undefined);
+    const offsets: Record<number,{dx:number;dy:number}> = {};
+    for (const n of nodes) if (group.includes(n.id)) offsets[n.id] = { dx: p.x - n.x, dy: p.y - n.y };
+    setDrag({ id, offsets, before:{ nodes, edges }, moved:false });
+  };
+
+  const onSvgPointerDown = (e: React.PointerEvent)=>{
+    if (editing) return;
     svgRef.current?.setPointerCapture?.(e.pointerId);
+    if (e.button===1 || e.altKey){ e.preventDefault(); setPan({ cx:e.clientX, cy:e.clientY, from:view }); return; }
+    const p = toViewBox(e);
+    setBox({ x0:p.x, y0:p.y, x1:p.x, y1:p.y });
   };
 
   const onSvgPointerMove = (e: React.PointerEvent)=>{
-    if (!drag) return;
+    if (pan){
+      const r = svgRef.current!.getBoundingClientRect(), v = pan.from;
+      setView({ ...v, x: v.x - (e.clientX-pan.cx)/r.width*v.w, y: v.y - (e.clientY-pan.cy)/r.height*v.h });
+      return;
+    }
     const p = toViewBox(e);
-    setNodes(ns => ns.map(n => n.id!==drag.id ? n : ({
+    if (link){ setLink({ ...link, x:p.x, y:p.y }); return; }
+    if (box){ setBox({ ...box, x1:p.x, y1:p.y }); return; }
+    if (!drag) return;
+    if (!drag.moved){ setDrag({ ...drag, moved:true }); setEdges(es=>dropWaypoints(es, id=>!!drag.offsets[id])); }
+    setNodes(ns => ns.map(n => !drag.offsets[n.id] ? n : ({
       ...n,
-      x: clamp(p.x - drag.dx, NODE_W/2, 100 - NODE_W/2),
-      y: clamp(p.y - drag.dy, NODE_H/2, 100 - NODE_H/2)
+      x: clamp(p.x - drag.offsets[n.id].dx, NODE_W/2, CANVAS_MAX - NODE_W/2),
+      y: clamp(p.y - drag.offsets[n.id].dy, NODE_H/2, CANVAS_MAX - NODE_H/2)
     })));
   };
   const onSvgPointerUp = (e: React.PointerEvent)=>{
-    if (drag) svgRef.current?.releasePointerCapture?.(e.pointerId);
+    if (drag || link || box || pan) svgRef.current?.releasePointerCapture?.(e.pointerId);
+    setPan(null);
+    if (link){
+      const target = nodeAt(toViewBox(e));
+      if (target && target.id!==link.from){
+        const next = connectNodes({ nodes, edges }, link.from, target.id);
+        if (next.edges!==edges) commitGraph(next);
+      }
+      setLink(null);
+    }
+    if (box){
+      const [x0,x1] = [Math.min(box.x0,box.x1), Math.max(box.x0,box.x1)];
+      const [y0,y1] = [Math.min(box.y0,box.y1), Math.max(box.y0,box.y1)];
+      const inside = nodes.filter(n=>n.x>=x0 && n.x<=x1 && n.y>=y0 && n.y<=y1).map(n=>n.id);
+      setSelection(inside);
+      setSelectedNode(inside.length===1 ? inside[0] : undefined);
+      setSelectedEdge(undefined);
+      setBox(null);
+    }
+    // The drag already moved nodes live; record the pre-drag graph so the move is one undo step
+    if (drag?.moved) setHistory(h=>({ past:[...h.past.slice(-(HISTORY_LIMIT-1)), drag.before], future:[] }));
     setDrag(null);
   };
 
+  // --- Editing commands ---
+  function addFromPalette(type:NodeType){
+    const spot = ((nodes.length*7) % 30) - 15; // staggered around the middle of the view
+    const at = { x: view.x + view.w/2 + spot*view.w/100, y: view.y + view.h/2 + spot*view.h/100 };
+    const next = addNode({ nodes, edges }, type, clamp(at.x, NODE_W/2, CANVAS_MAX-NODE_W/2), clamp(at.y, NODE_H/2, CANVAS_MAX-NODE_H/2));
+    commitGraph(next);
+    const added = next.nodes[next.nodes.length-1].id;
+    setSelection([added]); setSelectedNode(added); setSelectedEdge(undefined);
+  }
+  function deleteSelection(){
+    if (!selection.length && selectedEdge==null) return;
+    const next = removeFromGraph({ nodes, edges }, selection, selectedEdge!=null ? [selectedEdge] : []);
+    commitGraph(next);
+    setSelection([]); setSelectedNode(undefined); setSelectedEdge(undefined);
+  }
+  function commitEdit(){
+    if (!editing) return;
+    const next = relabel({ nodes, edges }, editing, editing.text);
+    if (next.nodes!==nodes || next.edges!==edges) commitGraph(next);
+    setEditing(null);
+  }
+
+  // Keyboard: Delete/Backspace removes the selection, Ctrl/⌘+Z undoes, Ctrl/⌘+Shift+Z or Ctrl+Y redoes
+  useEffect(()=>{
+    const onKey = (e:KeyboardEvent)=>{
+      const tag = (e.target as HTMLElement)?.tagName;
+      if (tag==="INPUT" || tag==="TEXTAREA" || tag==="SELECT") return;
+      const mod = e.ctrlKey || e.metaKey;
+      if (e.key==="Delete" || e.key==="Backspace"){ e.preventDefault(); deleteSelection(); }
+      else if (mod && e.key.toLowerCase()==="z"){ e.preventDefault(); e.shiftKey ? redo() : undo(); }
+      else if (mod && e.key.toLowerCase()==="y"){ e.preventDefault(); redo(); }
+      else if (e.key==="Escape"){ setSelection([]); setSelectedNode(undefined); setSelectedEdge(undefined); setLink(null); }
+    };
+    window.addEventListener("keydown", onKey);
+    return ()=>window.removeEventListener("keydown", onKey);
+  });
+
   // Order nodes so dragging one renders on top
   const orderedNodes = useMemo(()=>{
     if (!drag) return nodes;
     return [...nodes.filter(n=>n.id!==drag.id), nodes.find(n=>n.id===drag.id)!];
   }, [nodes, drag]);
 
+  // Edge shapes only change with the graph; every frame just places messages on them
+  const geometry = useMemo(()=>{
+    const byId = new Map(nodes.map(n=>[n.id, n]));
+    const out: Record<number, EdgeGeom> = {};
+    for (const e of edges){ const a = byId.get(e.from), b = byId.get(e.to); if (a && b) out[e.id] = edgeGeometry(a, b, e.waypoints); }
+    return out;
+  }, [nodes, edges]);
+
+  // Only what intersects the view is drawn, and labels and shadows only once zoomed in far enough to
+  // read them. Strokes and dots thicken when zoomed out so they stay visible.
+  const visible = (x0:number, y0:number, x1:number, y1:number)=>
+    x1 >= view.x-NODE_W && x0 <= view.x+view.w+NODE_W && y1 >= view.y-NODE_H && y0 <= view.y+view.h+NODE_H;
+  const detail = view.w <= 220;
+  const ink = Math.max(1, Math.sqrt(view.w/100));
+
+  // Messages are one path per type rather than a <circle> each, so thousands in flight stay cheap;
+  // a click picks the nearest dot
+  const placedMsgs: { m:Message; p:Point }[] = [];
+  const dotPaths: Partial<Record<MessageType, string[]>> = {};
+  const dotR = 1.2*ink;
+  for (const m of msgs){
+    const g = geometry[m.edgeId]; if (!g) continue;
+    const p = pointAlong(g, m.progress);
+    if (!visible(p.x, p.y, p.x, p.y)) continue;
+    placedMsgs.push({ m, p });
+    (dotPaths[m.type] ??= []).push(`M ${(p.x-dotR).toFixed(2)} ${p.y.toFixed(2)} a ${dotR} ${dotR} 0 1 0 ${2*dotR} 0 a ${dotR} ${dotR} 0 1 0 ${-2*dotR} 0`);
+  }
+  const msgAt = (p:Point)=>{
+    let best: Message|undefined, bestD = (dotR*1.8)**2;
+    for (const { m, p:q } of placedMsgs){ const d = (q.x-p.x)**2 + (q.y-p.y)**2; if (d < bestD){ bestD = d; best = m; } }
+    return best;
+  };
+  const tracedDots = traceSel ? placedMsgs.filter(({ m })=>m.trace?.traceId===traceSel.traceId) : [];
+
+  // Minimap: every node plus the current view; click or drag in it to move the view there
+  const MINI_W = 150, MINI_H = 100;
+  function minimap(){
+    if (!nodes.length) return null;
+    const x0 = Math.min(...nodes.map(n=>n.x)) - NODE_W, x1 = Math.max(...nodes.map(n=>n.x)) + NODE_W;
+    const y0 = Math.min(...nodes.map(n=>n.y)) - NODE_H*2, y1 = Math.max(...nodes.map(n=>n.y)) + NODE_H*2;
+    const size = Math.max(x1-x0, y1-y0), bx = (x0+x1-size)/2, by = (y0+y1-size)/2;
+    const moveTo = (e: React.PointerEvent<SVGSVGElement>)=>{
+      if (!(e.buttons & 1)) return;
+      const r = e.currentTarget.getBoundingClientRect();
+      const x = bx + (e.clientX-r.left)/r.width*size, y = by + (e.clientY-r.top)/r.height*size;
+      setView(v=>({ ...v, x:x-v.w/2, y:y-v.h/2 }));
+    };
+    return (
+      <svg aria-label="minimap" className="absolute right-2 bottom-2 border rounded bg-white shadow" width={MINI_W} height={MINI_H}
+           viewBox={`${bx} ${by} ${size} ${size}`} preserveAspectRatio="none" style={{ opacity:0.9, cursor:"crosshair" }}
+           onPointerDown={e=>{ e.stopPropagation(); e.currentTarget.setPointerCapture?.(e.pointerId); moveTo(e); }} onPointerMove={moveTo}>
+        <path d={edges.map(e=>geometry[e.id]?.d ?? "").join(" ")} fill="none" stroke="#cbd5e1" strokeWidth={1} vectorEffect="non-scaling-stroke" />
+        <path d={nodes.map(n=>`M ${n.x-NODE_W/2} ${n.y-NODE_H/2} h ${NODE_W} v ${NODE_H} h ${-NODE_W} z`).join(" ")} fill="#94a3b8" />
+        <rect x={view.x} y={view.y} width={view.w} height={view.h} fill="#3b82f6" fillOpacity={0.1} stroke="#2563eb" strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+      </svg>
+    );
+  }
+
   // --- Minimal Charts (SVG) ---
   function MiniLineChart({ data }:{ data:{t:number,v:number}[] }){
     const W=320, H=120, P=20;
@@ -335,6 +945,374 @@ export default function PipelineSimulator(){
     );
   }
 
+  // --- Kafka inspector: partition offsets and per-group lag ---
+  function KafkaInspector({ node }:{ node:Node }){
+    const b = node.behavior as KafkaBehavior;
+    const k: KafkaState|undefined = world.stages[node.id];
+    const setGroup = (edgeId:number, group:string)=>{
+      const groups = { ...(b.groups ?? {}) };
+      if (group.trim()) groups[edgeId] = group.trim(); else delete groups[edgeId];
+      commitGraph({ nodes: nodes.map(n=>n.id===node.id ? { ...n, behavior:{ ...b, groups } } : n), edges });
+    };
+    return (
+      <div className="mt-2 text-xs">
+        <div className="font-medium">Topic “{b.topic}” — {b.partitions} partition(s), key: {b.key ?? "round-robin"}</div>
+        {!k ? <div className="text-gray-500">No records yet.</div> : (
+          <>
+            <table className="w-full mt-1">
+              <thead><tr className="text-left"><th className="p-0.5">partition</th><th>start</th><th>end</th><th>retained</th></tr></thead>
+              <tbody>
+                {k.partitions.map((p,i)=>(
+                  <tr key={i} className="odd:bg-gray-50"><td className="p-0.5">p{i}</td><td>{p.start}</td><td>{p.end}</td><td>{p.log.length}</td></tr>
+                ))}
+              </tbody>
+            </table>
+            {Object.values(k.groups).map(g=>{ const lag = groupLag(k, g); return (
+              <div key={g.id} className="mt-1">
+                <div>Group <b>{g.id}</b> (gen {g.generation}) — total lag <b>{lag.reduce((a,c)=>a+c,0)}</b></div>
+                <table className="w-full">
+                  <thead><tr className="text-left"><th className="p-0.5">partition</th><th>consumer</th><th>committed</th><th>lag</th></tr></thead>
+                  <tbody>
+                    {k.partitions.map((_,i)=>{ const owner = g.members.find(m=>g.assignment[m]?.includes(i)); return (
+                      <tr key={i} className="odd:bg-gray-50"><td className="p-0.5">p{i}</td><td>{owner!=null ? `edge ${owner}` : "—"}</td><td>{g.committed[i]}</td><td className={lag[i]>0?"text-red-600":""}>{lag[i]}</td></tr>
+                    ); })}
+                  </tbody>
+                </table>
+              </div>
+            ); })}
+          </>
+        )}
+        <div className="mt-1 font-medium">Consumers (outgoing edges)</div>
+        {outEdges(node.id).map(e=>(
+          <label key={e.id} className="flex items-center gap-1">edge {e.id} → {nodeById(e.to)?.name} group
+            <input className="border rounded px-1 w-24" defaultValue={consumerGroupOf(b, e)} onBlur={ev=>setGroup(e.id, ev.target.value)} />
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  // --- NiFi / HDFS / Spark inspectors ---
+  function NifiInspector({ node }:{ node:Node }){
+    const b = node.behavior as NifiBehavior;
+    const st: NifiState|undefined = world.stages[node.id];
+    const objT = b.objectThreshold ?? NIFI_DEFAULTS.objectThreshold, sizeT = b.sizeThreshold ?? NIFI_DEFAULTS.sizeThreshold;
+    if (!st) return <div className="mt-2 text-xs text-gray-500">No FlowFiles yet.</div>;
+    const last = st.inbound[st.inbound.length-1] ?? Object.values(st.connections).flat().pop();
+    return (
+      <div className="mt-2 text-xs">
+        <div className="font-medium">Processor {st.backPressured ? <span className="text-red-600">paused (back-pressure)</span> : "running"} — {st.processed} FlowFiles processed</div>
+        <table className="w-full mt-1">
+          <thead><tr className="text-left"><th className="p-0.5">queue</th><th>FlowFiles</th><th>bytes</th><th>threshold</th></tr></thead>
+          <tbody>
+            <tr className="odd:bg-gray-50"><td className="p-0.5">inbound</td><td>{st.inbound.length}</td><td>{queueBytes(st.inbound)}</td><td>{objT} / {sizeT} B</td></tr>
+            {outEdges(node.id).map(e=>{ const q = st.connections[e.id] ?? []; return (
+              <tr key={e.id} className={nifiOverThreshold(b, q) ? "bg-red-50 text-red-700" : "odd:bg-gray-50"}>
+                <td className="p-0.5">→ {nodeById(e.to)?.name}</td><td>{q.length}</td><td>{queueBytes(q)}</td><td>{objT} / {sizeT} B</td>
+              </tr>
+            ); })}
+          </tbody>
+        </table>
+        {last && <div className="mt-1 text-gray-600 break-all">Last FlowFile attributes: {JSON.stringify(last.attributes)}</div>}
+      </div>
+    );
+  }
+
+  function HdfsInspector({ node }:{ node:Node }){
+    const b = node.behavior as HdfsBehavior;
+    const st: HdfsState|undefined = world.stages[node.id];
+    const files = st ? [...st.files.slice(-8), ...(st.open ? [st.open] : [])].reverse() : [];
+    return (
+      <div className="mt-2 text-xs">
+        <div className="font-medium">Replication factor {hdfsReplication(b)} on {b.datanodes ?? HDFS_DEFAULTS.datanodes} datanodes, block size {b.blockSize ?? HDFS_DEFAULTS.blockSize} B</div>
+        {!files.length ? <div className="text-gray-500">No files yet.</div> : (
+          <table className="w-full mt-1">
+            <thead><tr className="text-left"><th className="p-0.5">file</th><th>records</th><th>bytes</th><th>blocks (datanodes)</th></tr></thead>
+            <tbody>
+              {files.map(f=>(
+                <tr key={f.path} className="odd:bg-gray-50">
+                  <td className="p-0.5">{f.path.split("/").pop()}{f.closedAt==null && <span className="text-emerald-700"> (open)</span>}</td>
+                  <td>{f.records}</td><td>{f.bytes}</td>
+                  <td>{f.blocks.map(blk=>`#${blk.id}[${blk.replicas.map(r=>`dn${r+1}`).join(",")}]`).join(" ")}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    );
+  }
+
+  function SparkInspector({ node }:{ node:Node }){
+    const b = node.behavior as SparkBehavior;
+    const st: SparkState|undefined = world.stages[node.id];
+    const size = b.windowMs ?? SPARK_DEFAULTS.windowMs;
+    return (
+      <div className="mt-2 text-xs">
+        <div className="font-medium">
+          Trigger {b.triggerMs ?? SPARK_DEFAULTS.triggerMs} ms · window {size} ms{b.slideMs && b.slideMs!==size ? ` sliding ${b.slideMs} ms` : " tumbling"} · watermark {b.watermarkMs ?? SPARK_DEFAULTS.watermarkMs} ms · {b.outputMode ?? SPARK_DEFAULTS.outputMode}
+        </div>
+        {!st ? <div className="text-gray-500">No input yet.</div> : (
+          <>
+            <div>Buffered rows: {st.buffer.length} · open windows: {Object.keys(st.windows).length} · late dropped: {st.lateDropped}</div>
+            {st.lastBatch && <div>Last batch #{st.lastBatch.id}: {st.lastBatch.rows} rows, {st.lastBatch.emitted} window(s) emitted at {new Date(st.lastBatch.at).toLocaleTimeString()}</div>}
+            <table className="w-full mt-1">
+              <thead><tr className="text-left"><th className="p-0.5">key</th><th>window</th><th>count</th><th>avg</th></tr></thead>
+              <tbody>
+                {Object.values(st.windows).slice(0, 8).map(w=>(
+                  <tr key={`${w.key}|${w.start}`} className="odd:bg-gray-50">
+                    <td className="p-0.5">{w.key}</td><td>{new Date(w.start).toLocaleTimeString()}–{new Date(w.end).toLocaleTimeString()}</td><td>{w.count}</td><td>{(w.sum/w.count).toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  // --- AMQP inspectors ---
+  function RabbitInspector({ node }:{ node:Node }){
+    const b = node.behavior as RabbitBehavior;
+    const st: RabbitState|undefined = world.stages[node.id];
+    const dlqs = b.queues.map(q=>q.deadLetter).filter(Boolean) as string[];
+    return (
+      <div className="mt-2 text-xs">
+        <div className="font-medium">Exchanges: {b.exchanges.map(x=>`${x.name} (${x.type})`).join(", ")}</div>
+        <div className="text-gray-600">Bindings: {b.bindings.map(bd=>`${bd.exchange} —${bd.key}→ ${bd.queue}`).join("; ")}</div>
+        <table className="w-full mt-1">
+          <thead><tr className="text-left"><th className="p-0.5">queue</th><th>ready</th><th>unacked</th><th>prefetch</th><th>acked</th><th>nacked</th><th>DLX</th></tr></thead>
+          <tbody>
+            {b.queues.map(d=>{ const q = st?.queues[d.name]; return (
+              <tr key={d.name} className="odd:bg-gray-50">
+                <td className="p-0.5">{d.name}</td><td>{q?.ready.length ?? 0}</td><td>{q ? Object.keys(q.unacked).length : 0}</td>
+                <td>{d.prefetch ?? 10}</td><td>{q?.acked ?? 0}</td><td>{q?.nacked ?? 0}</td><td>{d.deadLetter ?? "—"}</td>
+              </tr>
+            ); })}
+          </tbody>
+        </table>
+        {st && st.unroutable>0 && <div className="text-amber-700">Unroutable: {st.unroutable}</div>}
+        {dlqs.map(name=>{ const q = st?.queues[name]; if (!q?.ready.length) return null; return (
+          <div key={name} className="mt-1">
+            <div className="font-medium">{name} (last 5)</div>
+            <ul className="list-disc pl-4">
+              {q.ready.slice(-5).reverse().map(env=>(
+                <li key={env.tag}>{env.routingKey} {JSON.stringify(env.msg.payload)} — {env.reason}, {env.deliveryCount} deliveries</li>
+              ))}
+            </ul>
+          </div>
+        ); })}
+      </div>
+    );
+  }
+
+  function PublisherInspector({ node }:{ node:Node }){
+    const b = node.behavior as PublisherBehavior;
+    const st: PublisherState|undefined = world.stages[node.id];
+    return (
+      <div className="mt-2 text-xs">
+        <div className="font-medium">Publishes to {b.exchange} every {b.everyMs} ms with keys {b.routingKeys.join(", ")}</div>
+        <div>Published (AMQP): {st?.published ?? 0} · bridged: {st?.bridged ?? 0}</div>
+        {outEdges(node.id).filter(e=>nodeById(e.to)?.behavior?.kind!=="rabbitmq").map(e=>{ const m = b.bridge?.[e.id]; return (
+          <div key={e.id}>Bridge edge {e.id} → {nodeById(e.to)?.name}: {m ? `${m.match} as ${m.as}` : <span className="text-amber-700">no mapping (edge carries nothing)</span>}</div>
+        ); })}
+      </div>
+    );
+  }
+
+  // --- Fault controls (shared by node and edge inspectors) ---
+  // Called as a function, not mounted as a component, so inputs keep focus across redraws
+  const LATENCY_PARAMS: Record<string, string[]> = { fixed:["ms"], uniform:["min","max"], normal:["mean","sd"], exponential:["mean"] };
+  function faultControls(owner:string, fault:Fault|undefined, onChange:(f:Fault|undefined)=>void){
+    const f = fault ?? {};
+    const set = (patch:Partial<Fault>)=>{
+      const next: any = { ...f, ...patch };
+      for (const k of Object.keys(next)) if (next[k]===undefined || next[k]===0) delete next[k];
+      onChange(Object.keys(next).length ? next : undefined);
+    };
+    const num = (v:string, scale = 1)=>{ const n = parseFloat(v); return Number.isFinite(n) && n>0 ? n/scale : undefined; };
+    const pct = (k:"dropRate"|"dupRate", label:string)=>(
+      <label className="flex items-center gap-1">{label}
+        <input key={`${owner}-${k}-${f[k] ?? 0}`} type="number" min={0} max={100} className="border rounded px-1 w-14"
+               defaultValue={+((f[k] ?? 0)*100).toFixed(2)} onBlur={e=>set({ [k]: Math.min(1, num(e.target.value, 100) ?? 0) })} /> %
+      </label>
+    );
+    const l = f.latency;
+    return (
+      <div className="mt-2 text-xs">
+        <div className="font-medium">Faults</div>
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="flex items-center gap-1">Latency
+            <select className="border rounded px-1" value={l?.dist ?? ""}
+                    onChange={e=>{ const d = e.target.value; set({ latency: !d ? undefined : { dist:d, ...Object.fromEntries(LATENCY_PARAMS[d].map(k=>[k, tickMs])) } as LatencyDist }); }}>
+              <option value="">one tick</option>
+              {LATENCY_DISTS.map(d=><option key={d} value={d}>{d}</option>)}
+            </select>
+          </label>
+          {l && LATENCY_PARAMS[l.dist].map(k=>(
+            <label key={k} className="flex items-center gap-1">{k}
+              <input key={`${owner}-${k}-${l[k]}`} type="number" min={0} className="border rounded px-1 w-16" defaultValue={l[k]}
+                     onBlur={e=>set({ latency:{ ...l, [k]: Math.max(0, parseFloat(e.target.value) || 0) } as LatencyDist })} /> ms
+            </label>
+          ))}
+          <label className="flex items-center gap-1">Jitter ±
+            <input key={`${owner}-jitter-${f.jitterMs ?? 0}`} type="number" min={0} className="border rounded px-1 w-14"
+                   defaultValue={f.jitterMs ?? 0} onBlur={e=>set({ jitterMs: num(e.target.value) })} /> ms
+          </label>
+          {pct("dropRate", "Drop")}
+          {pct("dupRate", "Duplicate")}
+        </div>
+      </div>
+    );
+  }
+  // Window operator config; a new window shape restarts the operator since its open windows no longer fit
+  function windowControls(node:Node){
+    const b = node.behavior as WindowBehavior, st: WindowState|undefined = world.stages[node.id];
+    const set = (next:Partial<WindowBehavior>, restart = false)=>{
+      if (restart) engine.resetStage(node.id);
+      commitGraph({ nodes: nodes.map(n=>n.id===node.id ? { ...n, behavior:{ ...b, ...next } } : n), edges });
+    };
+    const num = (id:string, value:number, apply:(v:number)=>void, label:string, unit = " ms")=>(
+      <label className="flex items-center gap-1">{label}
+        <input key={`win${node.id}-${id}-${value}`} type="number" min={0} className="border rounded px-1 w-16" defaultValue={value}
+               onBlur={e=>{ const v = parseFloat(e.target.value); if (Number.isFinite(v) && v>=0 && v!==value) apply(v); }} />{unit}
+      </label>
+    );
+    const w = b.window, aggs = b.aggs?.length ? b.aggs : WINDOW_DEFAULTS.aggs;
+    const shape = (type:string): WindowSpec => type==="session" ? { type:"session", gapMs:w.type==="session" ? w.gapMs : 2000 }
+      : type==="sliding" ? { type:"sliding", sizeMs:w.type==="session" ? 5000 : w.sizeMs, slideMs:w.type==="sliding" ? w.slideMs : 1000 }
+      : { type:"tumbling", sizeMs:w.type==="session" ? 5000 : w.sizeMs };
+    const open = st ? Object.values(st.windows).sort((a, c)=>a.start-c.start) : [];
+    return (
+      <div className="mt-2 text-xs">
+        <div className="font-medium">Window operator</div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select className="border rounded px-1" value={w.type} onChange={e=>set({ window:shape(e.target.value) }, true)}>
+            {WINDOW_TYPES.map(t=><option key={t} value={t}>{t}</option>)}
+          </select>
+          {w.type==="session"
+            ? num("gap", w.gapMs, v=>v>0 && set({ window:{ ...w, gapMs:v } }, true), "Gap")
+            : num("size", w.sizeMs, v=>v>0 && set({ window:{ ...w, sizeMs:v, ...(w.type==="sliding" ? { slideMs:Math.min(w.slideMs, v) } : {}) } as WindowSpec }, true), "Size")}
+          {w.type==="sliding" && num("slide", w.slideMs, v=>v>0 && set({ window:{ ...w, slideMs:Math.min(v, w.sizeMs) } }, true), "Slide")}
+          <label className="flex items-center gap-1">Key
+            <input key={`win${node.id}-key-${b.key}`} className="border rounded px-1 w-16" defaultValue={b.key ?? WINDOW_DEFAULTS.key}
+                   onBlur={e=>e.target.value && e.target.value!==(b.key ?? WINDOW_DEFAULTS.key) && set({ key:e.target.value }, true)} />
+          </label>
+          {num("wm", b.watermarkMs ?? WINDOW_DEFAULTS.watermarkMs, v=>set({ watermarkMs:v }), "Watermark")}
+          {num("late", b.allowedLatenessMs ?? WINDOW_DEFAULTS.allowedLatenessMs, v=>set({ allowedLatenessMs:v }), "Lateness")}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 mt-1">
+          {WINDOW_AGGS.map(op=>(
+            <label key={op} className="flex items-center gap-0.5">
+              <input type="checkbox" checked={aggs.includes(op)}
+                     onChange={e=>{ const next = e.target.checked ? [...aggs, op] : aggs.filter(a=>a!==op); if (next.length) set({ aggs:next }); }} />{op}
+            </label>
+          ))}
+          {aggs.includes("ema") && num("alpha", b.alpha ?? WINDOW_DEFAULTS.alpha, v=>v>0 && v<=1 && set({ alpha:v }), "α", "")}
+        </div>
+        <div className="flex flex-wrap items-center gap-2 mt-1">
+          <label className="flex items-center gap-1">Join
+            <select className="border rounded px-1" value={b.join?.type ?? ""}
+                    onChange={e=>set({ join: e.target.value ? { ...b.join, type:e.target.value as MessageType } : undefined }, true)}>
+              <option value="">none</option>
+              {MESSAGE_TYPES.map(t=><option key={t} value={t}>{t}</option>)}
+            </select>
+          </label>
+          {b.join && (
+            <select className="border rounded px-1" value={b.join.mode ?? "left"} onChange={e=>set({ join:{ ...b.join, mode:e.target.value as "inner"|"left" } })}>
+              <option value="left">left</option><option value="inner">inner</option>
+            </select>
+          )}
+          {b.join && <span className="text-gray-500">{b.join.key ? `on ${b.key ?? WINDOW_DEFAULTS.key} = ${b.join.key}` : "by window time"}</span>}
+        </div>
+        {!st ? <div className="text-gray-500 mt-1">No input yet.</div> : (
+          <>
+            <div className="mt-1">
+              Watermark {st.watermark ? new Date(st.watermark).toLocaleTimeString() : "—"} · fired {st.emitted} · late updates {st.lateUpdates} · late dropped {st.lateDropped}
+              {b.join && ` · join buffer ${st.joinBuffer.length}`}
+            </div>
+            <table className="w-full mt-1">
+              <thead><tr className="text-left"><th className="p-0.5">key</th><th>window</th><th>count</th><th>avg</th><th>ema</th></tr></thead>
+              <tbody>
+                {open.slice(0, 8).map(ow=>(
+                  <tr key={ow.id} className={ow.fired ? "bg-amber-50" : "odd:bg-gray-50"}>
+                    <td className="p-0.5">{ow.key}</td><td>{new Date(ow.start).toLocaleTimeString()}–{new Date(ow.end).toLocaleTimeString()}</td>
+                    <td>{ow.count}</td><td>{(ow.sum/ow.count).toFixed(2)}</td><td>{ow.ema.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+    );
+  }
+  // --- Capacity: bounded queue, service rate, retries and dead letters ---
+  function capacityControls(node:Node){
+    const c = node.capacity, q: NodeQueue|undefined = world.queues[node.id];
+    const set = (next:NodeCapacity|undefined)=>
+      commitGraph({ nodes: nodes.map(n=>n.id===node.id ? (({ capacity:_, ...rest })=> next ? { ...rest, capacity:next } : rest)(n) : n), edges });
+    const field = (k:"serviceRate"|"queueSize"|"failureRate"|"maxRetries"|"backoffMs", label:string, unit = "")=>(
+      <label className="flex items-center gap-1">{label}
+        <input key={`cap${node.id}-${k}-${c[k]}`} type="number" min={0} className="border rounded px-1 w-14"
+               defaultValue={c[k] ?? QUEUE_DEFAULTS[k]}
+               onBlur={e=>{ const v = parseFloat(e.target.value); if (Number.isFinite(v) && (k==="serviceRate" ? v>0 : v>=0)) set({ ...c, [k]: k==="queueSize"||k==="maxRetries" ? Math.max(k==="queueSize"?1:0, Math.round(v)) : k==="failureRate" ? Math.min(1, v) : v }); }} />{unit}
+      </label>
+    );
+    if (!c) return (
+      <div className="mt-2 text-xs flex items-center gap-2">
+        <span className="font-medium">Capacity</span><span className="text-gray-500">unbounded, instant</span>
+        <button className="px-2 py-0.5 rounded border" onClick={()=>set({ serviceRate:QUEUE_DEFAULTS.serviceRate })}>Add queue</button>
+      </div>
+    );
+    const size = c.queueSize ?? QUEUE_DEFAULTS.queueSize, depth = q?.items.length ?? 0;
+    return (
+      <div className="mt-2 text-xs">
+        <div className="flex items-center justify-between">
+          <span className="font-medium">Capacity</span>
+          <button className="px-2 py-0.5 rounded border" onClick={()=>set(undefined)}>Remove queue</button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          {field("serviceRate", "Rate", " msg/s")}
+          {field("queueSize", "Queue")}
+          <label className="flex items-center gap-1">Overflow
+            <select className="border rounded px-1" value={c.overflow ?? QUEUE_DEFAULTS.overflow} onChange={e=>set({ ...c, overflow:e.target.value as OverflowPolicy })}>
+              {OVERFLOW_POLICIES.map(p=><option key={p} value={p}>{p}</option>)}
+            </select>
+          </label>
+          {field("failureRate", "Fail p")}
+          {field("maxRetries", "Retries")}
+          {field("backoffMs", "Backoff", " ms")}
+        </div>
+        <div className="mt-1 flex items-center gap-2">
+          <span>Depth <b className={depth>=size?"text-red-600":""}>{depth}/{size}</b></span>
+          <div className="flex-1 h-1.5 bg-gray-200 rounded"><div className="h-1.5 rounded" style={{ width:`${Math.min(100, depth/size*100)}%`, background: depth>=size?"#dc2626":"#0ea5e9" }} /></div>
+          <span>Utilization <b>{((q?.utilization ?? 0)*100).toFixed(0)}%</b></span>
+        </div>
+        <div>Served {q?.served ?? 0} · dropped {q?.dropped ?? 0} · retries {q?.retried ?? 0} · dead-lettered {q?.deadLettered ?? 0}</div>
+        {q?.dlq.length>0 && (
+          <div className="mt-1">
+            <div className="flex items-center justify-between"><span className="font-medium">Dead letters</span>
+              <button className="px-2 py-0.5 rounded border" onClick={act(e=>e.clear("dlq", node.id))}>Clear DLQ</button></div>
+            <ul className="max-h-20 overflow-auto">
+              {q.dlq.slice(-20).reverse().map((d,i)=>(
+                <li key={i}><span className="font-mono">{d.msg.id}</span> — {d.reason} ({d.attempts} attempts)</li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const setNodeFault = (id:number, fault:Fault|undefined)=>
+    commitGraph({ nodes: nodes.map(n=>n.id===id ? (({ fault:_, ...rest })=> fault ? { ...rest, fault } : rest)(n) : n), edges });
+  const setEdgeFault = (id:number, fault:Fault|undefined)=>
+    commitGraph({ nodes, edges: edges.map(e=>e.id===id ? (({ fault:_, ...rest })=> fault ? { ...rest, fault } : rest)(e) : e) });
+  const setEdgeGuarantee = (id:number, g:Guarantee|undefined)=>
+    commitGraph({ nodes, edges: edges.map(e=>e.id===id ? (({ guarantee:_, ...rest })=> g ? { ...rest, guarantee:g } : rest)(e) : e) });
+
   // --- Diagnostics / Self-tests ---
   type T = { name:string; pass:boolean; detail:string };
   function runSelfTests(): T[] {
@@ -342,6 +1320,232 @@ export default function PipelineSimulator(){
     try { const local = makeRng(seed); const arr = Array.from({length:10}, ()=>local()); const ok = arr.every(x=> typeof x === 'number' && Number.isFinite(x) && x>=0 && x<1); tests.push({ name:"RNG returns finite [0,1)", pass: ok, detail: ok?`min=${Math.min(...arr).toFixed(3)} max=${Math.max(...arr).toFixed(3)}`: `bad=${arr}` }); } catch (e:any) { tests.push({ name:"RNG throws", pass:false, detail:String(e) }); }
     try{ const p = pathForEdge(EDGES[0]); const ok = [p.x1,p.y1,p.x2,p.y2,p.cx,p.cy].every(n=>Number.isFinite(n)); tests.push({ name:"Edge path numbers", pass: ok, detail: JSON.stringify(p) }); } catch(e:any){ tests.push({ name:"Edge path numbers", pass:false, detail:String(e)}); }
     try{ const df = mapEventToDataField({device:"sensor-1", field:"temp", value:25}); const row = rowFromDataField(df); const ok = df.symbol === 'SENSOR-1' && row.symbol === 'SENSOR-1' && row.value === 25; tests.push({ name:"Event→DataField→Row", pass: ok, detail: ok?"OK":"Mismatch" }); } catch(e:any){ tests.push({ name:"Event→DataField→Row", pass:false, detail:String(e)}); }
+    try{ const bad = BASE_NODES.filter(n=>n.behavior && !BEHAVIORS[n.behavior.kind]).map(n=>n.id); tests.push({ name:"Node behaviors registered", pass: !bad.length, detail: bad.length?`missing for ${bad.join(",")}`:"OK" }); } catch(e:any){ tests.push({ name:"Node behaviors registered", pass:false, detail:String(e)}); }
+    try{ const logs:string[] = []; const out:Message[] = []; const ctx: BehaviorContext = { emit:m=>out.push(m), log:t=>logs.push(t), store:()=>{}, size:()=>0, state:()=>({}), stateOf:()=>undefined, outEdges:()=>EDGES.filter(e=>e.from===4), nodeOf:id=>BASE_NODES.find(n=>n.id===id), rng:makeRng(1), now:()=>SIM_EPOCH };
+      const ev: Message = { id:"t", type:"Event", ts:0, payload:{device:"sensor-2", value:21}, edgeId:1, progress:1 };
+      BEHAVIORS.map(nodeById(4).behavior, ev, nodeById(4), ctx);
+      const ok = out.length===1 && out[0].id==="t-df" && out[0].edgeId===2 && out[0].payload.symbol==="SENSOR-2" && logs[0]==="Mapped to DataField {symbol:SENSOR-2, value:21}";
+      tests.push({ name:"Map behavior routes on EDGES", pass: ok, detail: ok?"OK":JSON.stringify({out,logs}) }); } catch(e:any){ tests.push({ name:"Map behavior routes on EDGES", pass:false, detail:String(e)}); }
+    try{ const doc = exportTopology(BASE_NODES, EDGES, { seed:7, tickMs:500, speed:1.5 }, false); const back = parseTopology(JSON.stringify(doc)); const ok = back.ok && back.doc.nodes.length===BASE_NODES.length && back.doc.edges.length===EDGES.length && back.doc.settings.seed===7 && back.doc.nodes.find(n=>n.id===4)?.behavior?.kind==="map"; tests.push({ name:"Topology export/import round-trip", pass: !!ok, detail: ok?"OK":JSON.stringify(back) }); } catch(e:any){ tests.push({ name:"Topology export/import round-trip", pass:false, detail:String(e)}); }
+    try{ const bad = validateTopology({ version:1, nodes:[{ id:1, name:"x", type:"nope", x:5, y:5 }], edges:[{ id:1, from:1, to:9 }] }); const ok = !bad.ok && bad.errors.length===2; tests.push({ name:"Topology validation errors", pass: ok, detail: bad.ok?"accepted":bad.errors.join("; ") }); } catch(e:any){ tests.push({ name:"Topology validation errors", pass:false, detail:String(e)}); }
+    try{ let g: Graph = { nodes:BASE_NODES, edges:EDGES }; g = addNode(g, "topic", 50, 50); const added = g.nodes[g.nodes.length-1].id; g = connectNodes(g, 12, added, "extra"); const again = connectNodes(g, 12, added); g = removeFromGraph(g, [added], []);
+      const ok = added===Math.max(...BASE_NODES.map(n=>n.id))+1 && again.edges.length===EDGES.length+1 && g.nodes.length===BASE_NODES.length && g.edges.length===EDGES.length;
+      tests.push({ name:"Graph edit add/connect/remove", pass: ok, detail: ok?"OK":`added=${added} edges=${g.edges.length}` }); } catch(e:any){ tests.push({ name:"Graph edit add/connect/remove", pass:false, detail:String(e)}); }
+    try{ const b: KafkaBehavior = { kind:"kafka", topic:"t", partitions:2, key:"symbol", offsetReset:"earliest", maxPollRecords:1 };
+      const k = createKafkaState(b); const cons: Edge[] = [{ id:1, from:0, to:7 }, { id:2, from:0, to:7 }];
+      syncConsumers(k, b, cons);
+      const mk = (s:string): Message => ({ id:s, type:"ChartData", ts:0, payload:{ symbol:s }, edgeId:0, progress:0 });
+      const r1 = kafkaAppend(k, b, mk("AAA"), 0), r2 = kafkaAppend(k, b, mk("AAA"), 0);
+      const sameKey = r1.partition===r2.partition && r2.offset===r1.offset+1;
+      const split = k.groups["node-7"].assignment[1].length===1 && k.groups["node-7"].assignment[2].length===1;
+      kafkaPoll(k, b); const lag = groupLag(k, k.groups["node-7"]).reduce((a,c)=>a+c,0);
+      syncConsumers(k, b, cons.slice(0,1)); const rebalanced = k.groups["node-7"].assignment[1].length===2;
+      const ok = sameKey && split && lag===1 && rebalanced;
+      tests.push({ name:"Kafka partitioning, lag, rebalance", pass: ok, detail: ok?"OK":JSON.stringify({ sameKey, split, lag, rebalanced }) }); } catch(e:any){ tests.push({ name:"Kafka partitioning, lag, rebalance", pass:false, detail:String(e)}); }
+    try{ const b: NifiBehavior = { kind:"nifi", batchSize:5, drainPerRun:1, objectThreshold:3 }; const st = createNifiState(); const outs: Edge[] = [{ id:1, from:0, to:1 }];
+      for (let i=0;i<8;i++) nifiEnqueue(st, b, { id:`m${i}`, type:"Event", ts:0, payload:{ i }, edgeId:0, progress:1 }, 0);
+      nifiRun(st, b, outs); const r2 = nifiRun(st, b, outs);
+      const ok = st.backPressured && st.connections[1].length===4 && st.inbound.length===3 && r2.released.length===1 && r2.released[0].ff.attributes.filename==="m0.json";
+      tests.push({ name:"NiFi back-pressure", pass: ok, detail: ok?"OK":JSON.stringify({ q:st.connections[1].length, inbound:st.inbound.length }) }); } catch(e:any){ tests.push({ name:"NiFi back-pressure", pass:false, detail:String(e)}); }
+    try{ const b: HdfsBehavior = { kind:"hdfs", dir:"/t", replication:3, datanodes:4, blockSize:16, rollRecords:2 }; const st = createHdfsState();
+      hdfsWrite(st, b, { v:"0123456789" }, 0); const { closed } = hdfsWrite(st, b, { v:"0123456789" }, 0);
+      const ok = !!closed && closed.path==="/t/part-00000.json" && closed.bytes===38 && closed.blocks.length===3 && closed.blocks.every(k=>k.replicas.length===3 && new Set(k.replicas).size===3);
+      tests.push({ name:"HDFS blocks + replication", pass: ok, detail: ok?"OK":JSON.stringify(closed) }); } catch(e:any){ tests.push({ name:"HDFS blocks + replication", pass:false, detail:String(e)}); }
+    try{ const b: SparkBehavior = { kind:"spark", windowMs:1000, watermarkMs:500 }; const st = createSparkState();
+      const mk = (ts:number, v:number): Message => ({ id:`s${ts}`, type:"ChartData", ts, payload:{ symbol:"AAA", value:v }, edgeId:0, progress:1 });
+      st.buffer.push(mk(100, 10), mk(900, 20)); const first = sparkMicroBatch(st, b, 0);
+      st.buffer.push(mk(1700, 5), mk(50, 99)); const second = sparkMicroBatch(st, b, 0);
+      const ok = first.length===0 && second.length===1 && second[0].count===2 && second[0].value===15 && st.lateDropped===1;
+      tests.push({ name:"Spark tumbling window + watermark", pass: ok, detail: ok?"OK":JSON.stringify({ first, second, late:st.lateDropped }) }); } catch(e:any){ tests.push({ name:"Spark tumbling window + watermark", pass:false, detail:String(e)}); }
+    try{ const ok = topicMatches("prices.#", "prices.bbb") && topicMatches("prices.#", "prices") && topicMatches("alerts.*", "alerts.ops") && !topicMatches("alerts.*", "alerts.ops.eu") && !topicMatches("prices.*", "alerts.ops");
+      tests.push({ name:"AMQP topic patterns", pass: ok, detail: ok?"OK":"Mismatch" }); } catch(e:any){ tests.push({ name:"AMQP topic patterns", pass:false, detail:String(e)}); }
+    try{ const b: RabbitBehavior = { kind:"rabbitmq", exchanges:[{ name:"x", type:"direct" }], queues:[{ name:"q", prefetch:1, deadLetter:"dlq", maxRedeliveries:2 }, { name:"dlq" }], bindings:[{ exchange:"x", queue:"q", key:"k" }] };
+      const st = createRabbitState(b); const outs: Edge[] = [{ id:1, from:0, to:1 }];
+      const mk = (id:string, key:string): Message => ({ id, type:"DataField", ts:0, payload:{}, edgeId:0, progress:0, attributes:{ "amqp.exchange":"x", "amqp.routingKey":key } });
+      amqpPublish(st, b, mk("a","k")); amqpPublish(st, b, mk("b","k")); amqpPublish(st, b, mk("c","nope"));
+      const d1 = amqpDispatch(st, b, outs, 0); const held = amqpDispatch(st, b, outs, 0).length===0;
+      amqpSettle(st, b, "q", d1[0].env.tag, "nack"); const d2 = amqpDispatch(st, b, outs, 0);
+      amqpSettle(st, b, "q", d2[0].env.tag, "nack");
+      const d3 = amqpDispatch(st, b, outs, 0), early = amqpExpire(st, b, AMQP_ACK_TIMEOUT_MS-1).length, expired = amqpExpire(st, b, AMQP_ACK_TIMEOUT_MS).length;
+      const ok = d1.length===1 && held && st.unroutable===1 && d2[0].env.deliveryCount===2 && st.queues.dlq.ready.length===1 && st.queues.dlq.ready[0].reason==="delivery-limit"
+        && d3.length===1 && !early && expired===1 && amqpDispatch(st, b, outs, 0)[0]?.env.deliveryCount===2;
+      tests.push({ name:"AMQP prefetch, requeue, dead-letter", pass: ok, detail: ok?"OK":JSON.stringify(st.queues) }); } catch(e:any){ tests.push({ name:"AMQP prefetch, requeue, dead-letter", pass:false, detail:String(e)}); }
+    try{ const e = createEngine({ seed, graph:{ nodes:BASE_NODES, edges:EDGES.map(x=>x.id===15 ? { ...x, fault:{ dropRate:0.5 } } : x) } });
+      const broker = BASE_NODES.find(n=>n.behavior?.kind==="rabbitmq")!.id, acked = ()=>(e.world.stages[broker] as RabbitState).queues["q.prices"].acked;
+      e.step(60000); const before = acked(); e.step(60000);
+      const ok = acked() > before;
+      tests.push({ name:"AMQP ack timeout frees prefetch after edge drops", pass: ok, detail: ok?"OK":`acked ${before} → ${acked()}` }); } catch(e:any){ tests.push({ name:"AMQP ack timeout frees prefetch after edge drops", pass:false, detail:String(e)}); }
+    try{ const replay = ()=>{ const e = createEngine({ seed }); e.step(20000); return JSON.stringify(e.snapshot()); };
+      const a = replay(), b = replay();
+      tests.push({ name:"Same seed replays identically", pass: a===b && a.length>100, detail: a===b ? `${a.length} chars of events over 20s` : "runs diverged" }); } catch(e:any){ tests.push({ name:"Same seed replays identically", pass:false, detail:String(e)}); }
+    try{ const outage = (e:Engine, t:number)=>{ if (t===3000) e.takeDown(5, 60000); if (t===6000) e.bringUp(5); };
+      const solo = createEngine({ seed }); for (let t = 0; t < 10000; t += 500){ solo.step(500); outage(solo, t); }
+      const a = createEngine({ seed }), b = createEngine({ seed, graph:{ nodes:BASE_NODES, edges:EDGES.filter(x=>x.id!==2 && x.id!==8) } });
+      for (let t = 0; t < 10000; t += 500){ a.step(500); b.step(500); b.deliverNext(); outage(a, t); }
+      const ok = JSON.stringify(a.snapshot())===JSON.stringify(solo.snapshot());
+      tests.push({ name:"Engines side by side keep their own graphs", pass: ok, detail: ok?"OK":"interleaved run diverged from a solo run" }); } catch(e:any){ tests.push({ name:"Engines side by side keep their own graphs", pass:false, detail:String(e)}); }
+    try{ const e = createEngine({ seed }); let delivered = 0; const off = e.on("deliver", ()=>delivered++);
+      e.inject(1, { device:"sensor-1", value:1 }, "Event"); e.forceArrivals(); off(); e.forceArrivals();
+      let threw = false; try{ e.inject(-1, {}); } catch { threw = true; }
+      const ok = delivered===1 && threw;
+      tests.push({ name:"Headless engine inject + events", pass: ok, detail: ok?"OK":`delivered=${delivered} threw=${threw}` }); } catch(e:any){ tests.push({ name:"Headless engine inject + events", pass:false, detail:String(e)}); }
+    try{ const faulty = (fault:Fault)=> EDGES.map(e=>e.id===1 ? { ...e, fault } : e);
+      const count = (edges:Edge[], run:(e:Engine)=>void)=>{ const e = createEngine({ graph:{ nodes:BASE_NODES, edges }, seed }); let n = 0; e.on("deliver", ev=>{ if (ev.nodeId===14) n++; }); run(e); return n; };
+      const inject = (e:Engine)=>{ e.inject(1, { device:"sensor-1", value:1 }, "Event"); e.forceArrivals(); };
+      const lost = count(faulty({ dropRate:1 }), inject), dup = count(faulty({ dupRate:1 }), inject);
+      const held = count(EDGES, e=>{ e.takeDown(14, 1000); inject(e); const before = e.world.msgs.length; e.step(1100); if (before!==1) throw new Error("not held"); });
+      const slow = createEngine({ graph:{ nodes:BASE_NODES, edges:faulty({ latency:{ dist:"fixed", ms:3000 } }) }, seed, tickMs:800 });
+      slow.inject(1, { device:"sensor-1", value:1 }, "Event"); slow.step(40); const m = slow.world.msgs.find(mm=>mm.id.startsWith("inj"));
+      const ok = lost===0 && dup===2 && held===1 && m?.travelMs===3000;
+      tests.push({ name:"Faults: drop, duplicate, outage, latency", pass: ok, detail: ok?"OK":JSON.stringify({ lost, dup, held, travel:m?.travelMs }) }); } catch(e:any){ tests.push({ name:"Faults: drop, duplicate, outage, latency", pass:false, detail:String(e)}); }
+    try{ const withCap = (capacity:NodeCapacity)=> BASE_NODES.map(n=>n.id===14 ? { ...n, capacity } : n);
+      const fill = (capacity:NodeCapacity, k:number)=>{ const e = createEngine({ graph:{ nodes:withCap(capacity), edges:EDGES }, seed });
+        for (let i=0; i<k; i++) e.inject(1, { device:`sensor-${i}`, value:i }, "Event");
+        e.forceArrivals(); return e; };
+      const block = fill({ serviceRate:1, queueSize:3 }, 5), oldest = fill({ serviceRate:1, queueSize:3, overflow:"drop-oldest" }, 5);
+      const failing = fill({ serviceRate:50, failureRate:1, maxRetries:2, backoffMs:100 }, 1); failing.step(1000);
+      const q = failing.world.queues[14];
+      const ok = block.world.queues[14].items.length===3 && block.world.msgs.length===2
+        && oldest.world.queues[14].dropped===2 && oldest.world.queues[14].items[0].msg.payload.value===2
+        && q.retried===2 && q.dlq.length===1 && q.dlq[0].attempts===3 && backoffDelay({ serviceRate:1, backoffMs:100 }, 3)===400
+        && oldest.world.delivery.lost===2 && failing.world.delivery.lostBy["dead-letter"]===1;
+      tests.push({ name:"Bounded queues, overflow, retries → DLQ", pass: ok, detail: ok?"OK":JSON.stringify({ blocked:block.world.msgs.length, dropped:oldest.world.queues[14].dropped, retried:q.retried, dlq:q.dlq.length }) }); } catch(e:any){ tests.push({ name:"Bounded queues, overflow, retries → DLQ", pass:false, detail:String(e)}); }
+    try{ const t = { rows:[{ id:"a", symbol:"X", value:1, ts:SIM_EPOCH+1000, writes:1 }, { id:"b", symbol:"Y", value:5, ts:SIM_EPOCH+2000, writes:2 }, { id:"c", symbol:"X", value:3, ts:SIM_EPOCH+40000, writes:1 }] };
+      const agg = runSql("SELECT symbol, count(*) AS n, avg(value) FROM rows GROUP BY symbol ORDER BY n DESC LIMIT 1", t, SIM_EPOCH+45000);
+      const recent = runSql("SELECT id FROM rows WHERE ts > now() - 10s", t, SIM_EPOCH+45000);
+      const bad = runSql("SELECT symbol, value FROM rows GROUP BY symbol", t, SIM_EPOCH);
+      const ok = JSON.stringify(agg.rows)==='[["X",2,2]]' && JSON.stringify(recent.rows)==='[["c"]]' && !bad.ok && /GROUP BY/.test(bad.error);
+      tests.push({ name:"SQL SELECT/WHERE/GROUP BY/ORDER BY/LIMIT", pass: ok, detail: ok?"OK":JSON.stringify({ agg, recent, bad }) }); } catch(e:any){ tests.push({ name:"SQL SELECT/WHERE/GROUP BY/ORDER BY/LIMIT", pass:false, detail:String(e)}); }
+    try{ const edges = EDGES.map(e=>e.to===5 ? { ...e, fault:{ dupRate:1 } } : e); const e = createEngine({ graph:{ nodes:BASE_NODES, edges }, seed });
+      e.inject(2, { symbol:"DUP", value:7, ts:SIM_EPOCH }, "DataField"); e.forceArrivals();
+      const ok = e.world.rows.length===1 && e.world.rows[0].writes===2;
+      tests.push({ name:"SQL upsert on primary key id", pass: ok, detail: ok?"OK":JSON.stringify(e.world.rows) }); } catch(e:any){ tests.push({ name:"SQL upsert on primary key id", pass:false, detail:String(e)}); }
+    try{ const reg = createSchemaRegistry();
+      const stricter = registerSchema(reg, "ChartData", { type:"object", required:["symbol","value","venue"], properties:{ symbol:{ type:"string" }, value:{ type:"number" }, venue:{ type:"string" } } });
+      const optional = registerSchema(reg, "ChartData", { type:"object", required:["symbol","value"], properties:{ symbol:{ type:"string" }, value:{ type:"number" }, venue:{ type:"string" } } });
+      const bad = validatePayload(latestSchema(reg, "ChartData").schema, { symbol:"A", value:"1" });
+      const e = createEngine({ seed }); e.inject(1, { value:3 }, "Event");
+      const ok = !stricter.ok && optional.ok && optional.version===2 && bad.length===1 && e.world.quarantine.length===1 && e.world.msgs.length===0;
+      tests.push({ name:"Schema compatibility + quarantine", pass: ok, detail: ok?"OK":JSON.stringify({ stricter, optional, bad, q:e.world.quarantine.length }) }); } catch(e:any){ tests.push({ name:"Schema compatibility + quarantine", pass:false, detail:String(e)}); }
+    try{ const def: ProducerDef = { id:"t1", name:"t", edgeId:7, type:"ChartData", enabled:true, rate:{ kind:"constant", perSec:10 }, symbols:["A","B"], template:{ symbol:"{{symbol}}", value:"{{int:5:5}}", tag:"s{{seq}}" } };
+      const e = createEngine({ seed }); e.setProducers([def], false); e.step(1000);
+      const sent = e.world.msgs.filter(m=>m.id.startsWith("t1-"));
+      const payloads = [fillPayloadTemplate(def, createProducerState(0), 0, makeRng(1)), fillPayloadTemplate({ ...def, symbols:["A","B"] }, { ...createProducerState(0), seq:1 }, 0, makeRng(1))];
+      const rec = parseRecording("symbol,value,ts\nA,1,1000\nB,2,1500");
+      const ok = e.world.producerStates.t1.emitted===10 && sent.length>0 && JSON.stringify(payloads)==='[{"symbol":"A","value":5,"tag":"s1"},{"symbol":"B","value":5,"tag":"s2"}]'
+        && rec.ok && rec.records[1].at===500 && rec.records[1].payload.symbol==="B";
+      tests.push({ name:"Custom producer rate, template and replay parse", pass: ok, detail: ok?"OK":JSON.stringify({ emitted:e.world.producerStates.t1?.emitted, payloads, rec }) }); } catch(e:any){ tests.push({ name:"Custom producer rate, template and replay parse", pass:false, detail:String(e)}); }
+    try{ const e = createEngine({ seed }); e.setProducers([], false);
+      e.inject(1, { device:"sensor-3", value:21 }, "Event"); e.step(6000);
+      const row = e.world.rows[0], spans = row?.trace ? e.trace(row.trace.traceId) : [];
+      const path = row?.trace ? spanPath(spans, row.trace.spanId) : [];
+      const hops = path.filter(s=>s.kind==="hop").map(s=>s.edgeId);
+      const ok = JSON.stringify(hops)==="[1,12,2]" && path[path.length-1].name==="DataField API" && path.every((s,i)=>i===0 || s.parentId===path[i-1].spanId)
+        && diffPayload({ a:1, b:2 }, { a:1, b:3, c:4 }).join()==="b: 2 → 3,+c=4";
+      tests.push({ name:"Trace spans per hop and node", pass: ok, detail: ok?"OK":JSON.stringify({ hops, last:path[path.length-1]?.name }) }); } catch(e:any){ tests.push({ name:"Trace spans per hop and node", pass:false, detail:String(e)}); }
+    try{ const e = createEngine({ seed }); e.step(20000);
+      const m = e.world.metrics, text = e.prometheus();
+      const quiet = counterRate(m, metricKey("node_messages_in_total", { node:9 }), e.world.clock.now) > 0; // Library Calculator never logs
+      const q = quantileOf([0, 10, 0], 0.5)!; // 10 observations in (5, 10]
+      const ok = quiet && m.history.length>=20 && text.includes('# TYPE e2e_latency_ms histogram') && text.includes('e2e_latency_ms_bucket{sink="rows",le="+Inf"}')
+        && e2eLatency(m).p95!==undefined && metricSeries(m, metricKey("edge_messages_total", { edge:7 })).length>0 && q>5 && q<=10;
+      tests.push({ name:"Metrics counters, percentiles and export", pass: ok, detail: ok?"OK":JSON.stringify({ quiet, samples:m.history.length, e2e:e2eLatency(m), q }) }); } catch(e:any){ tests.push({ name:"Metrics counters, percentiles and export", pass:false, detail:String(e)}); }
+    try{ const at = (ms:number, type:MessageType, payload:any): Message => ({ id:`w${ms}`, type, ts:SIM_EPOCH+ms, payload, edgeId:4, progress:1 });
+      const tb: WindowBehavior = { kind:"window", window:{ type:"tumbling", sizeMs:1000 }, aggs:["sum","count"], watermarkMs:0, allowedLatenessMs:500, join:{ type:"Event", mode:"inner" } };
+      const st = createWindowState();
+      windowIngest(st, tb, at(100, "ChartData", { symbol:"A", value:2 }), SIM_EPOCH); windowIngest(st, tb, at(200, "Event", { device:"x", value:10 }), SIM_EPOCH);
+      windowIngest(st, tb, at(1200, "ChartData", { symbol:"A", value:1 }), SIM_EPOCH);
+      const first = windowFire(st, tb, SIM_EPOCH).map(r=>r.payload);
+      const late = windowIngest(st, tb, at(900, "ChartData", { symbol:"A", value:5 }), SIM_EPOCH), again = windowFire(st, tb, SIM_EPOCH).map(r=>r.payload);
+      windowIngest(st, tb, at(2600, "ChartData", { symbol:"A", value:1 }), SIM_EPOCH);
+      const dropped = windowIngest(st, tb, at(800, "ChartData", { symbol:"A", value:5 }), SIM_EPOCH);
+      const sb: WindowBehavior = { kind:"window", window:{ type:"session", gapMs:300 }, aggs:["count"], watermarkMs:0 }, ss = createWindowState();
+      for (const t of [0, 200, 400, 1000, 2000]) windowIngest(ss, sb, at(t, "ChartData", { symbol:"B", value:1 }), SIM_EPOCH);
+      const sessions = windowFire(ss, sb, SIM_EPOCH).map(r=>r.payload.count).join();
+      const ok = first.length===1 && first[0].sum===2 && first[0].event.count===1 && late==="updated" && again[0]?.revision===2 && again[0].sum===7
+        && dropped==="late" && sessions==="3,1";
+      tests.push({ name:"Window operator: tumbling, late data, session, join", pass: ok, detail: ok?"OK":JSON.stringify({ first, late, again, dropped, sessions }) }); } catch(e:any){ tests.push({ name:"Window operator: tumbling, late data, session, join", pass:false, detail:String(e)}); }
+    try{ const run = (g:Guarantee)=>{ const e = createEngine({ seed, graph:{ nodes:BASE_NODES, edges:EDGES.map(x=>x.id===2 ? { ...x, fault:{ dropRate:0.5 } } : x) } });
+        e.setGuarantee(g); e.step(20000); return e.world.delivery; };
+      const amo = run("at-most-once"), alo = run("at-least-once"), eo = run("exactly-once");
+      const ok = amo.lost>0 && !amo.redelivered && alo.redelivered>0 && alo.sinks.rows?.duplicates>0 && eo.lost===0 && eo.deduplicated>0 && eo.sinks.rows?.duplicates===0;
+      tests.push({ name:"Delivery guarantees: loss, redelivery, dedup", pass: ok, detail: ok?"OK":JSON.stringify({ amo, alo, eo }) }); } catch(e:any){ tests.push({ name:"Delivery guarantees: loss, redelivery, dedup", pass:false, detail:String(e)}); }
+    try{ const e = createEngine({ seed });
+      e.step(4000); e.inject(1, { device:"sensor-1", value:1 }, "Event"); e.setLoad(2); e.step(8000);
+      const end = JSON.stringify(e.snapshot()), horizon = e.timeline().horizon;
+      e.seek(150); const rewound = e.world.clock.tick===150 && e.world.load===1 && !e.world.msgs.some(m=>m.id.startsWith("inj"));
+      e.seek(horizon); const resumed = JSON.stringify(e.snapshot())===end;
+      const copy = createEngine(); copy.loadSession(parseSession(JSON.stringify(e.exportSession())).doc!); copy.seek(horizon);
+      const replayed = JSON.stringify(copy.snapshot())===end;
+      let delivered = 0; const off = e.on("deliver", ()=>delivered++); e.deliverNext(); off();
+      const ok = rewound && resumed && replayed && delivered===1;
+      tests.push({ name:"Timeline: seek, session replay, single step", pass: ok, detail: ok?"OK":JSON.stringify({ rewound, resumed, replayed, delivered }) }); } catch(e:any){ tests.push({ name:"Timeline: seek, session replay, single step", pass:false, detail:String(e)}); }
+    try{ const e = createEngine({ seed });
+      for (let i = 0; i <= JOURNAL_LIMIT; i++){ e.setLoad(2 - i%2); if (i%25===0) e.step(200); }
+      const end = JSON.stringify(e.snapshot()), t = e.timeline();
+      e.seek(0); const start = e.world.clock.tick;
+      e.seek(t.horizon); const resumed = JSON.stringify(e.snapshot())===end;
+      const copy = createEngine(); copy.loadSession(parseSession(JSON.stringify(e.exportSession())).doc!); copy.seek(t.horizon);
+      const ok = t.journal.length<=JOURNAL_LIMIT && t.start>0 && start===t.start && resumed && JSON.stringify(copy.snapshot())===end;
+      tests.push({ name:"Timeline: journal compaction keeps seek and export", pass: ok, detail: ok?"OK":JSON.stringify({ inputs:t.journal.length, start:t.start, rewound:start, resumed }) }); } catch(e:any){ tests.push({ name:"Timeline: journal compaction keeps seek and export", pass:false, detail:String(e)}); }
+    try{ const e = createEngine({ seed });
+      e.step(4000); e.inject(1, { device:"sensor-1", value:1 }, "Event");
+      const from = e.world.clock.tick; e.deliverNext(); const to = e.world.clock.tick; e.step(2000);
+      const end = JSON.stringify(e.snapshot()), mid = Math.floor((from+to)/2);
+      e.seek(mid); const landed = e.world.clock.tick;
+      e.seek(e.timeline().horizon); const resumed = JSON.stringify(e.snapshot())===end;
+      const ok = to-from>1 && landed===mid && resumed;
+      tests.push({ name:"Timeline: seek lands inside a single step", pass: ok, detail: ok?"OK":JSON.stringify({ from, to, mid, landed, resumed }) }); } catch(e:any){ tests.push({ name:"Timeline: seek lands inside a single step", pass:false, detail:String(e)}); }
+    try{ const check = (g:Graph)=>{
+        const out = layeredLayout(g), at = new Map(out.nodes.map(n=>[n.id, n]));
+        const overlaps = out.nodes.filter((a, i)=>out.nodes.some((b, j)=>j>i && Math.abs(a.x-b.x)<NODE_W && Math.abs(a.y-b.y)<NODE_H)).length;
+        // bends sit strictly between the columns of their ends, away from every node
+        const badBends = out.edges.filter(e=>(e.waypoints ?? []).some(p=>{ const xs = [at.get(e.from)!.x, at.get(e.to)!.x];
+          return p.x<=Math.min(...xs) || p.x>=Math.max(...xs) || out.nodes.some(n=>Math.abs(n.x-p.x)<NODE_W/2 && Math.abs(n.y-p.y)<NODE_H/2); })).length;
+        const backward = out.edges.filter(e=>at.get(e.from)!.x >= at.get(e.to)!.x).length;
+        return { overlaps, badBends, backward, bends: out.edges.filter(e=>e.waypoints).length };
+      };
+      const base = check({ nodes:BASE_NODES, edges:EDGES });
+      const rng = makeRng(seed), big: Graph = { nodes:[], edges:[] };
+      for (let i = 0; i < 300; i++) big.nodes.push({ id:i, name:`n${i}`, type:"processor", x:0, y:0 });
+      for (let i = 1; i <= 450; i++){ const to = 1 + Math.floor(rng()*299), from = Math.floor(rng()*to); big.edges.push({ id:i, from, to }); }
+      const large = check(big);
+      const g = edgeGeometry({ x:0, y:0 }, { x:10, y:0 }, [{ x:5, y:5 }]), mid = pointAlong(g, 0.5), end = pointAlong(g, 1);
+      const ok = !base.overlaps && !base.badBends && !large.overlaps && !large.badBends && !large.backward && large.bends>0
+        && Math.abs(mid.x-5)<1e-9 && Math.abs(mid.y-5)<1e-9 && end.x===10 && end.y===0;
+      tests.push({ name:"Auto-layout: no overlaps, routed bends", pass: ok, detail: ok?"OK":JSON.stringify({ base, large, mid, end }) }); } catch(e:any){ tests.push({ name:"Auto-layout: no overlaps, routed bends", pass:false, detail:String(e)}); }
+    try{ const bad = parseScenario("run soon\nexpect rows >> 3\nfly away");
+      const sc = parseScenario(`seed 5\nrun 5s\ndown "RabbitMQ Data" 2s\nrun 1s\nexpect metric node_up{node="6"} = 0\nrun 2s\nexpect metric node_up{node="6"} = 1\nexpect rows > 100000\nexpect p95 < 1m`).scenario!;
+      const headless = runScenario(sc);
+      const watched = startScenario(createEngine(), sc); while (!watched.done) watched.advance(333);
+      const a = headless.results.map(r=>`${r.pass}:${r.actual}@${r.at}`).join(), b = watched.report().results.map(r=>`${r.pass}:${r.actual}@${r.at}`).join();
+      const ok = bad.errors.length===3 && bad.errors[2].startsWith("line 3:") && !headless.passed && headless.results.map(r=>r.pass).join()==="true,true,false,true" && a===b && headless.virtualMs===8000;
+      tests.push({ name:"Scenarios: parse errors, assertions, watch = headless", pass: ok, detail: ok?"OK":JSON.stringify({ bad:bad.errors, a, b }) }); } catch(e:any){ tests.push({ name:"Scenarios: parse errors, assertions, watch = headless", pass:false, detail:String(e)}); }
+    try{ const sc = parseScenario(`seed 9\nload x2\nproducer "Feed" on 7 at 4/s\nguarantee at-least-once\nrun 10s\nexpect rows >= 0\nexpect metric sink_writes_total{sink="chart"} >= 0`).scenario!;
+      const e = createEngine({ seed }); e.setLoad(3); e.setSchemaMode("off");
+      const key = (r:ScenarioReport)=> r.results.map(x=>`${x.actual}@${x.at}`).join();
+      const first = startScenario(e, sc); first.advance(Infinity); const load = e.world.load;
+      const second = startScenario(e, sc); second.advance(Infinity);
+      const ok = key(first.report())===key(second.report()) && key(first.report())===key(runScenario(sc)) && load===2 && e.world.producers.length===1;
+      tests.push({ name:"Scenarios: re-running on one engine starts clean", pass: ok, detail: ok?"OK":JSON.stringify({ first:key(first.report()), second:key(second.report()), load }) }); } catch(e:any){ tests.push({ name:"Scenarios: re-running on one engine starts clean", pass:false, detail:String(e)}); }
+    try{ const e = createEngine({ seed }); let on: any, opened = 0; const timers: number[] = [], retries: (()=>void)[] = [];
+      const b = createBridge(e, { url:"ws://test", transport:"websocket", mappings:BRIDGE_MAPPINGS }, {
+        transport:(_, h)=>{ on = h; opened++; return { close:()=>{} }; }, setTimeout:(fn, ms)=>{ timers.push(ms); retries.push(fn); }, clearTimeout:()=>{}, now:()=>0 });
+      b.connect(); on.open();
+      on.message(JSON.stringify([{ topic:"chart.AAPL", payload:{ symbol:"AAPL", value:190 } }, { topic:"events.s1", value:{ device:"s1", value:3 } }, { topic:"misc", payload:{} }]));
+      const mapped = e.world.msgs.map(m=>`${m.edgeId}:${m.type}`).join(), st = b.status();
+      e.step(1000); e.seek(10); const recorded = e.timeline().journal.length;
+      on.message(JSON.stringify({ topic:"chart.AAPL", payload:{ symbol:"AAPL", value:191 } }));
+      const held = b.status().behind===1 && e.timeline().journal.length===recorded && e.timeline().horizon===50;
+      on.close(); retries.shift()!(); on.close(); retries.shift()!(); on.open();
+      const frame = mapBridgeFrame('{"id":1}', [{ pattern:"#", edgeId:2, type:"DataField" }])[0];
+      const ok = mapped==="7:ChartData,1:Event" && st.injected===2 && st.unmatched===1 && held && timers.join()==="500,1000" && opened===3
+        && b.status().state==="open" && b.status().attempt===0 && frame.mapping?.edgeId===2 && frame.topic==="";
+      b.disconnect();
+      const bad = createBridge(e, { url:"nope", transport:"websocket", mappings:BRIDGE_MAPPINGS }, {
+        transport:()=>{ throw new Error("invalid URL"); }, setTimeout:(fn, ms)=>{ timers.push(ms); }, clearTimeout:()=>{}, now:()=>0 });
+      bad.connect(); const refused = bad.status().state==="closed" && bad.status().lastError==="invalid URL" && timers.length===2;
+      tests.push({ name:"Live bridge: mapping, backoff, reconnect", pass: ok && refused && b.status().state==="closed", detail: ok && refused?"OK":JSON.stringify({ mapped, st, held, timers, opened, frame, refused:bad.status() }) }); } catch(e:any){ tests.push({ name:"Live bridge: mapping, backoff, reconnect", pass:false, detail:String(e)}); }
     return tests;
   }
   const [tests, setTests] = useState<T[] | null>(null);
@@ -354,36 +1558,297 @@ export default function PipelineSimulator(){
         <h1 className="text-lg font-semibold">Pipeline Simulator</h1>
         <div className="flex items-center gap-2 ml-auto">
           <button className="px-3 py-1 rounded bg-black text-white" onClick={()=>setRunning(r=>!r)}>{running?"Pause":"Play"}</button>
-          <button className="px-3 py-1 rounded border" onClick={()=>{setMsgs(M=>M.map(m=>({...m, progress:1})));}}>Step</button>
+          <button className="px-3 py-1 rounded border" title="Deliver the next message to its node" onClick={()=>{ setRunning(false); engine.deliverNext(); redraw(); }}>Step</button>
+          <button className="px-3 py-1 rounded border" title="Deliver every message in flight" onClick={act(e=>e.forceArrivals())}>Flush</button>
           <label className="flex items-center gap-1">Speed
             <input aria-label="speed" type="range" min={0.2} max={2} step={0.1} value={speed} onChange={e=>setSpeed(parseFloat(e.target.value))} />
           </label>
           <label className="flex items-center gap-1">Tick
             <input aria-label="tick" type="number" className="w-16 border rounded px-1" value={tickMs} onChange={e=>setTickMs(Math.max(100, parseInt(e.target.value||"800")))} /> ms
           </label>
+          <label className="flex items-center gap-1">Load ×
+            <input aria-label="load" type="number" min={0.1} step={0.5} className="w-14 border rounded px-1" value={load} onChange={e=>setLoad(Math.max(0.1, parseFloat(e.target.value) || 1))} />
+          </label>
+          <label className="flex items-center gap-1">Invalid
+            <select aria-label="schema mode" className="border rounded px-1" value={schemaMode} onChange={e=>setSchemaMode(e.target.value as SchemaMode)}>
+              <option value="quarantine">quarantine</option><option value="reject">reject</option><option value="off">don't validate</option>
+            </select>
+          </label>
+          <label className="flex items-center gap-1">Delivery
+            <select aria-label="delivery guarantee" className="border rounded px-1" value={guarantee} onChange={e=>setGuarantee(e.target.value as Guarantee)}>
+              {GUARANTEES.map(g=><option key={g} value={g}>{g}</option>)}
+            </select>
+          </label>
           <label className="flex items-center gap-1">Seed
             <input aria-label="seed" type="number" className="w-16 border rounded px-1" value={seed} onChange={e=>setSeed(parseInt(e.target.value||"42"))} />
           </label>
-          <button className="px-3 py-1 rounded border" onClick={()=>{setMsgs([]); setRows([]); setChartPoints([]); setLogs([]);}}>Reset</button>
-          <button className="px-3 py-1 rounded border" onClick={()=>setTests(runSelfTests())}>Run tests</button>
+          {bridgeStatus && (
+            <span className="flex items-center gap-1 text-xs border rounded px-2 py-1" title={bridgeStatus.lastError ?? bridgeStatus.url}>
+              <span className="inline-block w-2 h-2 rounded-full" style={{ background:BRIDGE_DOT[bridgeStatus.state] }} />
+              Bridge: {bridgeLabel(bridgeStatus)}
+              {bridgeStatus.state==="closed"
+                ? <button className="ml-1 underline" onClick={()=>connectBridge()}>connect</button>
+                : <button className="ml-1 underline" onClick={disconnectBridge}>disconnect</button>}
+            </span>
+          )}
+          <button className="px-3 py-1 rounded border" onClick={()=>resetRun()}>Reset</button>
+          <button className="px-3 py-1 rounded border" onClick={()=>setTests([...runSelfTests(), ...runLibrary().map(r=>({ name:`Scenario: ${r.name}`, pass:r.passed,
+            detail: r.passed ? `${r.results.length} assertions OK` : [...r.errors, ...r.results.filter(x=>!x.pass).map(x=>`line ${x.line}: ${x.text} (actual ${x.actual ?? "n/a"})`)].join("; ") }))])}>Run tests</button>
         </div>
       </div>
 
+      {/* Topology */}
+      <div className="flex items-center gap-2 text-xs">
+        <button className="px-2 py-0.5 rounded border" onClick={downloadTopology}>Export topology</button>
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={exportBehaviors} onChange={e=>setExportBehaviors(e.target.checked)} /> include behaviors
+        </label>
+        <button className="px-2 py-0.5 rounded border" onClick={()=>fileInputRef.current?.click()}>Import…</button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" className="hidden"
+               onChange={e=>{ loadTopologyFile(e.target.files?.[0]); e.target.value=""; }} />
+        <span className="text-gray-500">or drop a .json file on the graph</span>
+      </div>
+      {topologyErrors.length>0 && (
+        <div className="border border-red-300 bg-red-50 rounded p-2 text-xs text-red-700">
+          <div className="flex items-center justify-between">
+            <span className="font-medium">Topology rejected</span>
+            <button className="px-2 rounded border" onClick={()=>setTopologyErrors([])}>dismiss</button>
+          </div>
+          <ul className="list-disc pl-4">{topologyErrors.map((e,i)=><li key={i}>{e}</li>)}</ul>
+        </div>
+      )}
+
+      {/* Timeline */}
+      <div className="flex items-center gap-2 text-xs">
+        <span className="font-medium">Timeline</span>
+        <button className="px-2 py-0.5 rounded border" disabled={timeline.tick<=timeline.start} onClick={()=>seekTo(timeline.tick - KEYFRAME_EVERY_TICKS)}>−5s</button>
+        <input aria-label="timeline" type="range" className="flex-1" min={timeline.start} max={Math.max(1, timeline.horizon)} step={1} value={scrubTick ?? timeline.tick}
+               list="pipeline-keyframes" onChange={e=>setScrubTick(parseInt(e.target.value))} onPointerUp={commitScrub} onKeyUp={commitScrub} onBlur={commitScrub} />
+        <datalist id="pipeline-keyframes">{timeline.keyframes.map(t=><option key={t} value={t} />)}</datalist>
+        <button className="px-2 py-0.5 rounded border" disabled={timeline.tick>=timeline.horizon} onClick={()=>seekTo(Math.min(timeline.horizon, timeline.tick + KEYFRAME_EVERY_TICKS))}>+5s</button>
+        <span className="tabular-nums">{((scrubTick ?? timeline.tick)*SIM_STEP_MS/1000).toFixed(1)}s / {(timeline.horizon*SIM_STEP_MS/1000).toFixed(1)}s</span>
+        <span className="text-gray-500">{timeline.journal.length} inputs recorded</span>
+        <button className="px-2 py-0.5 rounded border" onClick={()=>saveFile("pipeline-session.json", JSON.stringify(engine.exportSession()), "application/json")}>Export session</button>
+        <button className="px-2 py-0.5 rounded border" onClick={()=>sessionInputRef.current?.click()}>Load session…</button>
+        <input ref={sessionInputRef} type="file" accept="application/json,.json" className="hidden"
+               onChange={e=>{ loadSessionFile(e.target.files?.[0]); e.target.value=""; }} />
+      </div>
+      {sessionErrors.length>0 && (
+        <div className="border border-red-300 bg-red-50 rounded p-2 text-xs text-red-700">
+          <div className="flex items-center justify-between">
+            <span className="font-medium">Session rejected</span>
+            <button className="px-2 rounded border" onClick={()=>setSessionErrors([])}>dismiss</button>
+          </div>
+          <ul className="list-disc pl-4">{sessionErrors.map((e,i)=><li key={i}>{e}</li>)}</ul>
+        </div>
+      )}
+
       {/* Actions */}
       <div className="flex gap-2">
-        <button className="px-3 py-1 rounded bg-blue-600 text-white" onClick={spawnApiToKafka}>Publish → Kafka (ChartData)</button>
-        <button className="px-3 py-1 rounded bg-emerald-600 text-white" onClick={spawnIngestToEvent}>Send JSON → Event Service</button>
+        <button className="px-3 py-1 rounded bg-blue-600 text-white" onClick={act(e=>e.publish("api"))}>Publish → Kafka (ChartData)</button>
+        <button className="px-3 py-1 rounded bg-emerald-600 text-white" onClick={act(e=>e.publish("ingest"))}>Send JSON → Event Service</button>
+        <button className="px-3 py-1 rounded bg-rose-600 text-white" onClick={act(e=>e.publish("data-services"))}>Publish → RabbitMQ (Data Services)</button>
+      </div>
+
+      {/* Custom producers */}
+      <details className="border rounded p-2 text-xs">
+        <summary className="cursor-pointer font-medium">Producers ({producers.filter(p=>p.enabled).length} running{builtins ? " + built-in" : ""})</summary>
+        <div className="mt-1 flex flex-col gap-1">
+          <label className="flex items-center gap-1"><input type="checkbox" checked={builtins} onChange={e=>setBuiltins(e.target.checked)} /> built-in API and ingest producers</label>
+          {producers.map(p=>(
+            <div key={p.id} className="flex items-center gap-2">
+              <input type="checkbox" checked={p.enabled} onChange={e=>setProducers(producers.map(q=>q.id===p.id ? { ...q, enabled:e.target.checked } : q))} />
+              <b>{p.name}</b><span className="text-gray-600">edge {p.edgeId} · {p.type} · {describeProducer(p)}</span>
+              <span className="ml-auto">sent {world.producerStates[p.id]?.emitted ?? 0}</span>
+              <button className="px-2 rounded border" onClick={()=>setProducers(producers.filter(q=>q.id!==p.id))}>remove</button>
+            </div>
+          ))}
+          <div className="flex flex-wrap items-center gap-2 border-t pt-1">
+            <input className="border rounded px-1 w-28" value={draft.name} onChange={e=>setDraft({ ...draft, name:e.target.value })} />
+            <label className="flex items-center gap-1">edge
+              <select className="border rounded px-1" value={draft.edgeId} onChange={e=>setDraft({ ...draft, edgeId:Number(e.target.value) })}>
+                {edges.map(e=><option key={e.id} value={e.id}>{e.id}: {nodeById(e.from)?.name} → {nodeById(e.to)?.name}</option>)}
+              </select>
+            </label>
+            <select className="border rounded px-1" value={draft.type} onChange={e=>setDraft({ ...draft, type:e.target.value as ProducerDef["type"] })}>
+              {MESSAGE_TYPES.map(t=><option key={t} value={t}>{t}</option>)}
+            </select>
+            {draft.replay ? (
+              <>
+                <span>{describeProducer(draft)}</span>
+                <label className="flex items-center gap-1">speed ×
+                  <input type="number" min={0.1} step={0.5} className="border rounded px-1 w-14" value={draft.replay.speed}
+                         onChange={e=>setDraft({ ...draft, replay:{ ...draft.replay, speed:Math.max(0.1, parseFloat(e.target.value) || 1) } })} />
+                </label>
+                <label className="flex items-center gap-1"><input type="checkbox" checked={draft.replay.loop} onChange={e=>setDraft({ ...draft, replay:{ ...draft.replay, loop:e.target.checked } })} /> loop</label>
+                <button className="px-2 rounded border" onClick={()=>setDraft({ ...draft, replay:undefined })}>use generator</button>
+              </>
+            ) : (
+              <>
+                <select className="border rounded px-1" value={draft.rate.kind}
+                        onChange={e=>{ const kind = e.target.value; setDraft({ ...draft, rate:{ kind, ...Object.fromEntries(RATE_PARAMS[kind].map(k=>[k, draft.rate[k] ?? RATE_DEFAULTS[k]])) } as RateProfile }); }}>
+                  {RATE_KINDS.map(k=><option key={k} value={k}>{k}</option>)}
+                </select>
+                {RATE_PARAMS[draft.rate.kind].map(k=>(
+                  <label key={k} className="flex items-center gap-1">{k}
+                    <input type="number" min={0} className="border rounded px-1 w-16" value={draft.rate[k]}
+                           onChange={e=>setDraft({ ...draft, rate:{ ...draft.rate, [k]:Math.max(0, parseFloat(e.target.value) || 0) } as RateProfile })} />
+                  </label>
+                ))}
+                <label className="flex items-center gap-1">symbols
+                  <input className="border rounded px-1 w-32" value={draft.symbols?.join(",") ?? ""}
+                         onChange={e=>setDraft({ ...draft, symbols:e.target.value.split(",").map(x=>x.trim()).filter(Boolean) })} />
+                </label>
+                <input aria-label="template" className="border rounded px-1 font-mono flex-1 min-w-[12rem]" value={templateText} onChange={e=>setTemplateText(e.target.value)}
+                       title="{{symbol}} {{rand:min:max}} {{int:min:max}} {{walk:start:step}} {{seq}} {{now}}" />
+                <label className="px-2 rounded border cursor-pointer">Replay file…
+                  <input type="file" accept=".jsonl,.ndjson,.csv,.txt" className="hidden" onChange={e=>{ loadRecording(e.target.files?.[0]); e.target.value=""; }} />
+                </label>
+              </>
+            )}
+            <button className="px-2 py-0.5 rounded border bg-gray-50" onClick={addProducer}>Add producer</button>
+          </div>
+          {producerErrors.length>0 && <ul className="list-disc pl-4 text-red-600">{producerErrors.map((e,i)=><li key={i}>{e}</li>)}</ul>}
+        </div>
+      </details>
+
+      {/* Scenarios */}
+      <details className="border rounded p-2 text-xs">
+        <summary className="cursor-pointer font-medium">Scenarios ({scenarios.length} saved){watchRef.current ? " — watching…" : ""}</summary>
+        <div className="mt-1 flex gap-2">
+          <div className="flex flex-col gap-1 w-48">
+            {scenarios.map(sc=>(
+              <div key={sc.name} className="flex items-center gap-1">
+                <button className="flex-1 text-left underline truncate" onClick={()=>{ setScenarioText(sc.text); setScenarioErrors([]); }}>{sc.name}</button>
+                <button className="px-1 rounded border" aria-label={`remove ${sc.name}`} onClick={()=>setScenarios(list=>list.filter(s=>s!==sc))}>✕</button>
+              </div>
+            ))}
+            <div className="flex gap-1 flex-wrap mt-1">
+              <button className="px-2 py-0.5 rounded border" onClick={()=>setScenarioReports(runLibrary())}>Run all</button>
+              <button className="px-2 py-0.5 rounded border" onClick={()=>saveFile("pipeline-scenarios.json", JSON.stringify({ scenarios }, null, 2), "application/json")}>Export</button>
+              <button className="px-2 py-0.5 rounded border" onClick={()=>libraryInputRef.current?.click()}>Import…</button>
+              <input ref={libraryInputRef} type="file" accept="application/json,.json" className="hidden"
+                     onChange={e=>{ loadLibraryFile(e.target.files?.[0]); e.target.value=""; }} />
+              <button className="px-2 py-0.5 rounded border" onClick={()=>setScenarios(SCENARIO_EXAMPLES)}>Restore examples</button>
+            </div>
+          </div>
+          <div className="flex-1 flex flex-col gap-1">
+            <textarea aria-label="scenario script" className="border rounded p-1 font-mono h-36" value={scenarioText} onChange={e=>setScenarioText(e.target.value)} spellCheck={false}
+                      placeholder={'scenario "name"\nseed 42\nrun 60s\ndown "RabbitMQ Data" 10s\nexpect rows >= 500'} />
+            <div className="flex gap-1">
+              <button className="px-2 py-0.5 rounded border bg-gray-50" onClick={runDraft}>Run</button>
+              {watchRef.current
+                ? <button className="px-2 py-0.5 rounded border" onClick={()=>{ watchRef.current = null; redraw(); }}>Stop watching</button>
+                : <button className="px-2 py-0.5 rounded border" title="Reset and play it on the graph at the current speed" onClick={watchDraft}>Watch</button>}
+              <button className="px-2 py-0.5 rounded border" onClick={saveDraft}>Save to library</button>
+            </div>
+            {scenarioErrors.length>0 && <ul className="list-disc pl-4 text-red-600">{scenarioErrors.map((e,i)=><li key={i}>{e}</li>)}</ul>}
+            {scenarioReports.map((r,i)=>(
+              <div key={i} className="border-t pt-1">
+                <div className={r.passed ? "text-emerald-700 font-medium" : "text-red-600 font-medium"}>
+                  {r.passed ? "✓" : "✗"} {r.name} <span className="text-gray-500 font-normal">seed {r.seed} · {(r.virtualMs/1000).toFixed(1)}s virtual</span>
+                </div>
+                <ul className="pl-4">
+                  {r.errors.map((e,j)=><li key={`e${j}`} className="text-red-600">{e}</li>)}
+                  {r.results.map((x,j)=>(
+                    <li key={j} className={x.pass ? "text-emerald-700" : "text-red-600"}>
+                      {x.pass ? "✓" : "✗"} line {x.line}: <code>{x.text}</code> <span className="text-gray-600">— actual {x.actual ?? "n/a"} at {(x.at/1000).toFixed(1)}s</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      </details>
+
+      {/* Live bridge */}
+      <details className="border rounded p-2 text-xs">
+        <summary className="cursor-pointer font-medium">Live bridge{bridgeStatus ? ` (${bridgeStatus.state})` : ""}</summary>
+        <div className="mt-1 flex flex-col gap-1">
+          <div className="flex items-center gap-2 flex-wrap">
+            <select aria-label="bridge transport" className="border rounded px-1" value={bridgeTransport} onChange={e=>setBridgeTransport(e.target.value as BridgeTransportKind)}>
+              {BRIDGE_TRANSPORTS.map(t=><option key={t} value={t}>{t==="sse" ? "Server-Sent Events" : "WebSocket"}</option>)}
+            </select>
+            <input aria-label="bridge url" className="border rounded px-1 font-mono flex-1 min-w-[16rem]" value={bridgeUrl} onChange={e=>setBridgeUrl(e.target.value)} />
+            <label className="flex items-center gap-1"><input type="checkbox" checked={liveOnly} onChange={e=>setLiveOnly(e.target.checked)} /> pause built-in producers</label>
+            {bridgeStatus && bridgeStatus.state!=="closed"
+              ? <button className="px-2 py-0.5 rounded border" onClick={disconnectBridge}>Disconnect</button>
+              : <button className="px-2 py-0.5 rounded border bg-gray-50" disabled={!bridgeUrl.trim()} onClick={()=>connectBridge()}>Connect</button>}
+          </div>
+          <div className="text-gray-600">
+            One JSON event (or an array) per frame: <code>{'{"topic":"chart.AAPL","payload":{...}}'}</code> (or <code>value</code> for a Kafka record); a bare object has topic "".
+            The first matching pattern picks the edge (<code>*</code> one word, <code>#</code> any). Reconnects back off {bridgeDelay(1)}ms → {bridgeDelay(7)/1000}s.
+          </div>
+          <table className="w-fit">
+            <thead><tr className="text-left"><th className="pr-2">topic pattern</th><th className="pr-2">edge</th><th className="pr-2">as</th><th /></tr></thead>
+            <tbody>
+              {liveMappings.map((m,i)=>{ const set = (patch:Partial<LiveMapping>)=>setLiveMappings(liveMappings.map((x,j)=>j===i ? { ...x, ...patch } : x)); return (
+                <tr key={i}>
+                  <td className="pr-2"><input key={`lm${i}-${m.pattern}`} className="border rounded px-1 font-mono w-32" defaultValue={m.pattern}
+                                              onBlur={e=>{ const v = e.target.value.trim(); if (v && v!==m.pattern) set({ pattern:v }); }} /></td>
+                  <td className="pr-2">
+                    <select className="border rounded px-1" value={m.edgeId} onChange={e=>set({ edgeId:parseInt(e.target.value) })}>
+                      {edges.map(e=><option key={e.id} value={e.id}>{e.id}: {nodeById(e.from)?.name} → {nodeById(e.to)?.name}</option>)}
+                    </select>
+                  </td>
+                  <td className="pr-2">
+                    <select className="border rounded px-1" value={m.type} onChange={e=>set({ type:e.target.value as MessageType })}>
+                      {MESSAGE_TYPES.map(t=><option key={t} value={t}>{t}</option>)}
+                    </select>
+                  </td>
+                  <td><button className="px-1 rounded border" aria-label="remove mapping" onClick={()=>setLiveMappings(liveMappings.filter((_,j)=>j!==i))}>✕</button></td>
+                </tr>
+              ); })}
+            </tbody>
+          </table>
+          <div><button className="px-2 py-0.5 rounded border" onClick={()=>setLiveMappings([...liveMappings, { pattern:"#", edgeId:edges[0]?.id ?? 1, type:"ChartData" }])}>Add mapping</button></div>
+          {bridgeStatus && (
+            <div className="flex gap-3 flex-wrap">
+              <span>Received <b>{bridgeStatus.received}</b></span>
+              <span>Injected <b>{bridgeStatus.injected}</b></span>
+              <span>Unmatched <b className={bridgeStatus.unmatched ? "text-amber-700" : ""}>{bridgeStatus.unmatched}</b></span>
+              <span>Rejected <b className={bridgeStatus.rejected ? "text-red-600" : ""}>{bridgeStatus.rejected}</b></span>
+              {bridgeStatus.behind>0 && <span title="Events are not injected while the timeline is scrubbed back">Dropped while behind <b className="text-amber-700">{bridgeStatus.behind}</b></span>}
+              {bridgeStatus.lastEventAt && <span className="text-gray-500">last event {Math.round((Date.now()-bridgeStatus.lastEventAt)/1000)}s ago</span>}
+              {bridgeStatus.lastError && <span className="text-red-600">{bridgeStatus.lastError}</span>}
+            </div>
+          )}
+        </div>
+      </details>
+
+      {/* Editor: palette + history */}
+      <div className="flex items-center gap-1 text-xs flex-wrap">
+        <span className="text-gray-600 mr-1">Add node:</span>
+        {(Object.keys(NODE_STYLE) as NodeType[]).map(t=>(
+          <button key={t} className="px-2 py-0.5 rounded border"
+                  style={{ background:NODE_STYLE[t].fill, borderColor:NODE_STYLE[t].stroke, color:NODE_STYLE[t].text }}
+                  onClick={()=>addFromPalette(t)}>{t}</button>
+        ))}
+        <div className="flex gap-1 ml-auto">
+          <button className="px-2 py-0.5 rounded border disabled:opacity-40" disabled={!history.past.length} onClick={undo}>Undo</button>
+          <button className="px-2 py-0.5 rounded border disabled:opacity-40" disabled={!history.future.length} onClick={redo}>Redo</button>
+          <button className="px-2 py-0.5 rounded border disabled:opacity-40" disabled={!selection.length && selectedEdge==null} onClick={deleteSelection}>Delete</button>
+          <button className="px-2 py-0.5 rounded border ml-2" title="Layered layout, left to right" onClick={autoLayout}>Auto-layout</button>
+          <button className="px-2 py-0.5 rounded border" onClick={()=>fitView()}>Fit</button>
+          <button className="px-2 py-0.5 rounded border" aria-label="zoom out" onClick={()=>zoomAt(1.25)}>−</button>
+          <span className="w-10 text-center tabular-nums" title="Wheel to zoom, alt- or middle-drag to pan">{Math.round(10000/view.w)}%</span>
+          <button className="px-2 py-0.5 rounded border" aria-label="zoom in" onClick={()=>zoomAt(0.8)}>+</button>
+        </div>
       </div>
 
       {/* Main layout: Graph / Panels */}
       <div className="grid grid-cols-12 gap-3 flex-1 min-h-[420px]">
         {/* Graph */}
-        <div className="col-span-7 relative border rounded bg-white">
+        <div className="col-span-7 relative border rounded bg-white"
+             onDragOver={e=>e.preventDefault()}
+             onDrop={e=>{ e.preventDefault(); loadTopologyFile(e.dataTransfer.files?.[0]); }}>
           <svg
             ref={svgRef}
-            viewBox="0 0 100 100"
+            viewBox={`${view.x} ${view.y} ${view.w} ${view.h}`}
             preserveAspectRatio="none"
             className="absolute inset-0 w-full h-full"
+            onPointerDown={onSvgPointerDown}
             onPointerMove={onSvgPointerMove}
             onPointerUp={onSvgPointerUp}
             onPointerLeave={onSvgPointerUp}
@@ -402,54 +1867,121 @@ export default function PipelineSimulator(){
             </defs>
 
             {/* Edges */}
-            {EDGES.map(e=>{
-              const p = pathForEdge(e);
+            {edges.map(e=>{
+              const g = geometry[e.id]; if (!g || !visible(g.box.x0, g.box.y0, g.box.x1, g.box.y1)) return null;
+              const sel = selectedEdge===e.id;
+              const pick = (ev: React.PointerEvent)=>{ ev.stopPropagation(); setSelectedEdge(e.id); setSelection([]); setSelectedNode(undefined); };
+              const edit = (ev: React.MouseEvent)=>{ ev.stopPropagation(); setEditing({ kind:"edge", id:e.id, text:e.label ?? "" }); };
+              const degraded = isDegraded(effectiveFault(e, nodeById(e.to)));
               return (
-                <g key={e.id}>
-                  <path d={`M ${p.x1} ${p.y1} Q ${p.cx} ${p.cy} ${p.x2} ${p.y2}`} fill="none" stroke="#94a3b8" strokeWidth={0.5} markerEnd="url(#arrow)"/>
-                  {e.label && (
-                    <text x={(p.x1+p.x2)/2} y={(p.y1+p.y2)/2} style={{ fontSize: 2.4, fill:'#334155' }}>{e.label}</text>
+                <g key={e.id} onPointerDown={pick} onDoubleClick={edit} style={{ cursor:"pointer" }}>
+                  <path d={g.d} fill="none" stroke="transparent" strokeWidth={2.5*ink} />
+                  <path d={g.d} fill="none" stroke={sel?"#2563eb":degraded?"#f59e0b":"#94a3b8"} strokeWidth={(sel?0.9:0.5)*ink}
+                        strokeDasharray={degraded?"1.2 0.8":undefined} markerEnd="url(#arrow)"/>
+                  {detail && e.label && (
+                    <text x={g.mid.x} y={g.mid.y} style={{ fontSize: 2.4, fill: sel?'#1d4ed8':'#334155' }}>{e.label}</text>
                   )}
                 </g>
               );
             })}
 
-            {/* Messages (animated dots) */}
-            {msgs.map(m=>{
-              const p = pathForEdge(edgeById(m.edgeId));
-              const pt = pointOnQuad(m.progress, p);
-              const fill = m.type==="ChartData"?"#0284c7": m.type==="Event"?"#10b981":"#f59e0b";
-              return <circle key={m.id} cx={pt.x} cy={pt.y} r={1.2} fill={fill} />;
-            })}
+            {/* Messages (animated dots, batched per type) */}
+            <g style={{ cursor:"pointer" }}
+               onPointerDown={ev=>{ const m = msgAt(toViewBox(ev)); if (!m) return; ev.stopPropagation(); openTrace(m.trace); }}>
+              {(Object.keys(dotPaths) as MessageType[]).map(t=><path key={t} d={dotPaths[t]!.join(" ")} fill={MSG_COLORS[t]} />)}
+              {tracedDots.map(({ m, p })=><circle key={m.id} cx={p.x} cy={p.y} r={dotR*1.35} fill={MSG_COLORS[m.type]} stroke="#111827" strokeWidth={0.3*ink} />)}
+            </g>
 
             {/* Nodes (draggable) */}
             {orderedNodes.map(n=>{
+              if (!visible(n.x-NODE_W/2, n.y-NODE_H/2, n.x+NODE_W/2, n.y+NODE_H/2)) return null;
               const w=NODE_W,h=NODE_H; const s = NODE_STYLE[n.type];
-              const active = drag?.id===n.id || selectedNode===n.id;
-              const filter = active?"url(#elevHi)":"url(#elev)";
+              const active = drag?.id===n.id || selectedNode===n.id || selection.includes(n.id);
+              const filter = !detail ? undefined : active?"url(#elevHi)":"url(#elev)";
+              const down = isNodeDown(world, n.id);
               return (
                 <g key={n.id}
                    onPointerDown={(e)=>onNodePointerDown(e,n.id)}
-                   onClick={(e)=>{ e.stopPropagation(); setSelectedNode(n.id); }}
+                   onClick={(e)=>{ e.stopPropagation(); }}
+                   onDoubleClick={(e)=>{ e.stopPropagation(); setEditing({ kind:"node", id:n.id, text:n.name }); }}
                    style={{ cursor: drag?.id===n.id?"grabbing":"grab" }}
                 >
-                  <rect x={n.x-w/2} y={n.y-h/2} width={w} height={h} rx={1.6} fill={s.fill} stroke={s.stroke} strokeWidth={0.8} filter={filter} />
-                  <text x={n.x} y={n.y} textAnchor="middle" alignmentBaseline="middle" style={{ fontSize: 2.6, fill: s.text }}>
-                    {n.name}
-                  </text>
+                  <rect x={n.x-w/2} y={n.y-h/2} width={w} height={h} rx={1.6} fill={down?"#e5e7eb":s.fill} stroke={selection.includes(n.id)?"#2563eb":down?"#dc2626":s.stroke}
+                        strokeWidth={0.8} strokeDasharray={down?"1.5 1":undefined} filter={filter} />
+                  <title>{n.name}</title>
+                  {detail && <text x={n.x} y={n.y} textAnchor="middle" alignmentBaseline="middle" style={{ fontSize: 2.6, fill: down?"#6b7280":s.text }}>
+                    {n.name.length > NODE_LABEL_CHARS ? n.name.slice(0, NODE_LABEL_CHARS-1)+"…" : n.name}
+                  </text>}
+                  {n.capacity && (()=>{ const size = n.capacity.queueSize ?? QUEUE_DEFAULTS.queueSize, fill = Math.min(1, (world.queues[n.id]?.items.length ?? 0)/size); return (
+                    <g pointerEvents="none">
+                      <rect x={n.x-w/2} y={n.y+h/2+0.5} width={w} height={0.9} fill="#e5e7eb" />
+                      <rect x={n.x-w/2} y={n.y+h/2+0.5} width={w*fill} height={0.9} fill={fill>=1?"#dc2626":"#0ea5e9"} />
+                    </g>
+                  ); })()}
+                  {down && <text x={n.x} y={n.y-h/2-0.8} textAnchor="middle" style={{ fontSize: 2.2, fill:"#dc2626", fontWeight:600 }}>DOWN</text>}
                 </g>
               );
             })}
+
+            {/* Edge being drawn (shift-drag) and selection marquee */}
+            {link && (()=>{ const a = nodeById(link.from); return a ? (
+              <line x1={a.x} y1={a.y} x2={link.x} y2={link.y} stroke="#2563eb" strokeWidth={0.5} strokeDasharray="1 1" markerEnd="url(#arrow)" pointerEvents="none" />
+            ) : null; })()}
+            {box && (
+              <rect x={Math.min(box.x0,box.x1)} y={Math.min(box.y0,box.y1)} width={Math.abs(box.x1-box.x0)} height={Math.abs(box.y1-box.y0)}
+                    fill="#3b82f6" fillOpacity={0.08} stroke="#3b82f6" strokeWidth={0.3} strokeDasharray="1 0.6" pointerEvents="none" />
+            )}
           </svg>
+
+          {/* Inline label editor, positioned in percentages of the view */}
+          {editing && (()=>{
+            const at = editing.kind==="node" ? nodeById(editing.id) : geometry[editing.id]?.mid;
+            if (!at) return null;
+            return (
+              <input autoFocus value={editing.text}
+                     className="absolute border rounded px-1 text-xs bg-white shadow"
+                     style={{ left:`${(at.x-view.x)/view.w*100}%`, top:`${(at.y-view.y)/view.h*100}%`, transform:"translate(-50%,-50%)", width:140 }}
+                     onChange={e=>setEditing({ ...editing, text:e.target.value })}
+                     onBlur={commitEdit}
+                     onKeyDown={e=>{ if (e.key==="Enter") commitEdit(); else if (e.key==="Escape") setEditing(null); }} />
+            );
+          })()}
+          {minimap()}
         </div>
 
         {/* Right panels */}
         <div className="col-span-5 flex flex-col gap-3">
+          {/* Trace */}
+          {traceSel && (
+            <div className="border rounded p-2 text-xs">
+              <div className="flex items-center justify-between mb-1">
+                <div className="font-medium text-sm">Trace {traceSel.traceId}</div>
+                <button className="px-2 py-0.5 rounded border" onClick={()=>setTraceSel(null)}>close</button>
+              </div>
+              {traceWaterfall(traceSel)}
+            </div>
+          )}
+
           {/* Inspector */}
           <div className="border rounded p-2">
             <div className="font-medium mb-1">Inspector</div>
             {selectedNode==null ? (
-              <div className="text-gray-500">Click a node on the graph to inspect. Drag to reposition.</div>
+              <div className="text-gray-500">
+                {selection.length>1 ? `${selection.length} nodes selected. Drag one to move them together, Delete to remove.`
+                  : selectedEdge!=null ? `Edge ${selectedEdge} selected. Double-click to relabel, Delete to remove.`
+                  : "Click a node on the graph to inspect. Drag to reposition."}
+                {selection.length<=1 && selectedEdge!=null && edgeById(selectedEdge) && (
+                  <div className="mt-2 text-xs text-gray-800 flex items-center gap-1">
+                    <span className="font-medium">Delivery</span>
+                    <select className="border rounded px-1" value={edgeById(selectedEdge).guarantee ?? ""} onChange={e=>setEdgeGuarantee(selectedEdge, (e.target.value || undefined) as Guarantee|undefined)}>
+                      <option value="">global ({guarantee})</option>
+                      {GUARANTEES.map(g=><option key={g} value={g}>{g}</option>)}
+                    </select>
+                  </div>
+                )}
+                {selection.length<=1 && selectedEdge!=null && edgeById(selectedEdge) &&
+                  faultControls(`e${selectedEdge}`, edgeById(selectedEdge).fault, f=>setEdgeFault(selectedEdge, f))}
+              </div>
             ) : (
               <div>
                 {(()=>{ const n=nodes.find(nn=>nn.id===selectedNode)!; return (
@@ -458,6 +1990,22 @@ export default function PipelineSimulator(){
                     <div className="text-xs text-gray-600">Type: {n.type}</div>
                     <div className="text-xs">Throughput: {tpsByNode[n.id]?.toFixed(2) ?? "0.00"} msg/s</div>
                     <div className="text-xs">Position: ({n.x.toFixed(1)}, {n.y.toFixed(1)})</div>
+                    <div className="text-xs flex items-center gap-2 mt-1">
+                      {isNodeDown(world, n.id)
+                        ? <><span className="text-red-600 font-medium">DOWN — back in {((world.outages[n.id]-world.clock.now)/1000).toFixed(1)}s</span>
+                            <button className="px-2 py-0.5 rounded border" onClick={act(e=>e.bringUp(n.id))}>Bring up</button></>
+                        : <button className="px-2 py-0.5 rounded border" onClick={act(e=>e.takeDown(n.id, 10000))}>Take down 10s</button>}
+                    </div>
+                    {capacityControls(n)}
+                    {faultControls(`n${n.id}`, n.fault, f=>setNodeFault(n.id, f))}
+                    {n.behavior?.kind==="kafka" && <KafkaInspector node={n} />}
+                    {n.behavior?.kind==="nifi" && <NifiInspector node={n} />}
+                    {n.behavior?.kind==="hdfs" && <HdfsInspector node={n} />}
+                    {n.behavior?.kind==="spark" && <SparkInspector node={n} />}
+                    {n.behavior?.kind==="window" && windowControls(n)}
+                    {n.behavior?.kind==="rabbitmq" && <RabbitInspector node={n} />}
+                    {n.behavior?.kind==="publisher" && <PublisherInspector node={n} />}
+                    {n.behavior?.kind==="amqp-consumer" && <div className="mt-2 text-xs">Acked {world.stages[n.id]?.acked ?? 0} · nacked {world.stages[n.id]?.nacked ?? 0}</div>}
                     <div className="mt-2 text-xs font-medium">Last 5 logs</div>
                     <ul className="text-xs max-h-24 overflow-auto list-disc pl-4">
                       {logs.filter(l=>l.node===n.id).slice(-5).reverse().map((l,i)=>(
@@ -474,33 +2022,131 @@ export default function PipelineSimulator(){
           <div className="border rounded p-2">
             <div className="flex items-center justify-between mb-1">
               <div className="font-medium">SQL (in-memory)</div>
-              <div className="flex gap-2 items-center">
-                <input value={sqlFilter} onChange={e=>setSqlFilter(e.target.value)} placeholder="filter symbol…" className="border rounded px-2 py-0.5 text-xs" />
-                <button className="px-2 py-0.5 rounded border" onClick={()=>setRows([])}>CLEAR</button>
+              <div className="flex gap-2 items-center text-xs">
+                <select className="border rounded px-1" value="" onChange={e=>{ const ex = SQL_EXAMPLES[+e.target.value]; if (ex){ setSqlText(ex.sql); runSqlText(ex.sql); } }}>
+                  <option value="">examples…</option>
+                  {SQL_EXAMPLES.map((ex,i)=><option key={i} value={i}>{ex.name}</option>)}
+                </select>
+                <label className="flex items-center gap-1"><input type="checkbox" checked={sqlLive} onChange={e=>setSqlLive(e.target.checked)} /> live</label>
+                <button className="px-2 py-0.5 rounded border" onClick={act(e=>e.clear("rows"))}>CLEAR</button>
               </div>
             </div>
+            <div className="flex gap-2 items-start">
+              <textarea aria-label="sql" value={sqlText} onChange={e=>setSqlText(e.target.value)} rows={2} spellCheck={false}
+                        className="flex-1 border rounded px-2 py-1 font-mono text-xs"
+                        onKeyDown={e=>{ if (e.key==="Enter" && (e.ctrlKey || e.metaKey)){ e.preventDefault(); runSqlText(); } }} />
+              <button className="px-2 py-0.5 rounded border text-xs" title="Ctrl+Enter" onClick={()=>runSqlText()}>Run</button>
+            </div>
+            <div className={`text-xs mt-1 ${sqlView.result.ok ? "text-gray-500" : "text-red-600"}`}>
+              {sqlView.result.ok ? `${sqlView.result.rows.length} row(s) in ${sqlView.ms.toFixed(2)} ms${sqlLive ? " · live" : ""}` : `Error: ${sqlView.result.error}`}
+            </div>
             <div className="max-h-36 overflow-auto">
               <table className="w-full text-xs">
                 <thead className="sticky top-0 bg-white">
-                  <tr className="text-left"> <th className="p-1">ts</th> <th>symbol</th> <th>value</th> </tr>
+                  <tr className="text-left">{sqlView.result.columns.map((c,i)=><th key={i} className="p-1">{c}</th>)}</tr>
                 </thead>
                 <tbody>
-                  {rows.filter(r=>!sqlFilter || r.symbol.toLowerCase().includes(sqlFilter.toLowerCase())).slice(-200).reverse().map(r=> (
-                    <tr key={r.id} className="odd:bg-gray-50">
-                      <td className="p-1">{new Date(r.ts).toLocaleTimeString()}</td>
-                      <td>{r.symbol}</td>
-                      <td>{r.value}</td>
+                  {sqlView.result.rows.map((r,i)=>{ const dup = r[sqlView.result.columns.indexOf("writes")] > 1;
+                    const idAt = sqlView.result.columns.indexOf("id"), trace = idAt>=0 ? world.rows.find(row=>row.id===r[idAt])?.trace : undefined; return (
+                    <tr key={i} className={`${dup ? "bg-amber-50" : "odd:bg-gray-50"} ${trace ? "cursor-pointer hover:bg-sky-50" : ""}`}
+                        title={trace ? "open trace" : undefined} onClick={()=>openTrace(trace)}>
+                      {r.map((v,j)=>(
+                        <td key={j} className="p-1">{sqlView.result.columns[j]==="ts" && typeof v==="number" ? new Date(v).toLocaleTimeString() : v===null ? "NULL" : String(v)}</td>
+                      ))}
                     </tr>
-                  ))}
+                  ); })}
                 </tbody>
               </table>
             </div>
           </div>
 
+          {/* Schemas */}
+          <div className="border rounded p-2 text-xs">
+            <div className="flex items-center justify-between mb-1">
+              <div className="font-medium text-sm">Schema registry</div>
+              <div className="flex gap-2 items-center">
+                <select className="border rounded px-1" value={schemaSubject} onChange={e=>{ setSchemaSubject(e.target.value); setSchemaDraft(null); setSchemaErrors([]); }}>
+                  {Object.keys(world.schemas).map(s=><option key={s} value={s}>{s}</option>)}
+                </select>
+                <select aria-label="compatibility" className="border rounded px-1" value={world.schemas[schemaSubject]?.compatibility}
+                        onChange={e=>{ engine.setCompatibility(schemaSubject, e.target.value as Compatibility); redraw(); }}>
+                  {COMPATIBILITY_MODES.map(m=><option key={m} value={m}>{m}</option>)}
+                </select>
+              </div>
+            </div>
+            {(()=>{ const latest = latestSchema(world.schemas, schemaSubject); return (
+              <>
+                <div className="text-gray-600">Versions: {world.schemas[schemaSubject]?.versions.map(v=>`v${v.version}`).join(", ")} — validating against v{latest?.version}</div>
+                <textarea aria-label="schema" rows={4} spellCheck={false} className="w-full border rounded px-2 py-1 font-mono mt-1"
+                          value={schemaDraft ?? JSON.stringify(latest?.schema ?? {}, null, 1)} onChange={e=>setSchemaDraft(e.target.value)} />
+                <div className="flex items-center gap-2">
+                  <button className="px-2 py-0.5 rounded border disabled:opacity-40" disabled={schemaDraft==null} onClick={registerDraft}>Register v{(latest?.version ?? 0)+1}</button>
+                  {schemaDraft!=null && <button className="px-2 py-0.5 rounded border" onClick={()=>{ setSchemaDraft(null); setSchemaErrors([]); }}>Discard</button>}
+                </div>
+                {schemaErrors.length>0 && <ul className="list-disc pl-4 text-red-600">{schemaErrors.map((e,i)=><li key={i}>{e}</li>)}</ul>}
+              </>
+            ); })()}
+            <div className="flex items-center justify-between mt-1">
+              <span className="font-medium">Quarantine ({world.quarantine.length})</span>
+              <button className="px-2 py-0.5 rounded border" onClick={act(e=>e.clear("quarantine"))}>Clear</button>
+            </div>
+            <ul className="max-h-20 overflow-auto">
+              {world.quarantine.slice(-20).reverse().map((q,i)=>(
+                <li key={i}><span className="font-mono">{q.msg.id}</span> at {q.where} — {q.reason}</li>
+              ))}
+            </ul>
+          </div>
+
+          {/* Delivery */}
+          <div className="border rounded p-2 text-xs">
+            <div className="font-medium text-sm mb-1">Delivery — {guarantee}{edges.some(e=>e.guarantee) ? ` (${edges.filter(e=>e.guarantee).length} edge override(s))` : ""}</div>
+            <div className="text-gray-600 mb-1">
+              {guarantee==="at-most-once" ? "No acks: a dropped message is gone." : guarantee==="at-least-once" ? "Acked hops: lost messages and lost acks are redelivered, so sinks may see duplicates." : "Acked hops, idempotent receivers and transactional SQL writes: no edge losses, no duplicates."}
+            </div>
+            <div className="flex flex-wrap gap-3">
+              <span title="Messages that never reached a sink">Lost <b className={world.delivery.lost ? "text-red-600" : ""}>{world.delivery.lost}</b>
+                {world.delivery.lost>0 && <span className="text-gray-500"> (edge {world.delivery.lostBy.edge} · queue full {world.delivery.lostBy["queue-full"]} · DLQ {world.delivery.lostBy["dead-letter"]})</span>}</span>
+              <span>Redelivered <b>{world.delivery.redelivered}</b></span>
+              <span>Acks lost <b>{world.delivery.acksLost}</b></span>
+              <span>Deduplicated <b>{world.delivery.deduplicated}</b></span>
+              <span>Txn replays skipped <b>{world.delivery.txnSkipped}</b></span>
+              <span>Awaiting ack <b>{world.redeliveries.length}</b></span>
+            </div>
+            <table className="w-full mt-1">
+              <thead><tr className="text-left"><th className="p-0.5">sink</th><th>writes</th><th>duplicates</th></tr></thead>
+              <tbody>
+                {Object.entries(world.delivery.sinks).map(([name, s])=>(
+                  <tr key={name} className="odd:bg-gray-50">
+                    <td className="p-0.5">{name}</td><td>{s.writes}</td><td className={s.duplicates ? "text-amber-700 font-medium" : ""}>{s.duplicates}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
           {/* Charts */}
           <div className="border rounded p-2">
-            <div className="font-medium mb-2">Charts</div>
+            <div className="flex items-center justify-between mb-2">
+              <div className="font-medium">Charts</div>
+              <div className="flex gap-1 text-xs">
+                <button className="px-2 py-0.5 rounded border" onClick={()=>saveFile("pipeline-metrics.prom", metricsToPrometheus(world), "text/plain")}>Prometheus</button>
+                <button className="px-2 py-0.5 rounded border" onClick={()=>saveFile("pipeline-metrics.json", JSON.stringify(metricsToJson(world), null, 2), "application/json")}>JSON</button>
+              </div>
+            </div>
+            <div className="text-xs mb-2">
+              End-to-end latency (rows): {["p50","p95","p99"].map(q=>`${q} ${e2e[q]!==undefined ? Math.round(e2e[q])+" ms" : "—"}`).join(" · ")}
+            </div>
             <div className="grid grid-cols-1 gap-2">
+              <div>
+                <div className="flex items-center gap-1 text-xs mb-1">
+                  <input className="border rounded px-1 w-24" placeholder="filter" value={metricFilter} onChange={e=>setMetricFilter(e.target.value)} />
+                  <select className="border rounded px-1 flex-1 min-w-0" value={metricPick} onChange={e=>setMetricPick(e.target.value)}>
+                    {[...new Set([metricPick, ...metricKeys(world.metrics).filter(k=>k.includes(metricFilter))])].map(k=><option key={k} value={k}>{k}</option>)}
+                  </select>
+                </div>
+                <MiniLineChart data={metricSeries(world.metrics, metricPick)} />
+                {metricPick.includes("_total") ? <div className="text-[10px] text-gray-500">counter, shown as per-second rate</div> : null}
+              </div>
               <div>
                 <div className="text-xs text-gray-600 mb-1">ChartData (line)</div>
                 <MiniLineChart data={chartPoints} />
@@ -517,7 +2163,9 @@ export default function PipelineSimulator(){
             <div className="font-medium mb-1">Logs</div>
             <div className="h-28 overflow-auto text-xs font-mono leading-tight">
               {logs.slice(-200).reverse().map((l,i)=> (
-                <div key={i}>[{new Date(l.t).toLocaleTimeString()}] (node:{l.node}) {l.type}: {l.text}</div>
+                <div key={i} className={l.msgId ? "cursor-pointer hover:bg-sky-50" : ""} onClick={()=>openTraceForMsg(l.msgId)}>
+                  [{new Date(l.t).toLocaleTimeString()}] (node:{l.node}) {l.type}: {l.text}{l.msgId && !l.text.includes(l.msgId) ? ` ‹${l.msgId}›` : ""}
+                </div>
               ))}
             </div>
           </div>
@@ -539,7 +2187,7 @@ export default function PipelineSimulator(){
       </div>
 
       {/* Footer hint */}
-      <div className="text-[11px] text-gray-500">Drag any node to reposition it. Movement is clamped to the left panel. Nodes pop with a 3D drop-shadow when selected or dragging.</div>
+      <div className="text-[11px] text-gray-500">Drag any node to reposition it; wheel to zoom, alt- or middle-drag to pan, click the minimap to jump, Auto-layout to tidy up. Nodes pop with a 3D drop-shadow when selected or dragging. Shift-drag between nodes to connect them, drag on empty space to box-select, double-click to rename, Delete to remove, Ctrl+Z / Ctrl+Shift+Z to undo/redo. Export the topology to keep positions; load one with Import, drag-and-drop or <code>?topology=&lt;url&gt;</code>.</div>
     </div>
   );
 }